@@ -0,0 +1,85 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { flockSync } = require('fs-ext');
+
+const WIN32 = process.platform === 'win32';
+const POLL_SLEEP_MS = 50;
+
+// Subcommands throw these errors for problems that should be reported to the
+// user as a simple message, rather than a stack trace.
+exports.cliError = (message) => {
+	return Object.assign(new Error(message), { cliError: true });
+};
+
+// The daemon writes its PID to the lock file while it holds the lock, and
+// clears it when shutting down. However, if the daemon crashed, the PID could
+// be stale (and even belong to an unrelated process), so we only trust it if
+// the lock is still held. On Windows, the daemon can't keep holding the lock
+// (see main.js), so we can only check that the process still exists.
+exports.getDaemonPid = (configDir) => {
+	let fd;
+	try {
+		fd = fs.openSync(path.join(configDir, 'lock'), 'r');
+	} catch (err) {
+		if (err.code === 'ENOENT') return null;
+		throw err;
+	}
+
+	try {
+		const pid = fs.readFileSync(fd, 'utf8').trim();
+		if (!/^[0-9]+$/.test(pid)) return null;
+		if (!WIN32 && !isLocked(fd)) return null;
+		return isRunning(Number(pid)) ? Number(pid) : null;
+	} finally {
+		fs.closeSync(fd);
+	}
+};
+
+// Returns false if the process is still running after the timeout.
+exports.waitForExit = async (pid, timeoutMs) => {
+	const timeout = Date.now() + timeoutMs;
+	while (isRunning(pid)) {
+		if (Date.now() >= timeout) {
+			return false;
+		}
+
+		await new Promise(resolve => setTimeout(resolve, POLL_SLEEP_MS));
+	}
+	return true;
+};
+
+exports.formatDuration = (ms) => {
+	const seconds = Math.floor(ms / 1000);
+	const units = [
+		[Math.floor(seconds / 86400), 'd'],
+		[Math.floor(seconds / 3600) % 24, 'h'],
+		[Math.floor(seconds / 60) % 60, 'm'],
+		[seconds % 60, 's'],
+	];
+	const parts = units.filter(([value]) => value > 0).map(([value, unit]) => `${value}${unit}`);
+	return parts.slice(0, 2).join(' ') || '0s';
+};
+
+function isLocked(fd) {
+	try {
+		flockSync(fd, 'exnb');
+	} catch (err) {
+		if (err.code === 'EAGAIN') return true;
+		if (err.code === 'EWOULDBLOCK') return true;
+		throw err;
+	}
+	flockSync(fd, 'un');
+	return false;
+}
+
+function isRunning(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (err) {
+		if (err.code === 'ESRCH') return false;
+		if (err.code === 'EPERM') return true; // It exists, but belongs to someone else
+		throw err;
+	}
+}
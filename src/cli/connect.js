@@ -0,0 +1,175 @@
+'use strict';
+const { finished } = require('node:stream/promises');
+const sshBridge = require('../lib/index');
+const { cliError } = require('./common');
+const hosts = require('./hosts');
+const prompt = require('./prompt');
+
+const MAX_PASSWORD_ATTEMPTS = 3;
+
+/*
+	Opens an interactive shell on a remote host through the daemon, like ssh(1).
+	A cached connection is used if possible, then cached credentials, and only
+	then is the user prompted for credentials. The local terminal is put into
+	raw mode, so that every keystroke (including Ctrl-C) is sent to the remote
+	shell instead of being handled locally.
+
+	Host keys are checked by the daemon against its known hosts. If the host's
+	key is unknown, the daemon asks us to confirm it during the key exchange,
+	before any credentials are sent to the host. Accepted keys are remembered
+	by the daemon.
+ */
+
+module.exports = async (configDir, options, positionals) => {
+	if (positionals.length !== 1) {
+		throw cliError('expected exactly one destination ([user@]host)');
+	}
+
+	const params = {
+		...hosts.parseHost(positionals[0], false),
+		port: options.port === undefined ? hosts.DEFAULT_PORT : hosts.parsePort(options.port, '--port'),
+		via: options.jump === undefined ? [] : options.jump.split(',').map(x => hosts.parseHost(x, true)),
+	};
+	const privateKey = options.identity === undefined ? undefined : hosts.readPrivateKey(options.identity);
+
+	const client = await sshBridge(configDir);
+	try {
+		const connection = await establish(client, params, privateKey, options['accept-new']);
+		if (connection.banner) {
+			process.stderr.write(connection.banner);
+		}
+
+		process.exitCode = await runShell(client);
+	} finally {
+		await client.close();
+	}
+};
+
+async function establish(client, params, privateKey, acceptNew) {
+	const { username, hostname, port, via } = params;
+	const reused = await client.reuse({ username, hostname, port, via });
+	if (reused.success) {
+		return reused;
+	}
+
+	let declined = false;
+	const hostKeyHandler = async (hostKey) => {
+		const accepted = await confirmHost(hostKey, acceptNew);
+		declined = declined || !accepted;
+		return accepted;
+	};
+	const connect = async (connectParams, withChallenges = true) => {
+		let result;
+		try {
+			result = await client.connect({ ...params, ...connectParams, reusable: true }, withChallenges ? challengeHandler : null, hostKeyHandler);
+		} catch (err) {
+			throw err.cause?.cliError ? err.cause : err; // A prompt failed
+		}
+		if (declined) {
+			throw cliError('host key verification failed');
+		}
+		return result;
+	};
+
+	if (privateKey) {
+		const passphrase = await getPassphrase(privateKey);
+		return check(await connect({ privateKey, passphrase }));
+	}
+
+	// Without any credentials, the daemon gives up before contacting the host,
+	// so we connect again (trying keyboard-interactive authentication), which
+	// makes sure the host is trusted before we ask for a password.
+	let result = await connect({}, false);
+	if (!result.success && result.reason === hosts.NO_CREDENTIALS) {
+		result = await connect({});
+	}
+
+	// Authentication is only denied after the host's key has been verified.
+	for (let attempt = 1; !result.success && result.reason === hosts.AUTH_DENIED; ++attempt) {
+		if (attempt > MAX_PASSWORD_ATTEMPTS) {
+			throw cliError(`${username}@${hostname}: permission denied`);
+		}
+		if (attempt > 1) {
+			process.stderr.write('Permission denied, please try again.\n');
+		}
+
+		const password = await prompt(`${username}@${hostname}'s password: `, { echo: false });
+		result = await connect({ password });
+	}
+	return check(result);
+}
+
+function check(result) {
+	if (!result.success) {
+		throw cliError(`failed to connect: ${result.reason}`);
+	}
+	return result;
+}
+
+async function challengeHandler({ title, instructions, prompts }) {
+	if (title) process.stderr.write(`${title}\n`);
+	if (instructions) process.stderr.write(`${instructions}\n`);
+
+	const responses = [];
+	for (const { prompt: question, echo } of prompts) {
+		responses.push(await prompt(question, { echo }));
+	}
+	return responses;
+}
+
+async function getPassphrase(privateKey) {
+	const parsed = sshBridge.parseKey(privateKey);
+	if (!(parsed instanceof Error)) {
+		return undefined;
+	}
+	if (!/passphrase/i.test(parsed.message)) {
+		throw cliError(`invalid private key: ${parsed.message}`);
+	}
+	return prompt('Enter passphrase for key: ', { echo: false });
+}
+
+async function confirmHost({ hostname, port, fingerprint }, acceptNew) {
+	const hostId = hosts.getHostId({ hostname, port });
+	const displayed = hosts.formatFingerprint(fingerprint);
+	if (acceptNew) {
+		process.stderr.write(`Permanently added ${hostId} (${displayed}) to the list of known hosts.\n`);
+		return true;
+	}
+
+	process.stderr.write(`The authenticity of host ${hostId} can't be established.\nIts key fingerprint is ${displayed}.\n`);
+	for (;;) {
+		const answer = (await prompt('Are you sure you want to continue connecting (yes/no)? ')).trim().toLowerCase();
+		if (answer === 'yes') return true;
+		if (answer === 'no') return false;
+		process.stderr.write('Please type \'yes\' or \'no\'.\n');
+	}
+}
+
+async function runShell(client) {
+	const { stdin, stdout, stderr } = process;
+	const pty = !!stdin.isTTY;
+
+	// Node emits "resize" on the terminal's stdout whenever we get SIGWINCH.
+	const resize = () => client.resize({ rows: stdout.rows, cols: stdout.columns });
+	if (pty && stdout.isTTY) {
+		resize();
+		stdout.on('resize', resize);
+	}
+
+	const shell = client.shell({ pty });
+	pty && stdin.setRawMode(true);
+	stdin.pipe(shell.stdin);
+	shell.stdout.pipe(stdout);
+	shell.stderr.pipe(stderr);
+
+	try {
+		const { code } = await shell.result;
+		await Promise.all([finished(shell.stdout), finished(shell.stderr)]);
+		return code ?? 255; // Like ssh(1), if the shell was killed by a signal
+	} finally {
+		stdout.removeListener('resize', resize);
+		stdin.unpipe(shell.stdin);
+		pty && stdin.setRawMode(false);
+		stdin.pause();
+	}
+}
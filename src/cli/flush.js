@@ -0,0 +1,38 @@
+'use strict';
+const sshBridge = require('../lib/index');
+const { getDaemonPid } = require('./common');
+
+/*
+	Drops the daemon's cached connections and/or credentials. If neither is
+	specified, both are dropped. Connections currently in use by clients are not
+	affected (so they can still be cached after those clients are done).
+ */
+
+module.exports = async (configDir, { connections = false, credentials = false }) => {
+	if (!connections && !credentials) {
+		connections = true;
+		credentials = true;
+	}
+
+	if (!getDaemonPid(configDir)) {
+		process.stdout.write('The ssh-bridge daemon is not running, so there\'s nothing to flush.\n');
+		return;
+	}
+
+	const client = await sshBridge(configDir);
+	let counts;
+	try {
+		counts = await client.forget('*', { connections, credentials });
+	} finally {
+		await client.close();
+	}
+
+	const dropped = [];
+	connections && dropped.push(plural(counts.connections, 'cached connection'));
+	credentials && dropped.push(plural(counts.credentials, 'cached credential'));
+	process.stdout.write(`Dropped ${dropped.join(' and ')}.\n`);
+};
+
+function plural(count, noun) {
+	return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,56 @@
+'use strict';
+const fs = require('node:fs');
+const os = require('node:os');
+const { cliError } = require('./common');
+
+/*
+	Helpers for the commands that connect to remote hosts. Hosts are given on
+	the command-line as "[user@]host" (or "[user@]host[:port]" for jump hosts).
+	Host keys are checked by the daemon, against its known hosts.
+ */
+
+exports.DEFAULT_PORT = 22;
+
+// These are the reasons connect() fails with when the user should be asked
+// for (other) credentials. The first means the daemon had no credentials to
+// try, so it never contacted the host.
+exports.NO_CREDENTIALS = 'no credentials provided';
+exports.AUTH_DENIED = 'authentication denied';
+exports.AUTH_FAILURES = [exports.NO_CREDENTIALS, exports.AUTH_DENIED];
+
+exports.parseHost = (str, allowPort) => {
+	const match = str.match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^@:[\]]+)(?::([^:]*))?$/);
+	if (!match || (match[3] !== undefined && !allowPort)) {
+		throw cliError(`invalid ${allowPort ? 'jump host' : 'destination'} "${str}"`);
+	}
+
+	return {
+		username: match[1] || os.userInfo().username,
+		hostname: match[2].replace(/^\[(.*)\]$/, '$1'),
+		port: match[3] === undefined ? exports.DEFAULT_PORT : exports.parsePort(match[3], `the port of jump host "${str}"`),
+	};
+};
+
+exports.parsePort = (port, what) => {
+	if (!/^[0-9]+$/.test(port) || Number(port) < 1 || Number(port) > 65535) {
+		throw cliError(`expected ${what} to be a valid port number`);
+	}
+	return Number(port);
+};
+
+exports.getHostId = ({ hostname, port }) => {
+	return `[${hostname}]:${port}`;
+};
+
+exports.readPrivateKey = (filename) => {
+	try {
+		return fs.readFileSync(filename, 'utf8');
+	} catch (err) {
+		throw cliError(`unable to read private key ${filename}: ${err.message}`);
+	}
+};
+
+// OpenSSH omits the base64 padding when displaying fingerprints.
+exports.formatFingerprint = (fingerprint) => {
+	return `SHA256:${fingerprint.replace(/=+$/, '')}`;
+};
@@ -0,0 +1,144 @@
+'use strict';
+const os = require('node:os');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const status = require('./status');
+const { stop, restart, reload } = require('./stop');
+const flush = require('./flush');
+const logs = require('./logs');
+const connect = require('./connect');
+
+/*
+	This is the ssh-bridge command-line tool, which lets users inspect and
+	manage the daemon without writing any code. Each subcommand lives in its
+	own module, and receives the resolved config directory, along with any
+	options (and positional arguments, if it accepts any) given after the
+	subcommand's name.
+ */
+
+const COMMANDS = {
+	status: {
+		run: status,
+		usage: 'status [--json]',
+		description: 'Show the daemon\'s cached connections, credentials, and clients',
+		options: { json: { type: 'boolean' } },
+	},
+	stop: {
+		run: stop,
+		usage: 'stop [--timeout <seconds>]',
+		description: 'Gracefully stop the daemon (waiting for running commands)',
+		options: { timeout: { type: 'string' } },
+	},
+	restart: {
+		run: restart,
+		usage: 'restart [--timeout <seconds>]',
+		description: 'Gracefully stop the daemon, and then start a new one',
+		options: { timeout: { type: 'string' } },
+	},
+	reload: {
+		run: reload,
+		usage: 'reload',
+		description: 'Reload the daemon\'s configuration and reopen its log file',
+		options: {},
+	},
+	flush: {
+		run: flush,
+		usage: 'flush [--connections] [--credentials]',
+		description: 'Drop cached connections and/or credentials (both by default)',
+		options: { connections: { type: 'boolean' }, credentials: { type: 'boolean' } },
+	},
+	logs: {
+		run: logs,
+		usage: 'logs [--lines <count>] [--follow]',
+		description: 'Print the end of the daemon\'s log file',
+		options: { lines: { type: 'string', short: 'n' }, follow: { type: 'boolean', short: 'f' } },
+	},
+	connect: {
+		run: connect,
+		usage: 'connect [options] [user@]host',
+		description: 'Open an interactive shell on a remote host, through the daemon',
+		details: [
+			'-p, --port <port>        The SSH port to connect to (default: 22)',
+			'-i, --identity <file>    A private key to authenticate with',
+			'-J, --jump <hosts>       Comma-separated jump hosts ([user@]host[:port])',
+			'    --accept-new         Trust unknown hosts without asking',
+		],
+		options: {
+			'port': { type: 'string', short: 'p' },
+			'identity': { type: 'string', short: 'i' },
+			'jump': { type: 'string', short: 'J' },
+			'accept-new': { type: 'boolean' },
+		},
+		positionals: true,
+	},
+};
+
+const GLOBAL_OPTIONS = {
+	'config-dir': { type: 'string' },
+	'help': { type: 'boolean', short: 'h' },
+};
+
+module.exports = async (argv) => {
+	const name = argv[0];
+	const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+	if (!command) {
+		if (name === undefined || name === 'help' || name === '--help' || name === '-h') {
+			process.stdout.write(usage());
+		} else {
+			fail(`unknown command "${name}"`);
+		}
+		return;
+	}
+
+	let values;
+	let positionals;
+	try {
+		({ values, positionals } = parseArgs({
+			args: argv.slice(1),
+			options: { ...GLOBAL_OPTIONS, ...command.options },
+			allowPositionals: !!command.positionals,
+		}));
+	} catch (err) {
+		fail(err.message);
+		return;
+	}
+
+	if (values.help) {
+		const details = command.details ? `\nOptions:\n${command.details.map(x => `  ${x}\n`).join('')}` : '';
+		process.stdout.write(`Usage: ssh-bridge ${command.usage} [--config-dir <dir>]\n\n${command.description}.\n${details}`);
+		return;
+	}
+
+	const configDir = path.resolve(values['config-dir'] || path.join(os.homedir(), '.ssh-bridge'));
+	try {
+		await command.run(configDir, values, positionals);
+	} catch (err) {
+		if (err.cliError) {
+			fail(err.message, false);
+		} else {
+			throw err;
+		}
+	}
+};
+
+function usage() {
+	const width = Math.max(...Object.values(COMMANDS).map(x => x.usage.length));
+	const lines = Object.values(COMMANDS).map(x => `  ${x.usage.padEnd(width)}  ${x.description}`);
+	return [
+		'Usage: ssh-bridge <command> [options] [--config-dir <dir>]',
+		'',
+		'Commands:',
+		...lines,
+		'',
+		'The config directory defaults to ~/.ssh-bridge.',
+		'',
+	].join('\n');
+}
+
+function fail(message, showUsage = true) {
+	process.stderr.write(`ssh-bridge: ${message}\n`);
+	if (showUsage) {
+		process.stderr.write(`\n${usage()}`);
+	}
+	process.exitCode = showUsage ? 2 : 1;
+}
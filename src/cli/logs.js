@@ -0,0 +1,107 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { cliError } = require('./common');
+
+const DEFAULT_LINES = 20;
+const CHUNK_SIZE = 1024 * 64;
+const FOLLOW_INTERVAL_MS = 250;
+
+/*
+	Prints the end of the daemon's log file, like tail(1). The log file is never
+	truncated by the daemon, so it can grow large, which is why we read it
+	backwards (in chunks) until we have enough lines.
+ */
+
+module.exports = async (configDir, { lines = String(DEFAULT_LINES), follow = false }) => {
+	if (!/^[0-9]+$/.test(lines)) {
+		throw cliError('expected --lines to be a non-negative integer');
+	}
+
+	const logPath = path.join(configDir, 'log');
+	let fd;
+	try {
+		fd = fs.openSync(logPath, 'r');
+	} catch (err) {
+		if (err.code === 'ENOENT') throw cliError(`no log file found at ${logPath}`);
+		throw err;
+	}
+
+	try {
+		let position = fs.fstatSync(fd).size;
+		process.stdout.write(readLastLines(fd, position, Number(lines)));
+
+		while (follow) {
+			await new Promise(resolve => setTimeout(resolve, FOLLOW_INTERVAL_MS));
+			const { size, ino } = fs.fstatSync(fd);
+			if (size < position) {
+				position = 0; // The log file was truncated
+			}
+			if (size > position) {
+				process.stdout.write(readRange(fd, position, size));
+				position = size;
+			}
+
+			// Like "tail -F", we follow the log file by name, so that we keep up
+			// when it's rotated (after which the daemon reopens it on SIGHUP).
+			const inode = getInode(logPath);
+			if (inode !== null && inode !== ino) {
+				process.stdout.write(readRange(fd, position, fs.fstatSync(fd).size));
+				fs.closeSync(fd);
+				fd = fs.openSync(logPath, 'r');
+				position = 0;
+			}
+		}
+	} finally {
+		fs.closeSync(fd);
+	}
+};
+
+function getInode(filename) {
+	try {
+		return fs.statSync(filename).ino;
+	} catch (err) {
+		if (err.code === 'ENOENT') return null;
+		throw err;
+	}
+}
+
+function readLastLines(fd, size, count) {
+	if (count === 0) return Buffer.alloc(0);
+
+	let start = size;
+	let data = Buffer.alloc(0);
+	while (start > 0) {
+		const chunkStart = Math.max(0, start - CHUNK_SIZE);
+		data = Buffer.concat([readRange(fd, chunkStart, start), data]);
+		start = chunkStart;
+
+		// The final line-feed doesn't begin a new line, so it isn't counted.
+		if (countLineFeeds(data.subarray(0, -1)) >= count) break;
+	}
+
+	let index = data.byteLength - 1;
+	for (let found = 0; index > 0; --index) {
+		if (data[index - 1] === 0x0a && ++found === count) break;
+	}
+	return data.subarray(Math.max(0, index));
+}
+
+function readRange(fd, start, end) {
+	const buffer = Buffer.alloc(end - start);
+	let offset = 0;
+	while (offset < buffer.byteLength) {
+		const bytesRead = fs.readSync(fd, buffer, offset, buffer.byteLength - offset, start + offset);
+		if (bytesRead === 0) break;
+		offset += bytesRead;
+	}
+	return buffer.subarray(0, offset);
+}
+
+function countLineFeeds(data) {
+	let count = 0;
+	for (let index = data.indexOf(0x0a); index !== -1; index = data.indexOf(0x0a, index + 1)) {
+		count += 1;
+	}
+	return count;
+}
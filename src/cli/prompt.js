@@ -0,0 +1,48 @@
+'use strict';
+const readline = require('node:readline');
+const { Writable } = require('node:stream');
+const { cliError } = require('./common');
+
+/*
+	Asks the user a question on the terminal, and returns their answer. Prompts
+	are written to stderr, so they don't get mixed up with the output of remote
+	commands. If echo is false (e.g., for passwords), the user's input is not
+	displayed on the screen.
+ */
+
+module.exports = (question, { echo = true } = {}) => {
+	if (!process.stdin.isTTY) {
+		throw cliError(`cannot prompt for input because stdin is not a terminal: ${question.trim()}`);
+	}
+
+	return new Promise((resolve, reject) => {
+		let muted = false;
+		const output = new Writable({
+			write(chunk, encoding, callback) {
+				muted || process.stderr.write(chunk);
+				callback();
+			},
+		});
+
+		let answered = false;
+		const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+		rl.on('SIGINT', () => {
+			rl.close();
+		});
+		rl.on('close', () => {
+			if (!answered) {
+				process.stderr.write('\n');
+				reject(cliError('interrupted'));
+			}
+		});
+		rl.question(question, (answer) => {
+			answered = true;
+			muted && process.stderr.write('\n');
+			rl.close();
+			resolve(answer);
+		});
+
+		// The question itself is written before we mute the output.
+		muted = !echo;
+	});
+};
@@ -0,0 +1,220 @@
+'use strict';
+const os = require('node:os');
+const path = require('node:path');
+const { finished } = require('node:stream/promises');
+const sshBridge = require('../lib/index');
+const { cliError } = require('./common');
+const hosts = require('./hosts');
+
+// Options that don't affect running a single command through the daemon.
+const IGNORED_FLAGS = '46AaCKkqTtvXxYy';
+const IGNORED_OPTIONS = 'bBcEeFImS';
+
+// The names of environment variables accepted by client.exec().
+const ENV_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/*
+	This is a drop-in replacement for ssh(1), for programs that run remote
+	commands with it, like git (via GIT_SSH_COMMAND), rsync (via -e), and scp
+	(in legacy mode, via -S). It accepts the subset of OpenSSH's arguments that
+	those programs use, and runs the command through the daemon, proxying its
+	stdin, stdout, stderr, and exit code.
+
+	Since stdin is reserved for the remote command, we never prompt the user.
+	Connections must be possible with a cached connection, cached credentials,
+	or a private key given by -i. Similarly, the host's key must already be in
+	the daemon's known hosts (e.g., by connecting with "ssh-bridge connect"),
+	unless the StrictHostKeyChecking option says otherwise.
+ */
+
+module.exports = async (argv, env = process.env) => {
+	const { destination, command, options } = parseCommandLine(argv);
+	const configDir = path.resolve(env.SSH_BRIDGE_CONFIG_DIR || path.join(os.homedir(), '.ssh-bridge'));
+
+	const params = {
+		...hosts.parseHost(destination, false),
+		...options.port !== undefined && { port: hosts.parsePort(options.port, 'the port') },
+		via: options.jump === undefined ? [] : options.jump.split(',').map(x => hosts.parseHost(x, true)),
+	};
+	if (options.user !== undefined && !destination.includes('@')) {
+		params.username = options.user;
+	}
+
+	const privateKey = options.identity === undefined ? undefined : hosts.readPrivateKey(options.identity);
+	if (privateKey && sshBridge.parseKey(privateKey) instanceof Error) {
+		throw cliError(`unable to use private key ${options.identity} (encrypted keys are not supported)`);
+	}
+
+	const client = await sshBridge(configDir);
+	try {
+		await establish(client, { ...params, hostKeyChecking: options.hostKeyChecking }, privateKey);
+		process.exitCode = await proxy(client, command, getEnv(options, env));
+	} finally {
+		await client.close();
+	}
+};
+
+async function establish(client, params, privateKey) {
+	const { username, hostname, port, via } = params;
+	const reused = await client.reuse({ username, hostname, port, via });
+	if (reused.success) {
+		return reused;
+	}
+
+	// The daemon asks us about host keys that aren't in its known hosts (for
+	// the host or any of the jump hosts), before any credentials are sent.
+	let unknownHost = null;
+	const hostKeyHandler = (hostKey) => {
+		const hostId = hosts.getHostId(hostKey);
+		if (params.hostKeyChecking === 'strict') {
+			unknownHost = hostId;
+			return false;
+		}
+		process.stderr.write(`Warning: Permanently added ${hostId} (${hosts.formatFingerprint(hostKey.fingerprint)}) to the list of known hosts.\n`);
+		return true;
+	};
+
+	const result = await client.connect({ ...params, reusable: true, privateKey }, null, hostKeyHandler);
+	if (unknownHost) {
+		throw cliError(`host key verification failed: ${unknownHost} is not a known host (connect to it with "ssh-bridge connect" first)`);
+	}
+	if (!result.success) {
+		if (hosts.AUTH_FAILURES.includes(result.reason) && !privateKey) {
+			throw cliError(`${username}@${hostname}: permission denied (log in once with "ssh-bridge connect" to cache credentials)`);
+		}
+		throw cliError(`failed to connect: ${result.reason}`);
+	}
+	return result;
+}
+
+async function proxy(client, command, env) {
+	const { stdin, stdout, stderr } = process;
+	const execution = client.exec(command, { env });
+	stdin.pipe(execution.stdin);
+	execution.stdout.pipe(stdout);
+	execution.stderr.pipe(stderr);
+
+	try {
+		const { code } = await execution.result;
+		await Promise.all([finished(execution.stdout), finished(execution.stderr)]);
+		return code ?? 255; // Like ssh(1), if the command was killed by a signal
+	} finally {
+		stdin.unpipe(execution.stdin);
+		stdin.pause();
+	}
+}
+
+function parseCommandLine(argv) {
+	const options = { port: undefined, user: undefined, identity: undefined, jump: undefined, hostKeyChecking: 'strict', sendEnv: [], setEnv: {} };
+
+	let index = 0;
+	for (; index < argv.length; ++index) {
+		const arg = argv[index];
+		if (arg === '--') {
+			index += 1;
+			break;
+		}
+		if (!arg.startsWith('-') || arg === '-') {
+			break;
+		}
+
+		// Like getopt(3), flags can be combined, and an option's value can be
+		// attached to it (e.g., "-xTp22") or given as the next argument.
+		for (let offset = 1; offset < arg.length; ++offset) {
+			const flag = arg[offset];
+			if (IGNORED_FLAGS.includes(flag)) continue;
+			if (!IGNORED_OPTIONS.includes(flag) && !'pliJo'.includes(flag)) {
+				throw cliError(`unsupported option -${flag}`);
+			}
+
+			let value = arg.slice(offset + 1);
+			if (!value) {
+				if (++index === argv.length) throw cliError(`option requires an argument -- ${flag}`);
+				value = argv[index];
+			}
+
+			switch (flag) {
+				case 'p': options.port = value; break;
+				case 'l': options.user = value; break;
+				case 'i': options.identity = value; break;
+				case 'J': options.jump = value; break;
+				case 'o': parseConfigOption(options, value); break;
+			}
+			break;
+		}
+	}
+
+	if (index === argv.length) {
+		throw cliError('expected a destination ([user@]host)');
+	}
+	if (index + 1 === argv.length) {
+		throw cliError('expected a command to run (for interactive sessions, use "ssh-bridge connect")');
+	}
+
+	// Like ssh(1), the command's arguments are joined with spaces, and then
+	// interpreted by the remote shell.
+	const command = argv.slice(index + 1).join(' ');
+	if (/[\x00-\x1f\x7f]/.test(command)) {
+		throw cliError('the command must not contain control characters');
+	}
+
+	return { destination: argv[index], command, options };
+}
+
+// Options given with -o have the form "Key=Value" or "Key Value". Unknown
+// options are ignored, as most of them don't apply to the daemon.
+function parseConfigOption(options, str) {
+	const match = str.match(/^\s*([a-zA-Z0-9]+)\s*(?:=\s*|\s+)(.*?)\s*$/);
+	if (!match) {
+		throw cliError(`invalid option "${str}"`);
+	}
+
+	const value = match[2];
+	switch (match[1].toLowerCase()) {
+		case 'port':
+			options.port = value;
+			break;
+		case 'user':
+			options.user = value;
+			break;
+		case 'identityfile':
+			options.identity = value;
+			break;
+		case 'proxyjump':
+			options.jump = value.toLowerCase() === 'none' ? undefined : value;
+			break;
+		case 'stricthostkeychecking':
+			// We can't ask the user, so "ask" means the same thing as "yes". Keys
+			// that have changed are never accepted, so "no" means the same thing
+			// as "accept-new".
+			options.hostKeyChecking = ['accept-new', 'no', 'off'].includes(value.toLowerCase()) ? 'accept-new' : 'strict';
+			break;
+		case 'sendenv':
+			options.sendEnv.push(...value.split(/\s+/).filter(x => x));
+			break;
+		case 'setenv':
+			for (const pair of value.split(/\s+/).filter(x => x)) {
+				const separator = pair.indexOf('=');
+				if (!ENV_NAME.test(pair.slice(0, separator))) throw cliError(`invalid SetEnv variable "${pair}"`);
+				options.setEnv[pair.slice(0, separator)] = pair.slice(separator + 1);
+			}
+			break;
+	}
+}
+
+// Like OpenSSH, the SendEnv patterns can contain "*" and "?" wildcards. Local
+// variables whose names can't be sent are skipped.
+function getEnv({ sendEnv, setEnv }, env) {
+	const patterns = sendEnv.map((pattern) => {
+		const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+		return new RegExp(`^${source}$`);
+	});
+
+	const result = {};
+	for (const [name, value] of Object.entries(env)) {
+		if (ENV_NAME.test(name) && patterns.some(pattern => pattern.test(name))) {
+			result[name] = value;
+		}
+	}
+	return Object.assign(result, setEnv);
+}
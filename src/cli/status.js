@@ -0,0 +1,61 @@
+'use strict';
+const sshBridge = require('../lib/index');
+const { getDaemonPid, formatDuration } = require('./common');
+
+/*
+	Prints a summary of the daemon's state, including the routes of its cached
+	connections and credentials. If the daemon isn't running, a new one is NOT
+	started, since that would be surprising when merely checking its status.
+ */
+
+module.exports = async (configDir, { json = false }) => {
+	if (!getDaemonPid(configDir)) {
+		if (json) {
+			process.stdout.write(`${JSON.stringify({ running: false })}\n`);
+		} else {
+			process.stdout.write('The ssh-bridge daemon is not running.\n');
+		}
+		process.exitCode = 3;
+		return;
+	}
+
+	const client = await sshBridge(configDir);
+	let status;
+	try {
+		status = await client.status();
+	} finally {
+		await client.close();
+	}
+
+	if (json) {
+		process.stdout.write(`${JSON.stringify({ running: true, ...status }, null, '\t')}\n`);
+		return;
+	}
+
+	const lines = [
+		`The ssh-bridge daemon is running (pid ${status.pid}).`,
+		`  Version: ${status.version} (protocol ${status.protocolVersion})`,
+		`  Uptime: ${formatDuration(status.uptime)}`,
+		`  Other clients: ${status.clientCount - 1}`, // Excluding this one
+		'',
+		`Cached connections: ${status.cachedConnections.length}`,
+		...status.cachedConnections.map((connection) => {
+			const details = [
+				...(connection.shared ? ['shared'] : []),
+				`idle for ${formatDuration(connection.idleTime)}`,
+				`expires in ${formatDuration(connection.ttlRemaining)}`,
+			];
+			return `  ${formatRoute(connection)} (${details.join(', ')})`;
+		}),
+		'',
+		`Cached credentials: ${status.cachedCredentials.length}`,
+		...status.cachedCredentials.map(route => `  ${formatRoute(route)}`),
+	];
+
+	process.stdout.write(`${lines.join('\n')}\n`);
+};
+
+function formatRoute({ username, hostname, port, via }) {
+	const hops = [...via, { username, hostname, port }];
+	return hops.map(hop => `${hop.username}@${hop.hostname}:${hop.port}`).join(' -> ');
+}
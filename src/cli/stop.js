@@ -0,0 +1,71 @@
+'use strict';
+const sshBridge = require('../lib/index');
+const { cliError, getDaemonPid, waitForExit } = require('./common');
+
+const DEFAULT_TIMEOUT = 60; // seconds
+
+/*
+	The daemon shuts down gracefully when it receives SIGTERM, waiting for any
+	running commands and transfers to finish before exiting. Therefore, stopping
+	it may take a while, so we give up after a (configurable) timeout.
+ */
+
+exports.stop = async (configDir, { timeout }) => {
+	const timeoutMs = parseTimeout(timeout);
+	const pid = getDaemonPid(configDir);
+	if (!pid) {
+		process.stdout.write('The ssh-bridge daemon is not running.\n');
+		return;
+	}
+
+	await stopDaemon(pid, timeoutMs);
+	process.stdout.write(`Stopped the ssh-bridge daemon (pid ${pid}).\n`);
+};
+
+exports.restart = async (configDir, { timeout }) => {
+	const timeoutMs = parseTimeout(timeout);
+	const pid = getDaemonPid(configDir);
+	if (pid) {
+		await stopDaemon(pid, timeoutMs);
+	}
+
+	// Creating a client is what spawns a new daemon.
+	const client = await sshBridge(configDir);
+	await client.close();
+
+	process.stdout.write(`Started the ssh-bridge daemon (pid ${getDaemonPid(configDir)}).\n`);
+};
+
+// The daemon reloads its configuration (and reopens its log file) when it
+// receives SIGHUP, which Windows doesn't support.
+exports.reload = async (configDir) => {
+	if (process.platform === 'win32') {
+		throw cliError('reloading the daemon is not supported on Windows');
+	}
+
+	const pid = getDaemonPid(configDir);
+	if (!pid) {
+		process.stdout.write('The ssh-bridge daemon is not running.\n');
+		return;
+	}
+
+	process.kill(pid, 'SIGHUP');
+	process.stdout.write(`Reloaded the ssh-bridge daemon (pid ${pid}).\n`);
+};
+
+async function stopDaemon(pid, timeoutMs) {
+	process.kill(pid, 'SIGTERM');
+	if (!await waitForExit(pid, timeoutMs)) {
+		throw cliError(`the daemon (pid ${pid}) is still shutting down after ${timeoutMs / 1000} seconds, probably waiting for running commands`);
+	}
+}
+
+function parseTimeout(timeout) {
+	if (timeout === undefined) {
+		return DEFAULT_TIMEOUT * 1000;
+	}
+	if (!/^[0-9]+$/.test(timeout) || Number(timeout) <= 0) {
+		throw cliError('expected --timeout to be a positive number of seconds');
+	}
+	return Number(timeout) * 1000;
+}
@@ -0,0 +1,68 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+
+const MAX_TIMER_MS = 0x7fffffff; // The maximum delay supported by setTimeout()
+
+/*
+	The daemon can be configured by a JSON file in the config directory. Every
+	setting is optional, and invalid settings are reported in the log (and then
+	ignored), rather than preventing the daemon from starting, since the daemon
+	is usually spawned in the background, where nobody would see it crash.
+ */
+
+const SETTINGS = {
+	cachedConnectionsTTL: ['a positive integer of milliseconds', isValidTimer],
+	sharedConnectionsTTL: ['a positive integer of milliseconds', isValidTimer],
+	readyTimeout: ['a positive integer of milliseconds', isValidTimer],
+	keepaliveInterval: ['a non-negative integer of milliseconds (0 disables keepalives)', x => x === 0 || isValidTimer(x)],
+	keepaliveCountMax: ['a non-negative integer', x => Number.isInteger(x) && x >= 0],
+	hostKeyChecking: ['"strict", "accept-new", or "off"', x => ['strict', 'accept-new', 'off'].includes(x)],
+	knownHostsFiles: ['an array of absolute paths (or paths starting with "~/")', x => Array.isArray(x) && x.every(isValidPath)],
+};
+
+// Returns the valid settings from the config file. Settings that are omitted
+// or invalid are also omitted from the result, so that defaults can be used.
+exports.load = (configDir) => {
+	const configPath = path.join(configDir, 'config.json');
+
+	let config;
+	try {
+		config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+	} catch (err) {
+		if (err.code !== 'ENOENT') {
+			console.error(`Ignoring ${configPath} (${err.message})`);
+		}
+		return {};
+	}
+
+	if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+		console.error(`Ignoring ${configPath} (expected a JSON object)`);
+		return {};
+	}
+
+	const settings = {};
+	for (const [name, value] of Object.entries(config)) {
+		if (!Object.hasOwn(SETTINGS, name)) {
+			console.error(`Ignoring unknown setting "${name}" in ${configPath}`);
+			continue;
+		}
+
+		const [expected, isValid] = SETTINGS[name];
+		if (!isValid(value)) {
+			console.error(`Ignoring invalid setting "${name}" in ${configPath} (expected ${expected})`);
+			continue;
+		}
+
+		settings[name] = value;
+	}
+	return settings;
+};
+
+function isValidTimer(value) {
+	return Number.isInteger(value) && value > 0 && value <= MAX_TIMER_MS;
+}
+
+function isValidPath(value) {
+	return typeof value === 'string' && (value.startsWith('~/') || path.isAbsolute(value));
+}
@@ -1,7 +1,12 @@
 'use strict';
 const assert = require('node:assert');
+const signals = require('../lib/signals');
 
 const ValidationError = Symbol();
+const MAX_JUMP_HOSTS = 8;
+const DEFAULT_MAX_SESSIONS = 10; // OpenSSH's default for MaxSessions
+const HOST_KEY_CHECKING_MODES = ['strict', 'accept-new', 'off'];
+const SFTP_OPERATIONS = new Set(['readFile', 'writeFile', 'stat', 'readdir', 'unlink', 'mkdir', 'rmdir']);
 
 /*
 	These functions are used to parse and validate the various data frames that
@@ -11,14 +16,14 @@ const ValidationError = Symbol();
 exports.reuseParams = (data) => {
 	assert(Buffer.isBuffer(data));
 	try {
-		const { username, hostname, port = 22, shareKey } = expectJSON(data);
+		const { username, hostname, port = 22, via = [], shareKey } = expectJSON(data);
 
 		validate(isNonEmptyString(hostname));
 		validate(isNonEmptyString(username));
 		validate(isValidPort(port));
 		validate(isNonEmptyString(shareKey) || shareKey === undefined);
 
-		return { username, hostname: hostname.toLowerCase(), port, shareKey };
+		return { username, hostname: hostname.toLowerCase(), port, via: jumpHosts(via, false), shareKey };
 	} catch (err) {
 		if (err === ValidationError) return null;
 		throw err;
@@ -32,13 +37,18 @@ exports.connectParams = (data) => {
 			username,
 			hostname,
 			port = 22,
+			via = [],
 			fingerprint,
 			reusable = false,
+			cacheTTL,
+			hostKeyChecking,
 			privateKey,
 			passphrase,
 			password,
 			tryKeyboard = false,
+			verifyHostKey = false,
 			privateKeyEncoded = false,
+			maxSessions = DEFAULT_MAX_SESSIONS,
 		} = expectJSON(data);
 
 		validate(isNonEmptyString(hostname));
@@ -50,7 +60,11 @@ exports.connectParams = (data) => {
 		validate(isNonEmptyString(password) || password === undefined);
 		validate(typeof privateKeyEncoded === 'boolean');
 		validate(typeof tryKeyboard === 'boolean');
+		validate(typeof verifyHostKey === 'boolean');
 		validate(typeof reusable === 'boolean');
+		validate(isValidTimeout(cacheTTL) || cacheTTL === undefined);
+		validate(HOST_KEY_CHECKING_MODES.includes(hostKeyChecking) || hostKeyChecking === undefined);
+		validate(Number.isInteger(maxSessions) && maxSessions >= 1);
 		validate(!!privateKey || !passphrase);
 		validate(!!privateKey || !privateKeyEncoded);
 
@@ -58,12 +72,17 @@ exports.connectParams = (data) => {
 			username,
 			hostname: hostname.toLowerCase(),
 			port,
+			via: jumpHosts(via, true),
 			fingerprint,
 			reusable,
+			cacheTTL,
+			hostKeyChecking,
 			privateKey: privateKeyEncoded ? Buffer.from(privateKey, 'base64') : privateKey,
 			passphrase,
 			password,
 			tryKeyboard,
+			verifyHostKey,
+			maxSessions,
 		};
 	} catch (err) {
 		if (err === ValidationError) return null;
@@ -86,14 +105,115 @@ exports.challengeResponse = (data) => {
 	}
 };
 
+exports.hostKeyResponse = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { accepted } = expectJSON(data);
+
+		validate(typeof accepted === 'boolean');
+
+		return accepted;
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
 exports.command = (data) => {
 	assert(Buffer.isBuffer(data));
-	const str = data.toString();
+	try {
+		const {
+			id,
+			command,
+			env = {},
+			cwd,
+			shell,
+			exportEnv = false,
+			timeout,
+			killSignal = 'TERM',
+		} = expectJSON(data);
+
+		validate(isValidId(id));
+		validate(isCommandString(command));
+		validate(isValidEnv(env));
+		validate(isCommandString(cwd) || cwd === undefined);
+		validate(isCommandString(shell) || shell === undefined);
+		validate(typeof exportEnv === 'boolean');
+		validate(isValidTimeout(timeout) || timeout === undefined);
+		validate(signals.names.has(killSignal));
+
+		return { id, command, env, cwd, shell, exportEnv, timeout, killSignal };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.shellParams = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { id, pty = true, env = {} } = expectJSON(data);
+
+		validate(isValidId(id));
+		validate(typeof pty === 'boolean');
+		validate(isValidEnv(env));
+
+		return { id, pty, env };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.signalParams = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { id, signal, controlCharacter = false, close = false } = expectJSON(data);
+
+		validate(isValidId(id));
+		validate(signals.names.has(signal));
+		validate(typeof controlCharacter === 'boolean');
+		validate(!controlCharacter || signals.controlCharacters.has(signal));
+		validate(typeof close === 'boolean');
+
+		return { id, signal, controlCharacter, close };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
 
+// The route may be "*", which matches every route. Otherwise, the username,
+// port, and via are optional, and match anything when omitted.
+exports.forgetParams = (data) => {
+	assert(Buffer.isBuffer(data));
 	try {
-		validate(isNonEmptyString(str));
-		validate(!/[\x00-\x1f\x7f-\x9f]/.test(str)); // Control codes are not allowed
-		return str;
+		const { route, connections = true, credentials = true } = expectJSON(data);
+
+		validate(route === '*' || isObject(route));
+		validate(typeof connections === 'boolean');
+		validate(typeof credentials === 'boolean');
+
+		if (route === '*') {
+			return { route: null, connections, credentials };
+		}
+
+		const { username, hostname, port, via } = route;
+
+		validate(isNonEmptyString(hostname));
+		validate(isNonEmptyString(username) || username === undefined);
+		validate(isValidPort(port) || port === undefined);
+
+		return {
+			route: {
+				username,
+				hostname: hostname.toLowerCase(),
+				port,
+				via: via === undefined ? undefined : jumpHosts(via, false),
+			},
+			connections,
+			credentials,
+		};
 	} catch (err) {
 		if (err === ValidationError) return null;
 		throw err;
@@ -117,6 +237,202 @@ exports.resizeParams = (data) => {
 	}
 };
 
+exports.sftpRequest = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { operation, path, data: fileData, mode } = expectJSON(data);
+
+		validate(SFTP_OPERATIONS.has(operation));
+		validate(isValidPath(path));
+		validate(typeof fileData === 'string' || operation !== 'writeFile');
+		validate(fileData === undefined || operation === 'writeFile');
+		validate(isValidMode(mode) || mode === undefined);
+
+		return { operation, path, data: fileData, mode };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.uploadParams = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { path, mode, atime, mtime } = expectJSON(data);
+
+		validate(isValidPath(path));
+		validate(isValidMode(mode) || mode === undefined);
+		validate(isValidTime(atime) || atime === undefined);
+		validate(isValidTime(mtime) || mtime === undefined);
+
+		return { path, mode, atime, mtime };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.downloadParams = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { path } = expectJSON(data);
+
+		validate(isValidPath(path));
+
+		return { path };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.fileAck = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { bytes } = expectJSON(data);
+
+		validate(Number.isSafeInteger(bytes));
+		validate(bytes >= 0);
+
+		return bytes;
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.tunnelOpen = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { id, host, port } = expectJSON(data);
+
+		validate(isValidId(id));
+		validate(isNonEmptyString(host));
+		validate(isValidPort(port));
+
+		return { id, host, port };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.tunnelId = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { id } = expectJSON(data);
+
+		validate(isValidId(id));
+
+		return id;
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.forwardIn = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { id, bindAddr, bindPort } = expectJSON(data);
+
+		validate(isValidId(id));
+		validate(isNonEmptyString(bindAddr));
+		validate(bindPort === 0 || isValidPort(bindPort));
+
+		return { id, bindAddr, bindPort };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.forwardId = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { id } = expectJSON(data);
+
+		validate(isValidId(id));
+
+		return id;
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+exports.tunnelAck = (data) => {
+	assert(Buffer.isBuffer(data));
+	try {
+		const { id, bytes } = expectJSON(data);
+
+		validate(isValidId(id));
+		validate(Number.isSafeInteger(bytes));
+		validate(bytes >= 0);
+
+		return { id, bytes };
+	} catch (err) {
+		if (err === ValidationError) return null;
+		throw err;
+	}
+};
+
+// STDIN and TUNNEL_DATA frames start with the ID of the channel or tunnel that
+// the rest of the frame data is meant for.
+exports.channelData = (data) => {
+	assert(Buffer.isBuffer(data));
+	if (data.byteLength < 4) return null;
+	return { id: data.readUInt32BE(0), data: data.subarray(4) };
+};
+
+// Jump hosts are given in the order they should be connected to. Each one has
+// its own connection parameters, but only the route (username, hostname, and
+// port) is needed when reusing a cached connection.
+function jumpHosts(via, withAuth) {
+	validate(Array.isArray(via));
+	validate(via.length <= MAX_JUMP_HOSTS);
+
+	return via.map((hop) => {
+		validate(isObject(hop));
+		const {
+			username,
+			hostname,
+			port = 22,
+			fingerprint,
+			privateKey,
+			passphrase,
+			password,
+			privateKeyEncoded = false,
+		} = hop;
+
+		validate(isNonEmptyString(hostname));
+		validate(isNonEmptyString(username));
+		validate(isValidPort(port));
+
+		if (!withAuth) {
+			return { username, hostname: hostname.toLowerCase(), port };
+		}
+
+		validate(isNonEmptyString(fingerprint) || fingerprint === undefined);
+		validate(isNonEmptyString(privateKey) || privateKey === undefined);
+		validate(isNonEmptyString(passphrase) || passphrase === undefined);
+		validate(isNonEmptyString(password) || password === undefined);
+		validate(typeof privateKeyEncoded === 'boolean');
+		validate(!!privateKey || !passphrase);
+		validate(!!privateKey || !privateKeyEncoded);
+
+		return {
+			username,
+			hostname: hostname.toLowerCase(),
+			port,
+			fingerprint,
+			privateKey: privateKeyEncoded ? Buffer.from(privateKey, 'base64') : privateKey,
+			passphrase,
+			password,
+		};
+	});
+}
+
 function validate(boolean) {
 	if (!boolean) {
 		throw ValidationError;
@@ -148,9 +464,59 @@ function isNonEmptyString(value) {
 	return true;
 }
 
+function isCommandString(value) {
+	if (!isNonEmptyString(value)) return false;
+	if (/[\x00-\x1f\x7f-\x9f]/.test(value)) return false; // Control codes are not allowed
+	return true;
+}
+
+function isValidPath(value) {
+	if (!isNonEmptyString(value)) return false;
+	if (value.includes('\0')) return false;
+	return true;
+}
+
+function isValidMode(value) {
+	if (!Number.isInteger(value)) return false;
+	if (value < 0) return false;
+	if (value > 0o7777) return false;
+	return true;
+}
+
+function isValidTime(value) {
+	if (typeof value !== 'number') return false;
+	if (!Number.isFinite(value)) return false;
+	if (value < 0) return false;
+	return true;
+}
+
 function isValidPort(value) {
 	if (!Number.isInteger(value)) return false;
 	if (value <= 0) return false;
 	if (value > 65535) return false;
 	return true;
 }
+
+function isValidEnv(value) {
+	if (!isObject(value)) return false;
+	for (const [name, str] of Object.entries(value)) {
+		if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) return false;
+		if (typeof str !== 'string') return false;
+		if (str.includes('\0')) return false;
+	}
+	return true;
+}
+
+function isValidTimeout(value) {
+	if (!Number.isInteger(value)) return false;
+	if (value <= 0) return false;
+	if (value > 0x7fffffff) return false; // The maximum delay of setTimeout()
+	return true;
+}
+
+function isValidId(value) {
+	if (!Number.isInteger(value)) return false;
+	if (value <= 0) return false;
+	if (value > 0xffffffff) return false;
+	return true;
+}
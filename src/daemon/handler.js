@@ -1,6 +1,7 @@
 'use strict';
 const { EventEmitter } = require('node:events');
 const FrameParser = require('../lib/frame-parser');
+const { version } = require('../../package.json');
 const decode = require('./decode');
 const pool = require('./pool');
 
@@ -14,8 +15,11 @@ const INITIAL = Symbol();
 const CONNECTING = Symbol();
 const READY = Symbol();
 const EXECUTING = Symbol();
+const TRANSFERRING = Symbol();
 const ERRORED = Symbol();
 
+let clientCount = 0;
+
 module.exports = (signal, socket) => {
 	const emitter = new EventEmitter();
 	const frameParser = new FrameParser();
@@ -23,24 +27,27 @@ module.exports = (signal, socket) => {
 	let rows = 24;
 	let cols = 80;
 	let ssh = null;
+	const executions = new Set();
 
 	const onAbort = () => {
-		if (state !== EXECUTING) {
+		if (state !== EXECUTING && state !== TRANSFERRING) {
 			state = ERRORED;
 			socket.destroySoon();
 		}
 	};
 
+	clientCount += 1;
 	signal.addEventListener('abort', onAbort);
 	socket.setNoDelay(true);
 	socket.setKeepAlive(true, 1000);
-	socket.on('error', console.error);
+	socket.on('error', (err) => console.error(err));
 	socket.on('close', () => {
 		ssh && ssh.relinquish(state === READY);
 		ssh = null;
 		state = ERRORED;
 		frameParser.clear();
 		signal.removeEventListener('abort', onAbort);
+		clientCount -= 1;
 	});
 
 	socket.on('data', (chunk) => {
@@ -89,27 +96,222 @@ module.exports = (signal, socket) => {
 					}
 					break;
 
+				case FrameParser.HOSTKEY_RESPONSE:
+					if (state === CONNECTING) {
+						const accepted = decode.hostKeyResponse(frame.data);
+						if (accepted !== null) {
+							ssh.hostKeyResponse(accepted);
+						} else {
+							exception('malformed HOSTKEY_RESPONSE parameters');
+						}
+					} else if (state !== INITIAL && state !== READY) {
+						exception('unexpected HOSTKEY_RESPONSE frame');
+					}
+					break;
+
 				case FrameParser.SIMPLE_COMMAND:
 				case FrameParser.PTY_COMMAND:
-					if (state === READY) {
-						const command = decode.command(frame.data);
-						if (command) {
-							state = EXECUTING;
-							ssh.exec(command, (frame.type === FrameParser.PTY_COMMAND) && { rows, cols });
-						} else {
+					if (state === READY || state === EXECUTING) {
+						const params = decode.command(frame.data);
+						if (!params) {
 							exception('malformed command string');
+						} else if (executions.has(params.id)) {
+							exception('duplicate channel ID');
+						} else {
+							state = EXECUTING;
+							executions.add(params.id);
+							ssh.exec(params, (frame.type === FrameParser.PTY_COMMAND) && { rows, cols });
 						}
 					} else {
 						exception('unexpected *_COMMAND frame');
 					}
 					break;
 
+				case FrameParser.SHELL:
+					if (state === READY || state === EXECUTING) {
+						const params = decode.shellParams(frame.data);
+						if (!params) {
+							exception('malformed SHELL parameters');
+						} else if (executions.has(params.id)) {
+							exception('duplicate channel ID');
+						} else {
+							state = EXECUTING;
+							executions.add(params.id);
+							ssh.shell(params, params.pty && { rows, cols });
+						}
+					} else {
+						exception('unexpected SHELL frame');
+					}
+					break;
+
 				case FrameParser.STDIN:
 					if (state === EXECUTING) {
+						const params = decode.channelData(frame.data);
+						if (!params) {
+							exception('malformed STDIN frame');
+						} else if (params.data.byteLength) {
+							ssh.writeStdin(params.id, params.data);
+						} else {
+							ssh.endStdin(params.id);
+						}
+					}
+					break;
+
+				case FrameParser.SIGNAL:
+					if (state === EXECUTING) {
+						const params = decode.signalParams(frame.data);
+						if (params) {
+							ssh.signal(params);
+						} else {
+							exception('malformed SIGNAL parameters');
+						}
+					}
+					break;
+
+				case FrameParser.SFTP_REQUEST:
+					if (state === READY) {
+						const request = decode.sftpRequest(frame.data);
+						if (request) {
+							state = TRANSFERRING;
+							ssh.sftp(request);
+						} else {
+							exception('malformed SFTP_REQUEST parameters');
+						}
+					} else {
+						exception('unexpected SFTP_REQUEST frame');
+					}
+					break;
+
+				case FrameParser.UPLOAD:
+					if (state === READY) {
+						const params = decode.uploadParams(frame.data);
+						if (params) {
+							state = TRANSFERRING;
+							ssh.upload(params);
+						} else {
+							exception('malformed UPLOAD parameters');
+						}
+					} else {
+						exception('unexpected UPLOAD frame');
+					}
+					break;
+
+				case FrameParser.DOWNLOAD:
+					if (state === READY) {
+						const params = decode.downloadParams(frame.data);
+						if (params) {
+							state = TRANSFERRING;
+							ssh.download(params);
+						} else {
+							exception('malformed DOWNLOAD parameters');
+						}
+					} else {
+						exception('unexpected DOWNLOAD frame');
+					}
+					break;
+
+				case FrameParser.FILE_DATA:
+					if (state === TRANSFERRING) {
 						if (frame.data.byteLength) {
-							ssh.writeStdin(frame.data);
+							ssh.writeFile(frame.data);
+						} else {
+							ssh.endFile();
+						}
+					}
+					break;
+
+				case FrameParser.FILE_ACK:
+					if (state === TRANSFERRING) {
+						const bytes = decode.fileAck(frame.data);
+						if (bytes !== null) {
+							ssh.ackFile(bytes);
+						} else {
+							exception('malformed FILE_ACK parameters');
+						}
+					}
+					break;
+
+				case FrameParser.FILE_ABORT:
+					if (state === TRANSFERRING) {
+						ssh.abortFile();
+					}
+					break;
+
+				case FrameParser.TUNNEL_OPEN:
+					if (isConnected()) {
+						const params = decode.tunnelOpen(frame.data);
+						if (!params) {
+							exception('malformed TUNNEL_OPEN parameters');
+						} else if (params.id % 2 === 0) {
+							exception('invalid tunnel ID');
+						} else if (ssh.hasTunnel(params.id)) {
+							exception('duplicate tunnel ID');
+						} else {
+							ssh.forwardOut(params);
+						}
+					} else {
+						exception('unexpected TUNNEL_OPEN frame');
+					}
+					break;
+
+				case FrameParser.TUNNEL_DATA:
+					if (isConnected()) {
+						const params = decode.channelData(frame.data);
+						if (params) {
+							ssh.writeTunnel(params.id, params.data);
+						} else {
+							exception('malformed TUNNEL_DATA frame');
+						}
+					}
+					break;
+
+				case FrameParser.TUNNEL_END:
+				case FrameParser.TUNNEL_CLOSE:
+					if (isConnected()) {
+						const id = decode.tunnelId(frame.data);
+						if (id === null) {
+							exception('malformed TUNNEL_* parameters');
+						} else if (frame.type === FrameParser.TUNNEL_END) {
+							ssh.endTunnel(id);
+						} else {
+							ssh.closeTunnel(id);
+						}
+					}
+					break;
+
+				case FrameParser.TUNNEL_ACK:
+					if (isConnected()) {
+						const params = decode.tunnelAck(frame.data);
+						if (params) {
+							ssh.ackTunnel(params.id, params.bytes);
 						} else {
-							ssh.endStdin();
+							exception('malformed TUNNEL_ACK parameters');
+						}
+					}
+					break;
+
+				case FrameParser.FORWARD_IN:
+					if (isConnected()) {
+						const params = decode.forwardIn(frame.data);
+						if (!params) {
+							exception('malformed FORWARD_IN parameters');
+						} else if (ssh.hasForward(params.id)) {
+							exception('duplicate forward ID');
+						} else {
+							ssh.forwardIn(params);
+						}
+					} else {
+						exception('unexpected FORWARD_IN frame');
+					}
+					break;
+
+				case FrameParser.FORWARD_CLOSE:
+					if (isConnected()) {
+						const id = decode.forwardId(frame.data);
+						if (id !== null) {
+							ssh.unforwardIn(id);
+						} else {
+							exception('malformed FORWARD_CLOSE parameters');
 						}
 					}
 					break;
@@ -125,6 +327,30 @@ module.exports = (signal, socket) => {
 					}
 					break;
 
+				case FrameParser.STATUS:
+					if (state !== ERRORED) {
+						sendJSON(FrameParser.STATUS_RESPONSE, {
+							pid: process.pid,
+							uptime: Math.round(process.uptime() * 1000),
+							version,
+							protocolVersion: FrameParser.PROTOCOL_VERSION,
+							clientCount,
+							...pool.status(),
+						});
+					}
+					break;
+
+				case FrameParser.FORGET:
+					if (state !== ERRORED) {
+						const params = decode.forgetParams(frame.data);
+						if (params) {
+							sendJSON(FrameParser.FORGOTTEN, pool.forget(params.route, params));
+						} else {
+							exception('malformed FORGET parameters');
+						}
+					}
+					break;
+
 				case FrameParser.RESIZE:
 					if (state !== ERRORED) {
 						const size = decode.resizeParams(frame.data);
@@ -162,7 +388,7 @@ module.exports = (signal, socket) => {
 
 	emitter.on('disconnected', (reason) => {
 		ssh = null;
-		if (state === READY || state === EXECUTING) {
+		if (state === READY || state === EXECUTING || state === TRANSFERRING) {
 			state = ERRORED;
 			sendJSON(FrameParser.DISCONNECTED, { reason });
 			socket.destroySoon();
@@ -179,32 +405,149 @@ module.exports = (signal, socket) => {
 		}
 	});
 
-	emitter.on('stdout', (data) => {
-		if (state === EXECUTING) {
-			sendRaw(FrameParser.STDOUT, data);
+	emitter.on('hostkey', (hostKey) => {
+		if (state === CONNECTING) {
+			sendJSON(FrameParser.HOSTKEY, hostKey);
+		} else {
+			exception('internal error involving unexpected host key');
+		}
+	});
+
+	emitter.on('stdout', (id, data) => {
+		if (state === EXECUTING && executions.has(id)) {
+			sendRaw(FrameParser.STDOUT, withChannelId(id, data));
 		} else {
 			exception('internal error involving unexpected stdout');
 		}
 	});
 
-	emitter.on('stderr', (data) => {
-		if (state === EXECUTING) {
-			sendRaw(FrameParser.STDERR, data);
+	emitter.on('stderr', (id, data) => {
+		if (state === EXECUTING && executions.has(id)) {
+			sendRaw(FrameParser.STDERR, withChannelId(id, data));
 		} else {
 			exception('internal error involving unexpected stderr');
 		}
 	});
 
-	emitter.on('result', (result) => {
-		if (state === EXECUTING) {
-			state = READY;
-			sendJSON(FrameParser.RESULT, result);
+	emitter.on('result', (id, result) => {
+		if (state === EXECUTING && executions.has(id)) {
+			executions.delete(id);
+			if (!executions.size) state = READY;
+			sendJSON(FrameParser.RESULT, { ...result, id });
 			signal.aborted && onAbort();
 		} else {
 			exception('internal error involving unexpected result');
 		}
 	});
 
+	emitter.on('file-info', (info) => {
+		if (state === TRANSFERRING) {
+			sendJSON(FrameParser.FILE_INFO, info);
+		} else {
+			exception('internal error involving unexpected file info');
+		}
+	});
+
+	emitter.on('file-data', (data) => {
+		if (state === TRANSFERRING) {
+			sendRaw(FrameParser.FILE_DATA, data);
+		} else {
+			exception('internal error involving unexpected file data');
+		}
+	});
+
+	emitter.on('file-ack', (bytes) => {
+		if (state === TRANSFERRING) {
+			sendJSON(FrameParser.FILE_ACK, { bytes });
+		} else {
+			exception('internal error involving unexpected file acknowledgement');
+		}
+	});
+
+	emitter.on('sftp-response', (response) => {
+		if (state === TRANSFERRING) {
+			state = READY;
+			sendJSON(FrameParser.SFTP_RESPONSE, response);
+			signal.aborted && onAbort();
+		} else {
+			exception('internal error involving unexpected SFTP response');
+		}
+	});
+
+	emitter.on('tunnel-opened', (id) => {
+		if (isConnected()) {
+			sendJSON(FrameParser.TUNNEL_OPENED, { id });
+		} else {
+			exception('internal error involving unexpected tunnel');
+		}
+	});
+
+	emitter.on('tunnel-data', (id, data) => {
+		if (isConnected()) {
+			sendRaw(FrameParser.TUNNEL_DATA, withChannelId(id, data));
+		} else {
+			exception('internal error involving unexpected tunnel data');
+		}
+	});
+
+	emitter.on('tunnel-end', (id) => {
+		if (isConnected()) {
+			sendJSON(FrameParser.TUNNEL_END, { id });
+		} else {
+			exception('internal error involving unexpected tunnel end');
+		}
+	});
+
+	emitter.on('tunnel-ack', (id, bytes) => {
+		if (isConnected()) {
+			sendJSON(FrameParser.TUNNEL_ACK, { id, bytes });
+		} else {
+			exception('internal error involving unexpected tunnel acknowledgement');
+		}
+	});
+
+	emitter.on('tunnel-close', (id, reason) => {
+		if (isConnected()) {
+			sendJSON(FrameParser.TUNNEL_CLOSE, { id, reason });
+		} else {
+			exception('internal error involving unexpected tunnel close');
+		}
+	});
+
+	emitter.on('tunnel-incoming', (params) => {
+		if (isConnected()) {
+			sendJSON(FrameParser.TUNNEL_INCOMING, params);
+		} else {
+			exception('internal error involving unexpected incoming tunnel');
+		}
+	});
+
+	emitter.on('forward-opened', (id, port) => {
+		if (isConnected()) {
+			sendJSON(FrameParser.FORWARD_OPENED, { id, port });
+		} else {
+			exception('internal error involving unexpected forward');
+		}
+	});
+
+	emitter.on('forward-closed', (id, reason) => {
+		if (isConnected()) {
+			sendJSON(FrameParser.FORWARD_CLOSED, { id, reason });
+		} else {
+			exception('internal error involving unexpected forward close');
+		}
+	});
+
+	function isConnected() {
+		return state === READY || state === EXECUTING || state === TRANSFERRING;
+	}
+
+	function withChannelId(id, data) {
+		const header = Buffer.allocUnsafe(4);
+		header.writeUInt32BE(id, 0);
+		return Buffer.concat([header, data]);
+	}
+
 	function sendRaw(type, data) {
 		if (!socket.writable) return;
 		socket.write(FrameParser.createFrame(type, data));
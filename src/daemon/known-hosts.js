@@ -0,0 +1,101 @@
+'use strict';
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createHash, createHmac } = require('node:crypto');
+
+/*
+	This module reads and writes known_hosts files, in the same format used by
+	OpenSSH. Each line has a comma-separated list of host patterns, followed by
+	the host's key type and base64-encoded public key (and an optional comment).
+	Host patterns are either hostnames (with non-default ports written as
+	"[hostname]:port"), which may contain "*" and "?" wildcards and may be
+	negated with a leading "!", or hashed hostnames, which look like
+	"|1|salt|hash". A line may also start with a marker, which is either
+	"@revoked" or "@cert-authority".
+ */
+
+// Returns the entries of the given known_hosts file, or an empty array if the
+// file doesn't exist. Lines that can't be parsed are ignored (like OpenSSH).
+exports.read = (filename) => {
+	let text;
+	try {
+		text = fs.readFileSync(filename, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') return [];
+		throw err;
+	}
+
+	const entries = [];
+	text.split('\n').forEach((line, index) => {
+		const fields = line.trim().split(/\s+/);
+		const marker = fields[0].startsWith('@') ? fields.shift().slice(1) : null;
+		if (fields.length < 3 || fields[0].startsWith('#')) return;
+		if (marker !== null && marker !== 'revoked' && marker !== 'cert-authority') return;
+		const [hosts, keyType, key] = fields;
+		entries.push({ file: filename, line: index + 1, marker, hosts: hosts.split(','), keyType, key });
+	});
+	return entries;
+};
+
+// Returns the entries that apply to the given host. An entry applies if any of
+// its patterns match the host, unless one of its negated patterns also does.
+exports.lookup = (entries, hostname, port) => {
+	const host = exports.formatHost(hostname, port);
+	return entries.filter((entry) => {
+		let matched = false;
+		for (const pattern of entry.hosts) {
+			if (pattern.startsWith('!')) {
+				if (hostMatches(pattern.slice(1), host)) return false;
+			} else if (!matched) {
+				matched = hostMatches(pattern, host);
+			}
+		}
+		return matched;
+	});
+};
+
+exports.append = (filename, hostname, port, keyType, key) => {
+	fs.appendFileSync(filename, `${exports.formatHost(hostname, port)} ${keyType} ${key}\n`, { mode: 0o600 });
+};
+
+// OpenSSH only writes the port if it isn't the default.
+exports.formatHost = (hostname, port) => {
+	return port === 22 ? hostname : `[${hostname}]:${port}`;
+};
+
+// Like OpenSSH, paths starting with "~/" are relative to the home directory.
+exports.resolvePath = (filename) => {
+	return filename.startsWith('~/') ? path.join(os.homedir(), filename.slice(2)) : filename;
+};
+
+// Given a public key in the SSH wire format, this returns its key type and
+// base64 encoding (as written in known_hosts files), and its fingerprint.
+exports.describeKey = (blob) => {
+	const length = blob.readUInt32BE(0);
+	return {
+		keyType: blob.subarray(4, 4 + length).toString('latin1'),
+		key: blob.toString('base64'),
+		fingerprint: createHash('sha256').update(blob).digest('base64'),
+	};
+};
+
+exports.getFingerprint = (key) => {
+	return createHash('sha256').update(Buffer.from(key, 'base64')).digest('base64');
+};
+
+function hostMatches(pattern, host) {
+	if (pattern.startsWith('|1|')) {
+		const [salt, hash] = pattern.slice(3).split('|');
+		if (!salt || !hash) return false;
+		return createHmac('sha1', Buffer.from(salt, 'base64')).update(host).digest('base64') === hash;
+	}
+	if (!pattern.includes('*') && !pattern.includes('?')) {
+		return pattern.toLowerCase() === host;
+	}
+	const source = pattern.toLowerCase()
+		.replace(/[\\^$.|+()[\]{}]/g, '\\$&')
+		.replaceAll('*', '.*')
+		.replaceAll('?', '.');
+	return new RegExp(`^${source}$`).test(host);
+}
@@ -2,11 +2,15 @@
 const fs = require('node:fs');
 const net = require('node:net');
 const path = require('node:path');
+const { Console } = require('node:console');
 const { flockSync } = require('fs-ext');
 const handler = require('./handler');
+const config = require('./config');
 const pool = require('./pool');
 
 const WIN32 = process.platform === 'win32';
+const CONSOLE_METHODS = ['debug', 'error', 'info', 'log', 'trace', 'warn'];
+let logStream = null;
 
 /*
 	This the ssh-bridge daemon. Only one such daemon can be running at a time,
@@ -25,6 +29,8 @@ async function main() {
 		return; // Some other process has the lock
 	}
 
+	pool.configure(loadSettings(configDir));
+
 	let socketPath;
 	if (process.platform === 'win32') {
 		socketPath = path.join('\\\\?\\pipe', configDir, 'sock');
@@ -43,11 +49,18 @@ async function main() {
 		server.listen(socketPath);
 	});
 
+	// SIGHUP reloads the configuration, without dropping any cached connections
+	// or credentials. It also reopens the log file, to support log rotation.
+	process.on('SIGHUP', () => {
+		reopenLog(configDir);
+		console.warn('Reloading configuration...');
+		pool.configure(loadSettings(configDir));
+	});
+
 	// Keep the server open until a termination signal is received.
 	console.warn('Ready to accept local clients.');
-	server.on('error', console.error);
+	server.on('error', (err) => console.error(err));
 	await new Promise((resolve) => {
-		process.on('SIGHUP', resolve);
 		process.on('SIGINT', resolve);
 		process.on('SIGTERM', resolve);
 	});
@@ -78,6 +91,35 @@ function getConfigDir() {
 	return configDir;
 }
 
+// Besides the settings in the config file, the pool needs to know where the
+// daemon's known_hosts file is.
+function loadSettings(configDir) {
+	return { ...config.load(configDir), knownHostsFile: path.join(configDir, 'known_hosts') };
+}
+
+// The daemon's stdout and stderr are inherited from the process that spawned
+// it (normally, they're the log file). Node can't redirect them, so instead we
+// redirect the console to a newly opened log file. Uncaught exceptions are
+// still written to the original stderr.
+function reopenLog(configDir) {
+	let fd;
+	try {
+		fd = fs.openSync(path.join(configDir, 'log'), 'a', 0o600);
+	} catch (err) {
+		console.error(`Failed to reopen the log file (${err.message})`);
+		return;
+	}
+
+	const stream = fs.createWriteStream(null, { fd });
+	const logger = new Console(stream);
+	for (const method of CONSOLE_METHODS) {
+		console[method] = logger[method];
+	}
+
+	logStream?.end();
+	logStream = stream;
+}
+
 function acquireLock(lockPath) {
 	let locked = false;
 	const flags = fs.constants.O_RDWR | fs.constants.O_CREAT;
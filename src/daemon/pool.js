@@ -3,16 +3,42 @@ const assert = require('node:assert');
 const { randomBytes } = require('node:crypto');
 const { EventEmitter } = require('node:events');
 const { Client, utils: { parseKey } } = require('ssh2');
+const sftp = require('./sftp');
+const shellEscape = require('../lib/shell-escape');
+const signals = require('../lib/signals');
+const createTunnels = require('./tunnels');
+const knownHosts = require('./known-hosts');
 
 /*
 	This module maintains a pool of cached SSH connections and credentials, and
 	provides all the necessary interfaces needed to interact with the SSH layer.
  */
 
-const SHARED_CONNECTIONS_TTL = 1000 * 5; // 5 seconds
-const CACHED_CONNECTIONS_TTL = 1000 * 60 * 60 * 12; // 12 hours
+const KILL_GRACE_PERIOD = 1000 * 2; // 2 seconds
+const DEFAULT_SETTINGS = {
+	sharedConnectionsTTL: 1000 * 5, // 5 seconds
+	cachedConnectionsTTL: 1000 * 60 * 60 * 12, // 12 hours
+	readyTimeout: 1000 * 10, // 10 seconds
+	keepaliveInterval: 1000 * 10, // 10 seconds
+	keepaliveCountMax: 3,
+	hostKeyChecking: 'accept-new',
+	knownHostsFile: null,
+	knownHostsFiles: ['~/.ssh/known_hosts'],
+};
 const cachedConnections = new Map();
 const cachedCredentials = new Map();
+let settings = DEFAULT_SETTINGS;
+
+// This applies the daemon's configuration (see config.js). Any settings that
+// aren't specified are reset to their defaults. New TTLs also apply to the
+// connections that are already cached (measured from when they were cached),
+// but the other settings only apply to new connections.
+exports.configure = (newSettings) => {
+	settings = { ...DEFAULT_SETTINGS, ...newSettings };
+	for (const ssh of cachedConnections.values()) {
+		ssh._updateTTL();
+	}
+};
 
 exports.clear = () => {
 	for (const [cacheKey, ssh] of cachedConnections) {
@@ -21,8 +47,49 @@ exports.clear = () => {
 	}
 };
 
-exports.reuse = ({ username, hostname, port, shareKey }, emitter) => {
-	let cacheKey = getCacheKey(username, hostname, port);
+// Unlike clear(), this can also drop cached credentials, and it only drops
+// the ones whose routes match the given route, in which undefined fields match
+// anything. A null route matches every route. It returns how many of each were
+// dropped.
+exports.forget = (route, { connections, credentials }) => {
+	const counts = { connections: 0, credentials: 0 };
+	const matches = cacheKey => !route || routeMatches(describeCacheKey(cacheKey), route);
+
+	if (connections) {
+		for (const [cacheKey, ssh] of cachedConnections) {
+			if (matches(cacheKey)) {
+				cachedConnections.delete(cacheKey);
+				ssh.relinquish(false);
+				counts.connections += 1;
+			}
+		}
+	}
+	if (credentials) {
+		for (const cacheKey of cachedCredentials.keys()) {
+			if (matches(cacheKey)) {
+				cachedCredentials.delete(cacheKey);
+				counts.credentials += 1;
+			}
+		}
+	}
+	return counts;
+};
+
+// This describes the contents of the caches, without revealing any secrets
+// (i.e., credentials and shareKeys).
+exports.status = () => {
+	const now = Date.now();
+	return {
+		cachedConnections: [...cachedConnections].map(([cacheKey, ssh]) => ({
+			...describeCacheKey(cacheKey),
+			...ssh._cacheStatus(now),
+		})),
+		cachedCredentials: [...cachedCredentials.keys()].map(cacheKey => describeCacheKey(cacheKey)),
+	};
+};
+
+exports.reuse = ({ username, hostname, port, via, shareKey }, emitter) => {
+	let cacheKey = getCacheKey(username, hostname, port, via);
 	if (shareKey) {
 		cacheKey = getExtendedCacheKey(cacheKey, shareKey);
 	}
@@ -38,8 +105,8 @@ exports.reuse = ({ username, hostname, port, shareKey }, emitter) => {
 	}
 };
 
-exports.connect = ({ username, hostname, port, fingerprint, reusable, ...auth }, emitter) => {
-	const cacheKey = getCacheKey(username, hostname, port);
+exports.connect = ({ username, hostname, port, via = [], fingerprint, reusable, cacheTTL, maxSessions, hostKeyChecking = settings.hostKeyChecking, verifyHostKey = false, ...auth }, emitter) => {
+	const cacheKey = getCacheKey(username, hostname, port, via);
 	const connection = new Client();
 
 	if (auth.privateKey && parseKey(auth.privateKey, auth.passphrase) instanceof Error) {
@@ -63,22 +130,100 @@ exports.connect = ({ username, hostname, port, fingerprint, reusable, ...auth },
 		}
 	}
 
-	let fingerprintMismatch = null;
-	const checkFingerprint = (receivedFingerprint) => {
-		receivedFingerprint = Buffer.from(receivedFingerprint, 'hex').toString('base64');
-		if (!fingerprint) {
-			fingerprint = receivedFingerprint;
+	// Revoked keys in the known_hosts files are always rejected. Other than
+	// that, if the caller gave us a fingerprint, it's the only thing we check.
+	// Otherwise, we check the daemon's known_hosts file, along with any other
+	// known_hosts files in the settings (see known-hosts.js). Only the daemon's
+	// own file is ever written to. If the host's key is unknown and the client
+	// wants to verify host keys itself, we wait for the client's decision.
+	let hostKeyError = null;
+	let hostKeyCallback = null;
+	let knownHostsEntry = null;
+	const checkHostKey = (blob, verify) => {
+		const hostKey = knownHosts.describeKey(blob);
+		if (hostKeyChecking === 'off' || !settings.knownHostsFile) {
+			if (fingerprint && fingerprint !== hostKey.fingerprint) {
+				hostKeyError = fingerprintChanged(fingerprint, hostKey.fingerprint);
+				return false;
+			}
+			fingerprint = hostKey.fingerprint;
 			return true;
-		} else if (fingerprint === receivedFingerprint) {
+		}
+
+		let entries;
+		try {
+			const filenames = [settings.knownHostsFile, ...settings.knownHostsFiles.map(knownHosts.resolvePath)];
+			entries = knownHosts.lookup(filenames.flatMap(knownHosts.read), hostname, port);
+		} catch (err) {
+			console.error(err);
+			hostKeyError = `unable to read known_hosts file (${err.message})`;
+			return false;
+		}
+
+		const revoked = entries.find(entry => entry.marker === 'revoked' && entry.key === hostKey.key);
+		if (revoked) {
+			hostKeyError = `host key has been revoked (${revoked.file}, line ${revoked.line})\n    received fingerprint: ${hostKey.fingerprint}`;
+			return false;
+		}
+
+		if (fingerprint) {
+			if (fingerprint !== hostKey.fingerprint) {
+				hostKeyError = fingerprintChanged(fingerprint, hostKey.fingerprint);
+				return false;
+			}
 			return true;
-		} else {
-			fingerprintMismatch = { expected: fingerprint, received: receivedFingerprint };
+		}
+
+		fingerprint = hostKey.fingerprint;
+
+		// Like OpenSSH, we only compare keys of the same type, since hosts
+		// can have multiple keys. Host certificates aren't supported by ssh2,
+		// so @cert-authority entries never match.
+		const sameType = entries.filter(entry => entry.marker === null && entry.keyType === hostKey.keyType);
+		const match = sameType.find(entry => entry.key === hostKey.key);
+		if (match) {
+			knownHostsEntry = { file: match.file, line: match.line };
+			return true;
+		}
+		if (sameType.length) {
+			hostKeyError = fingerprintChanged(knownHosts.getFingerprint(sameType[0].key), hostKey.fingerprint);
+			hostKeyError += `\n    known_hosts entry: ${sameType[0].file}, line ${sameType[0].line}`;
+			return false;
+		}
+
+		const accept = () => {
+			try {
+				knownHosts.append(settings.knownHostsFile, hostname, port, hostKey.keyType, hostKey.key);
+			} catch (err) {
+				console.error(err);
+			}
+			return true;
+		};
+
+		if (verifyHostKey) {
+			hostKeyCallback = (accepted) => {
+				hostKeyCallback = null;
+				if (!accepted) {
+					hostKeyError = `host key verification failed (rejected by the client)\n    received fingerprint: ${hostKey.fingerprint}`;
+				}
+				verify(accepted && accept());
+			};
+			emitter.emit('hostkey', { hostname, port, keyType: hostKey.keyType, fingerprint: hostKey.fingerprint });
+			return undefined; // ssh2 waits for verify() to be called
+		}
+		if (hostKeyChecking === 'strict') {
+			hostKeyError = `host key verification failed (unknown host key, and hostKeyChecking is "strict")\n    received fingerprint: ${hostKey.fingerprint}`;
 			return false;
 		}
+		return accept();
 	};
 
 	let hadChallenges = false;
 	let challengeCallbacks = [];
+	// If there are jump hosts, the connection to the last one (which itself may
+	// be tunneled through the others) is owned by this connection.
+	let jump = null;
+
 	connection.on('keyboard-interactive', (title, instructions, language, prompts, cb) => {
 		hadChallenges = true;
 		challengeCallbacks.push(cb);
@@ -92,7 +237,7 @@ exports.connect = ({ username, hostname, port, fingerprint, reusable, ...auth },
 
 	let connectInfo = null;
 	connection.on('ready', () => {
-		connectInfo = { fingerprint, banner };
+		connectInfo = { fingerprint, banner, knownHostsEntry };
 		emitter.emit('connected', connectInfo);
 		challengeCallbacks = [];
 		banner = null;
@@ -105,10 +250,12 @@ exports.connect = ({ username, hostname, port, fingerprint, reusable, ...auth },
 	let done = false;
 	// TODO: make sure the SSH connection is always closed after the "error" event (before or after "connected")
 	connection.on('error', (err) => {
+		jump && jump.relinquish(false);
 		if (done) return;
 		done = true;
-		emitter.emit(connectInfo ? 'disconnected' : 'unconnected', toErrorMessage(err, fingerprintMismatch));
+		emitter.emit(connectInfo ? 'disconnected' : 'unconnected', toErrorMessage(err, hostKeyError));
 		challengeCallbacks = [];
+		hostKeyCallback = null;
 		banner = null;
 
 		if (reusingCredentials && !connectInfo && err.level === 'client-authentication') {
@@ -119,137 +266,477 @@ exports.connect = ({ username, hostname, port, fingerprint, reusable, ...auth },
 	});
 
 	connection.on('close', () => {
+		jump && jump.relinquish(false);
 		if (done) return;
 		done = true;
 		emitter.emit(connectInfo ? 'disconnected' : 'unconnected', 'remote connection closed unexpectedly');
 		challengeCallbacks = [];
+		hostKeyCallback = null;
 		banner = null;
 	});
 
+	const dial = (sock) => {
+		connection.connect({
+			host: hostname,
+			port: port,
+			sock: sock,
+			username: username,
+			readyTimeout: settings.readyTimeout,
+			keepaliveInterval: settings.keepaliveInterval,
+			keepaliveCountMax: settings.keepaliveCountMax,
+			hostVerifier: checkHostKey,
+			...auth,
+		});
+	};
+
 	connection.setNoDelay(true);
-	connection.connect({
-		host: hostname,
-		port: port,
-		username: username,
-		readyTimeout: 10000,
-		keepaliveInterval: 10000,
-		keepaliveCountMax: 3,
-		hostHash: 'sha256',
-		hostVerifier: checkFingerprint,
-		...auth,
-	});
+	if (!via.length) {
+		dial();
+	} else {
+		const hop = via[via.length - 1];
+		const hopParams = { ...hop, via: via.slice(0, -1), reusable: false, tryKeyboard: auth.tryKeyboard, hostKeyChecking, verifyHostKey };
+		const hopCacheKey = getCacheKey(hop.username, hop.hostname, hop.port, hopParams.via);
+		const hopEmitter = new EventEmitter();
+		let failed = false;
+
+		const fail = (reason) => {
+			failed = true;
+			done = true;
+			emitter.emit('unconnected', `jump host ${hop.hostname}: ${reason}`);
+		};
+
+		const tunnel = () => {
+			jump._forwardStream(hostname, port, (err, sock) => {
+				if (err == null) {
+					dial(sock);
+				} else {
+					jump.relinquish(false);
+					fail(err.message || 'unknown error');
+				}
+			});
+		};
+
+		hopEmitter.on('challenge', (challenge) => emitter.emit('challenge', challenge));
+		hopEmitter.on('hostkey', (hostKey) => emitter.emit('hostkey', hostKey));
+		hopEmitter.on('unconnected', fail);
+		hopEmitter.on('connected', () => tunnel());
+
+		// Cached connections to the jump host can be used too, in which case
+		// they're no longer available for reuse by clients.
+		if (cachedConnections.has(hopCacheKey)) {
+			jump = cachedConnections.get(hopCacheKey);
+			cachedConnections.delete(hopCacheKey);
+			jump._reuse(hopEmitter);
+			tunnel();
+		} else {
+			jump = exports.connect(hopParams, hopEmitter);
+		}
+
+		if (failed) {
+			return null;
+		}
+	}
 
 	let shareKey = null;
 	let ttlTimer = null;
-	let liveChannel = null;
-	let queuedInputData = [];
-	let queuedInputEnd = false;
-	let queuedResize = null;
-	let hasPTY = false;
-	return {
-		challengeResponse(responses) {
-			if (challengeCallbacks.length) {
-				(challengeCallbacks.shift())(responses);
+	let ttlExpire = null;
+	let cachedAt = 0;
+	let cachedTTL = 0;
+	let cachedShared = false;
+	let openSessions = 0;
+	const executions = new Map();
+	const queuedExecutions = [];
+	let sftpSession = null;
+	let sftpCallbacks = null;
+	let transfer = null;
+	const tunnels = createTunnels((...args) => emitter.emit(...args));
+	const forwards = new Map();
+	let nextIncomingTunnelId = 0;
+
+	const forwardStream = (host, port, cb) => {
+		try {
+			connection.forwardOut('127.0.0.1', 0, host, port, cb);
+		} catch (err) {
+			cb(err); // The SSH connection is closing
+		}
+	};
+
+	const cancelForward = (bindAddr, port, cb) => {
+		try {
+			connection.unforwardIn(bindAddr, port, () => cb());
+		} catch (_) {
+			cb(); // The SSH connection is closing
+		}
+	};
+
+	// Connections to remotely forwarded ports are relayed to the client as
+	// tunnels with even IDs (the client only uses odd IDs for its own tunnels).
+	connection.on('tcp connection', ({ destIP, destPort, srcIP, srcPort }, accept, reject) => {
+		for (const [forwardId, forward] of forwards) {
+			if (forward.bindAddr === destIP && forward.port === destPort) {
+				const id = (nextIncomingTunnelId += 2);
+				tunnels.accept(id, accept());
+				emitter.emit('tunnel-incoming', { id, forwardId, srcIP, srcPort });
+				return;
 			}
-		},
-		exec(command, pty) {
-			hasPTY = !!pty;
-			connection.exec(command, { pty }, (error, channel) => {
-				if (error != null) {
-					queuedInputData = [];
-					queuedInputEnd = false;
-					queuedResize = null;
-					hasPTY = false;
+		}
+		reject();
+	});
+
+	// Servers limit how many sessions can be open on a single connection (via
+	// OpenSSH's MaxSessions option, for example), so commands beyond that limit
+	// are queued until a running command finishes. The SFTP subsystem is also a
+	// session, so it counts against the limit while it's open, but we always
+	// allow at least one command to run.
+	const startExecutions = () => {
+		const limit = Math.max(1, maxSessions - (sftpSession || sftpCallbacks ? 1 : 0));
+		while (queuedExecutions.length && openSessions < limit) {
+			const id = queuedExecutions.shift();
+			if (executions.has(id)) {
+				openSessions += 1;
+				startExecution(id, executions.get(id));
+			}
+		}
+	};
+
+	const finishExecution = (id, result) => {
+		openSessions -= 1;
+		executions.delete(id);
+		emitter.emit('result', id, result);
+		startExecutions();
+	};
+
+	const startExecution = (id, execution) => {
+		const onChannel = (error, channel) => {
+			if (error != null) {
+				reusable = false; // Don't reuse connections that have SSH-level errors
+				finishExecution(id, { error: toErrorMessage(error) });
+				return;
+			}
+
+			if (execution.queuedResize) {
+				const { rows, cols } = execution.queuedResize;
+				channel.setWindow(rows, cols, 480, 640);
+			}
+			for (const data of execution.queuedInputData) {
+				channel.write(data);
+			}
+			for (const params of execution.queuedSignals) {
+				sendSignal(channel, execution.pty, params);
+			}
+			if (execution.queuedInputEnd) {
+				channel.end();
+			}
+
+			execution.channel = channel;
+			execution.queuedInputData = [];
+			execution.queuedInputEnd = false;
+			execution.queuedResize = null;
+			execution.queuedSignals = [];
+
+			// When a command times out, it's sent the kill signal. If it still
+			// hasn't exited after a grace period (e.g., if it ignores the signal),
+			// it's sent SIGKILL and we close its channel. Closing the channel alone
+			// doesn't stop the remote process, unless it has a PTY.
+			let timedOut = false;
+			let timer = null;
+			if (execution.timeout !== undefined) {
+				timer = setTimeout(() => {
+					timedOut = true;
+					sendSignal(channel, execution.pty, { signal: execution.killSignal });
+					timer = setTimeout(() => {
+						sendSignal(channel, execution.pty, { signal: 'KILL' });
+						channel.close();
+					}, KILL_GRACE_PERIOD);
+				}, execution.timeout);
+			}
+
+			channel.on('close', (code, signal) => {
+				clearTimeout(timer);
+				if (error != null && !timedOut) {
 					reusable = false; // Don't reuse connections that have SSH-level errors
-					emitter.emit('result', { error: toErrorMessage(error) });
-					return;
+					finishExecution(id, { error: toErrorMessage(error) });
+				} else {
+					if (code === null) code = undefined;
+					if (signal === null) signal = undefined;
+					finishExecution(id, { code, signal, timedOut: timedOut || undefined });
 				}
+			});
 
-				if (queuedResize) {
-					const { rows, cols } = queuedResize;
-					channel.setWindow(rows, cols, 480, 640);
-				}
-				for (const data of queuedInputData) {
-					channel.write(data);
-				}
-				if (queuedInputEnd) {
-					channel.end();
-				}
+			channel.on('error', (err) => {
+				if (error == null) error = err;
+			});
 
-				liveChannel = channel;
-				queuedInputData = [];
-				queuedInputEnd = false;
-				queuedResize = null;
-
-				channel.on('close', (code, signal) => {
-					liveChannel = null;
-					hasPTY = false;
-					if (error != null) {
-						reusable = false; // Don't reuse connections that have SSH-level errors
-						emitter.emit('result', { error: toErrorMessage(error) });
-					} else {
-						if (code === null) code = undefined;
-						if (signal === null) signal = undefined;
-						emitter.emit('result', { code, signal });
-					}
-				});
+			channel.stderr.on('error', (err) => {
+				if (error == null) error = err;
+			});
 
-				channel.on('error', (err) => {
-					if (error == null) error = err;
-				});
+			channel.on('data', (data) => {
+				emitter.emit('stdout', id, data);
+			});
 
-				channel.stderr.on('error', (err) => {
-					if (error == null) error = err;
-				});
+			channel.stderr.on('data', (data) => {
+				emitter.emit('stderr', id, data);
+			});
+		};
 
-				channel.on('data', (data) => {
-					emitter.emit('stdout', data);
-				});
+		try {
+			if (execution.command === null) {
+				connection.shell(execution.pty || false, { env: execution.env }, onChannel);
+			} else {
+				connection.exec(execution.command, { pty: execution.pty, env: execution.env }, onChannel);
+			}
+		} catch (_) {
+			// The SSH connection is closing, so it's about to be reported as
+			// disconnected, which fails all of its commands anyway.
+		}
+	};
+
+	const sftpResponse = (err, response) => {
+		transfer = null;
+		if (err == null) {
+			emitter.emit('sftp-response', response);
+		} else {
+			reusable = false; // Don't reuse connections that have SSH-level errors
+			emitter.emit('sftp-response', { error: toErrorMessage(err) });
+		}
+	};
+
+	// The SFTP subsystem is only opened when it's first needed, and then it's
+	// kept open for the lifetime of the SSH connection.
+	const getSFTP = (cb) => {
+		if (sftpSession) {
+			return cb(null, sftpSession);
+		}
+		if (sftpCallbacks) {
+			return sftpCallbacks.push(cb);
+		}
 
-				channel.stderr.on('data', (data) => {
-					emitter.emit('stderr', data);
+		const onSession = (err, session) => {
+			const callbacks = sftpCallbacks;
+			sftpCallbacks = null;
+			if (err == null) {
+				sftpSession = session;
+				session.on('error', () => {});
+				session.on('close', () => {
+					if (sftpSession === session) sftpSession = null;
+					startExecutions();
 				});
+			}
+			for (const cb of callbacks) {
+				cb(err, session);
+			}
+		};
+
+		sftpCallbacks = [cb];
+		try {
+			connection.sftp(onSession);
+		} catch (err) {
+			onSession(err); // The SSH connection is closing
+		}
+	};
+
+	return {
+		challengeResponse(responses) {
+			if (challengeCallbacks.length) {
+				(challengeCallbacks.shift())(responses);
+			} else if (jump && !connectInfo) {
+				jump.challengeResponse(responses);
+			}
+		},
+		hostKeyResponse(accepted) {
+			if (hostKeyCallback) {
+				hostKeyCallback(accepted);
+			} else if (jump && !connectInfo) {
+				jump.hostKeyResponse(accepted);
+			}
+		},
+		exec(params, pty) {
+			const { id, env, timeout, killSignal } = params;
+			executions.set(id, {
+				command: buildCommand(params),
+				pty,
+				env,
+				timeout,
+				killSignal,
+				channel: null,
+				queuedInputData: [],
+				queuedInputEnd: false,
+				queuedResize: null,
+				queuedSignals: [],
+			});
+			queuedExecutions.push(id);
+			startExecutions();
+		},
+		shell({ id, env }, pty) {
+			executions.set(id, {
+				command: null,
+				pty,
+				env,
+				timeout: undefined,
+				killSignal: undefined,
+				channel: null,
+				queuedInputData: [],
+				queuedInputEnd: false,
+				queuedResize: null,
+				queuedSignals: [],
+			});
+			queuedExecutions.push(id);
+			startExecutions();
+		},
+		sftp(request) {
+			getSFTP((err, session) => {
+				if (err == null) {
+					sftp.operate(session, request, sftpResponse);
+				} else {
+					sftpResponse(err);
+				}
+			});
+		},
+		upload(params) {
+			transfer = sftp.upload(getSFTP, params, (bytes) => {
+				emitter.emit('file-ack', bytes);
+			}, sftpResponse);
+		},
+		download(params) {
+			transfer = sftp.download(getSFTP, params, (info) => {
+				emitter.emit('file-info', info);
+			}, (data) => {
+				emitter.emit('file-data', data);
+			}, sftpResponse);
+		},
+		writeFile(data) {
+			transfer && transfer.write(data);
+		},
+		endFile() {
+			transfer && transfer.end();
+		},
+		ackFile(bytes) {
+			transfer && transfer.ack(bytes);
+		},
+		abortFile() {
+			transfer && transfer.abort();
+		},
+		hasTunnel(id) {
+			return tunnels.has(id);
+		},
+		forwardOut({ id, host, port }) {
+			tunnels.open(id, (cb) => forwardStream(host, port, cb));
+		},
+		hasForward(id) {
+			return forwards.has(id);
+		},
+		forwardIn({ id, bindAddr, bindPort }) {
+			const forward = { bindAddr, port: null };
+			forwards.set(id, forward);
+
+			const onForward = (err, port) => {
+				if (forwards.get(id) !== forward) {
+					// The connection was relinquished while the request was pending.
+					err == null && cancelForward(bindAddr, port, () => {});
+				} else if (err != null) {
+					forwards.delete(id);
+					emitter.emit('forward-closed', id, err.message || 'unknown error');
+				} else {
+					forward.port = port;
+					emitter.emit('forward-opened', id, port);
+				}
+			};
+
+			try {
+				connection.forwardIn(bindAddr, bindPort, onForward);
+			} catch (err) {
+				onForward(err); // The SSH connection is closing
+			}
+		},
+		unforwardIn(id) {
+			const forward = forwards.get(id);
+			if (!forward || forward.port === null) {
+				return;
+			}
+
+			forwards.delete(id);
+			cancelForward(forward.bindAddr, forward.port, () => {
+				emitter.emit('forward-closed', id);
 			});
 		},
-		writeStdin(data) {
-			if (liveChannel) {
-				if (liveChannel.writable) {
-					liveChannel.write(data);
+		writeTunnel(id, data) {
+			tunnels.write(id, data);
+		},
+		endTunnel(id) {
+			tunnels.end(id);
+		},
+		ackTunnel(id, bytes) {
+			tunnels.ack(id, bytes);
+		},
+		closeTunnel(id) {
+			tunnels.close(id);
+		},
+		writeStdin(id, data) {
+			const execution = executions.get(id);
+			if (!execution) {
+				return;
+			}
+			if (execution.channel) {
+				if (execution.channel.writable) {
+					execution.channel.write(data);
 				}
-			} else if (!queuedInputEnd) {
-				queuedInputData.push(data);
+			} else if (!execution.queuedInputEnd) {
+				execution.queuedInputData.push(data);
 			}
 		},
-		endStdin() {
-			if (liveChannel) {
-				if (liveChannel.writable) {
-					liveChannel.end();
+		endStdin(id) {
+			const execution = executions.get(id);
+			if (!execution) {
+				return;
+			}
+			if (execution.channel) {
+				if (execution.channel.writable) {
+					execution.channel.end();
 				}
 			} else {
-				queuedInputEnd = true;
+				execution.queuedInputEnd = true;
+			}
+		},
+		signal(params) {
+			const execution = executions.get(params.id);
+			if (!execution) {
+				return;
+			}
+			if (execution.channel) {
+				sendSignal(execution.channel, execution.pty, params);
+			} else {
+				execution.queuedSignals.push(params);
 			}
 		},
 		resize(rows, cols) {
-			if (hasPTY) {
-				if (liveChannel) {
-					liveChannel.setWindow(rows, cols, 480, 640);
-				} else {
-					queuedResize = { rows, cols };
+			for (const execution of executions.values()) {
+				if (execution.pty) {
+					if (execution.channel) {
+						execution.channel.setWindow(rows, cols, 480, 640);
+					} else {
+						execution.queuedResize = { rows, cols };
+					}
 				}
 			}
 		},
 		relinquish(reuse = false) {
+			tunnels.closeAll();
+			for (const [id, { bindAddr, port }] of forwards) {
+				forwards.delete(id);
+				if (port !== null && reuse) {
+					cancelForward(bindAddr, port, () => {});
+				}
+			}
 			if (reuse !== 'SHARE' && (!reuse || !reusable)) {
 				connection.end();
 				return;
 			}
 
 			let key = cacheKey;
-			let ttl = CACHED_CONNECTIONS_TTL;
 			if (reuse === 'SHARE') {
 				if (!shareKey) shareKey = randomBytes(16).toString('hex');
 				key = getExtendedCacheKey(cacheKey, shareKey);
-				ttl = SHARED_CONNECTIONS_TTL;
 			}
 
 			const cleanup = () => {
@@ -263,39 +750,127 @@ exports.connect = ({ username, hostname, port, fingerprint, reusable, ...auth },
 			cachedConnections.set(key, this);
 			emitter = new EventEmitter();
 			emitter.once('disconnected', cleanup);
-			ttlTimer = setTimeout(() => { cleanup(); connection.end(); }, ttl);
+			ttlExpire = () => { cleanup(); connection.end(); };
+			cachedAt = Date.now();
+			cachedShared = reuse === 'SHARE';
+			this._updateTTL();
 
 			if (reuse === 'SHARE') {
 				return shareKey;
 			}
 		},
+		_forwardStream(host, port, cb) {
+			forwardStream(host, port, cb);
+		},
 		_reuse(newEmitter) {
 			emitter = newEmitter;
 			clearTimeout(ttlTimer);
 			return connectInfo;
 		},
+		// This (re)starts the TTL timer of a cached connection, according to the
+		// current settings.
+		_updateTTL() {
+			cachedTTL = cachedShared ? settings.sharedConnectionsTTL : cacheTTL ?? settings.cachedConnectionsTTL;
+			clearTimeout(ttlTimer);
+			ttlTimer = setTimeout(ttlExpire, Math.max(0, cachedAt + cachedTTL - Date.now()));
+		},
+		_cacheStatus(now) {
+			const idleTime = now - cachedAt;
+			return { shared: cachedShared, idleTime, ttlRemaining: Math.max(0, cachedTTL - idleTime) };
+		},
 	};
 };
 
-function getCacheKey(username, hostname, port) {
+// Connections (and credentials) are cached per route, so that connections
+// made through jump hosts are never confused with direct connections.
+function getCacheKey(username, hostname, port, via = []) {
 	return [
 		Buffer.from(username).toString('base64'),
 		Buffer.from(hostname).toString('base64'),
 		String(port),
+		...via.map(hop => getCacheKey(hop.username, hop.hostname, hop.port)),
 	].join('\n');
 }
 
+// This is the inverse of getCacheKey() (and getExtendedCacheKey()), except
+// that shareKeys are never revealed.
+function describeCacheKey(cacheKey) {
+	const parts = cacheKey.split('\n');
+	const routes = [];
+	for (let i = 0; i + 3 <= parts.length; i += 3) {
+		routes.push({
+			username: Buffer.from(parts[i], 'base64').toString(),
+			hostname: Buffer.from(parts[i + 1], 'base64').toString(),
+			port: Number(parts[i + 2]),
+		});
+	}
+
+	const [route, ...via] = routes;
+	return { ...route, via };
+}
+
+// Environment variables are normally sent as SSH "env" requests, but servers
+// silently ignore any variables they don't accept (e.g., via OpenSSH's AcceptEnv
+// option), so they can optionally be exported by the command itself instead.
+// The command runs in the given working directory, and within the given shell.
+function buildCommand({ command, env, cwd, shell, exportEnv }) {
+	const prefix = [];
+	if (cwd !== undefined) {
+		prefix.push(`cd ${shellEscape(cwd)}`);
+	}
+	if (exportEnv && Object.keys(env).length) {
+		prefix.push(`export ${Object.entries(env).map(([name, value]) => `${name}=${shellEscape(value)}`).join(' ')}`);
+	}
+
+	command = [...prefix, command].join(' && ');
+	return shell === undefined ? command : shellEscape(shell, '-c', command);
+}
+
+// Unlike the SSH protocol, ssh2 doesn't allow signals to be sent after the
+// channel's stdin has ended, so we send the signal request directly. Control
+// characters, however, can only be written while stdin is still open. This
+// returns whether the signal could be sent. If requested, the channel is then
+// closed, in case the command ignores the signal.
+function sendSignal(channel, pty, { signal, controlCharacter, close = false }) {
+	let sent = false;
+	if (controlCharacter) {
+		if (pty && channel.writable) {
+			channel.write(signals.controlCharacters.get(signal));
+			sent = true;
+		}
+	} else if (channel.outgoing.state === 'open' || channel.outgoing.state === 'eof') {
+		channel._client._protocol.signal(channel.outgoing.id, signal);
+		sent = true;
+	}
+	if (close) {
+		channel.close();
+	}
+	return sent;
+}
+
+function routeMatches(actual, { username, hostname, port, via }) {
+	const sameHop = (a, b) => a.username === b.username && a.hostname === b.hostname && a.port === b.port;
+	return (username === undefined || username === actual.username)
+		&& hostname === actual.hostname
+		&& (port === undefined || port === actual.port)
+		&& (via === undefined || (via.length === actual.via.length && via.every((hop, i) => sameHop(hop, actual.via[i]))));
+}
+
 function getExtendedCacheKey(cacheKey, shareKey) {
 	assert(cacheKey);
 	assert(shareKey);
 	return `${cacheKey}\n${shareKey}`;
 }
 
-function toErrorMessage(err, fingerprintMismatch) {
+function fingerprintChanged(expected, received) {
+	return `host fingerprint has changed\nWARNING: You could be getting hacked! Contact an administrator immediately!\n    expected fingerprint: ${expected}\n    received fingerprint: ${received}`;
+}
+
+function toErrorMessage(err, hostKeyError) {
 	switch (err.level) {
 		case 'handshake':
-			if (fingerprintMismatch) {
-				return `host fingerprint has changed\nWARNING: You could be getting hacked! Contact an administrator immediately!\n    expected fingerprint: ${fingerprintMismatch.expected}\n    received fingerprint: ${fingerprintMismatch.received}`;
+			if (hostKeyError) {
+				return hostKeyError;
 			}
 			return `SSH handshake failed${getErrorMessage(err)}`;
 		case 'client-socket':
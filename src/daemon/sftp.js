@@ -0,0 +1,274 @@
+'use strict';
+const { utils: { sftp: { STATUS_CODE } } } = require('ssh2');
+
+const STATUS_NAMES = new Map(Object.entries(STATUS_CODE).map(([name, status]) => [status, name]));
+const WINDOW_SIZE = 1024 * 1024; // 1 MiB
+const CHUNK_SIZE = 1024 * 64; // 64 KiB
+
+/*
+	This module implements the file operations that clients can perform via an
+	SSH connection's SFTP subsystem. The callback receives either a response
+	object (to be sent to the client as-is), or an error that is not a regular
+	SFTP status error (which indicates a problem in the SSH layer).
+ */
+
+exports.operate = (sftp, { operation, path, data, mode }, cb) => {
+	const respondWith = (err, value) => {
+		respond(err, value === undefined ? {} : { value }, cb);
+	};
+
+	switch (operation) {
+		case 'readFile':
+			sftp.readFile(path, (err, buffer) => {
+				respondWith(err, buffer && buffer.toString('base64'));
+			});
+			break;
+		case 'writeFile':
+			sftp.writeFile(path, Buffer.from(data, 'base64'), { mode }, (err) => {
+				respondWith(err);
+			});
+			break;
+		case 'stat':
+			sftp.stat(path, (err, stats) => {
+				respondWith(err, stats && exports.toStats(stats));
+			});
+			break;
+		case 'readdir':
+			sftp.readdir(path, (err, entries) => {
+				respondWith(err, entries && entries
+					.map(x => ({ name: x.filename, stats: exports.toStats(x.attrs) }))
+					.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+			});
+			break;
+		case 'unlink':
+			sftp.unlink(path, (err) => {
+				respondWith(err);
+			});
+			break;
+		case 'rmdir':
+			sftp.rmdir(path, (err) => {
+				respondWith(err);
+			});
+			break;
+		case 'mkdir':
+			sftp.mkdir(path, mode === undefined ? {} : { mode }, (err) => {
+				respondWith(err);
+			});
+			break;
+		default:
+			throw new TypeError(`Unrecognized SFTP operation: ${operation}`);
+	}
+};
+
+// This streams a file from the client to the remote host. The returned object
+// receives the file contents (from the client) in chunks, and each chunk is
+// acknowledged (via onAck) after it's written to the remote file. Since the
+// SFTP subsystem might not be available yet, it's obtained via getSFTP.
+exports.upload = (getSFTP, { path, mode, atime, mtime }, onAck, cb) => {
+	let session = null;
+	let handle = null;
+	let position = 0;
+	let chunks = [];
+	let writing = false;
+	let ended = false;
+	let done = false;
+
+	const finish = (err, response) => {
+		if (done) return;
+		done = true;
+		chunks = [];
+		if (handle) {
+			session.close(handle, () => {});
+			handle = null;
+		}
+		respond(err, response, cb);
+	};
+
+	const complete = () => {
+		const attrs = {};
+		if (mode !== undefined) attrs.mode = mode;
+		if (mtime !== undefined) Object.assign(attrs, { atime: atime === undefined ? mtime : atime, mtime });
+
+		const close = () => {
+			const closingHandle = handle;
+			handle = null;
+			session.close(closingHandle, (err) => {
+				finish(err, { value: { bytes: position } });
+			});
+		};
+
+		if (Object.keys(attrs).length) {
+			session.fsetstat(handle, attrs, (err) => {
+				if (err != null) finish(err);
+				else close();
+			});
+		} else {
+			close();
+		}
+	};
+
+	const pump = () => {
+		if (done || writing || !handle) return;
+		if (chunks.length) {
+			const chunk = chunks.shift();
+			writing = true;
+			session.write(handle, chunk, 0, chunk.byteLength, position, (err) => {
+				writing = false;
+				if (done) return;
+				if (err != null) return finish(err);
+				position += chunk.byteLength;
+				onAck(position);
+				pump();
+			});
+		} else if (ended) {
+			writing = true; // Prevent any further pumping
+			complete();
+		}
+	};
+
+	getSFTP((err, sftp) => {
+		if (done) return;
+		if (err != null) return finish(err);
+		session = sftp;
+		session.open(path, 'w', mode === undefined ? {} : { mode }, (err, fileHandle) => {
+			if (done) return fileHandle && session.close(fileHandle, () => {});
+			if (err != null) return finish(err);
+			handle = fileHandle;
+			pump();
+		});
+	});
+
+	return {
+		write(data) {
+			if (!done && !ended) {
+				chunks.push(data);
+				pump();
+			}
+		},
+		end() {
+			if (!done && !ended) {
+				ended = true;
+				pump();
+			}
+		},
+		ack() {},
+		abort() {
+			finish(null, {});
+		},
+	};
+};
+
+// This streams a file from the remote host to the client. Before sending any
+// file contents (via onData), the file's info is sent (via onInfo). We never
+// send more than WINDOW_SIZE bytes beyond what the client has acknowledged,
+// and the transfer is only considered complete after the client acknowledges
+// every byte, which guarantees that no acknowledgements arrive late.
+exports.download = (getSFTP, { path }, onInfo, onData, cb) => {
+	let session = null;
+	let handle = null;
+	let position = 0;
+	let acked = 0;
+	let reading = false;
+	let eof = false;
+	let done = false;
+
+	const finish = (err, response) => {
+		if (done) return;
+		done = true;
+		if (handle) {
+			session.close(handle, () => {});
+			handle = null;
+		}
+		respond(err, response, cb);
+	};
+
+	const pump = () => {
+		if (done || reading || !handle) return;
+		if (eof) {
+			if (acked >= position) {
+				reading = true; // Prevent any further pumping
+				const closingHandle = handle;
+				handle = null;
+				session.close(closingHandle, (err) => {
+					finish(err, { value: { bytes: position } });
+				});
+			}
+		} else if (position - acked < WINDOW_SIZE) {
+			const buffer = Buffer.allocUnsafe(CHUNK_SIZE);
+			reading = true;
+			session.read(handle, buffer, 0, CHUNK_SIZE, position, (err, bytesRead) => {
+				reading = false;
+				if (done) return;
+				if (err != null && err.code !== STATUS_CODE.EOF) return finish(err);
+				if (err != null || !bytesRead) {
+					eof = true;
+					onData(Buffer.alloc(0));
+				} else {
+					position += bytesRead;
+					onData(buffer.subarray(0, bytesRead));
+				}
+				pump();
+			});
+		}
+	};
+
+	getSFTP((err, sftp) => {
+		if (done) return;
+		if (err != null) return finish(err);
+		session = sftp;
+		session.open(path, 'r', (err, fileHandle) => {
+			if (done) return fileHandle && session.close(fileHandle, () => {});
+			if (err != null) return finish(err);
+			session.fstat(fileHandle, (err, stats) => {
+				if (done) return session.close(fileHandle, () => {});
+				if (err != null) {
+					session.close(fileHandle, () => {});
+					return finish(err);
+				}
+				handle = fileHandle;
+				onInfo(exports.toStats(stats));
+				pump();
+			});
+		});
+	});
+
+	return {
+		write() {},
+		end() {},
+		ack(bytes) {
+			acked = Math.max(acked, Math.min(bytes, position));
+			pump();
+		},
+		abort() {
+			finish(null, {});
+		},
+	};
+};
+
+// SFTP servers respond with status codes to indicate errors such as missing
+// files or denied permissions. These are not fatal, so we report them to the
+// client as part of a normal response.
+exports.toStatus = (err) => {
+	if (!STATUS_NAMES.has(err.code) || err.code === STATUS_CODE.OK) {
+		return null;
+	}
+	return {
+		status: err.code,
+		code: STATUS_NAMES.get(err.code),
+		message: err.message || 'unknown error',
+	};
+};
+
+exports.toStats = ({ mode, uid, gid, size, atime, mtime }) => {
+	return { mode, uid, gid, size, atime, mtime };
+};
+
+function respond(err, response, cb) {
+	if (err != null) {
+		const status = exports.toStatus(err);
+		if (status) cb(null, status);
+		else cb(err);
+	} else {
+		cb(null, response);
+	}
+}
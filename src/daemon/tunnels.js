@@ -0,0 +1,121 @@
+'use strict';
+
+const WINDOW_SIZE = 1024 * 256; // 256 KiB
+
+/*
+	This module multiplexes TCP tunnels (i.e., SSH "direct-tcpip" channels) over
+	a client's connection to the daemon. Each tunnel is identified by an ID that
+	is chosen by the client (or by the daemon, for "forwarded-tcpip" channels
+	opened by the remote host). To prevent unbounded buffering, we stop reading
+	from a channel while more than WINDOW_SIZE bytes have been sent to the client
+	but not yet acknowledged by it. Conversely, we acknowledge data from the
+	client only after it has been written to the channel.
+ */
+
+module.exports = (emit) => {
+	const tunnels = new Map();
+
+	const createTunnel = (id) => {
+		const tunnel = { channel: null, closed: false, sent: 0, acked: 0, received: 0, reason: undefined };
+		tunnels.set(id, tunnel);
+		return tunnel;
+	};
+
+	const attach = (id, tunnel, channel) => {
+		tunnel.channel = channel;
+
+		channel.on('data', (data) => {
+			tunnel.sent += data.byteLength;
+			emit('tunnel-data', id, data);
+			if (tunnel.sent - tunnel.acked >= WINDOW_SIZE) {
+				channel.pause();
+			}
+		});
+
+		channel.on('end', () => {
+			if (!tunnel.closed) {
+				emit('tunnel-end', id);
+			}
+		});
+
+		channel.on('close', () => {
+			if (!tunnel.closed) {
+				tunnel.closed = true;
+				tunnels.delete(id);
+				emit('tunnel-close', id, tunnel.reason);
+			}
+		});
+
+		channel.on('error', (err) => {
+			if (tunnel.reason === undefined) {
+				tunnel.reason = err.message || 'unknown error';
+			}
+		});
+	};
+
+	return {
+		has(id) {
+			return tunnels.has(id);
+		},
+		open(id, openChannel) {
+			const tunnel = createTunnel(id);
+
+			openChannel((err, channel) => {
+				if (tunnel.closed) {
+					channel && channel.close();
+				} else if (err != null) {
+					tunnel.closed = true;
+					tunnels.delete(id);
+					emit('tunnel-close', id, err.message || 'unknown error');
+				} else {
+					emit('tunnel-opened', id);
+					attach(id, tunnel, channel);
+				}
+			});
+		},
+		accept(id, channel) {
+			attach(id, createTunnel(id), channel);
+		},
+		write(id, data) {
+			const tunnel = tunnels.get(id);
+			if (tunnel && tunnel.channel && tunnel.channel.writable) {
+				tunnel.channel.write(data, () => {
+					if (!tunnel.closed) {
+						tunnel.received += data.byteLength;
+						emit('tunnel-ack', id, tunnel.received);
+					}
+				});
+			}
+		},
+		end(id) {
+			const tunnel = tunnels.get(id);
+			if (tunnel && tunnel.channel && tunnel.channel.writable) {
+				tunnel.channel.end();
+			}
+		},
+		ack(id, bytes) {
+			const tunnel = tunnels.get(id);
+			if (tunnel && tunnel.channel) {
+				tunnel.acked = Math.max(tunnel.acked, Math.min(bytes, tunnel.sent));
+				if (tunnel.channel.isPaused() && tunnel.sent - tunnel.acked < WINDOW_SIZE) {
+					tunnel.channel.resume();
+				}
+			}
+		},
+		close(id) {
+			const tunnel = tunnels.get(id);
+			if (tunnel) {
+				tunnel.closed = true;
+				tunnels.delete(id);
+				tunnel.channel && tunnel.channel.close();
+			}
+		},
+		closeAll() {
+			for (const [id, tunnel] of tunnels) {
+				tunnel.closed = true;
+				tunnels.delete(id);
+				tunnel.channel && tunnel.channel.close();
+			}
+		},
+	};
+};
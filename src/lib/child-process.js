@@ -0,0 +1,192 @@
+'use strict';
+const { EventEmitter } = require('node:events');
+const { finished } = require('node:stream/promises');
+const shellEscape = require('./shell-escape');
+const { hasControlCharacters } = shellEscape;
+
+const DEFAULT_MAX_BUFFER = 1024 * 1024;
+
+/*
+	These functions imitate spawn() and execFile() from Node's child_process
+	module, except that the process runs on the remote host, using a client that
+	already has an SSH connection. This allows code that was written around
+	child_process to be pointed at a remote host. Since the remote user's login
+	shell interprets every command, the arguments are quoted for a POSIX shell,
+	unless the "shell" option is used (like in child_process).
+ */
+
+exports.spawn = (client, file, args, options) => {
+	[args, options] = optionalArgs(args, options);
+	const { shell = false, pty, env, exportEnv, cwd, timeout, killSignal } = options;
+
+	if (typeof file !== 'string' || file === '' || hasControlCharacters(file)) {
+		throw new TypeError('Expected file to be a non-empty string without control characters');
+	}
+	if (!args.every(arg => typeof arg === 'string' && !hasControlCharacters(arg))) {
+		throw new TypeError('Expected args to be an array of strings without control characters');
+	}
+	if (typeof shell !== 'boolean' && (typeof shell !== 'string' || shell === '')) {
+		throw new TypeError('Expected shell to be a boolean or a non-empty string');
+	}
+
+	// Like child_process, the "shell" option disables quoting, so the arguments
+	// can use shell syntax. If it's a string, it's also used as the shell.
+	const command = shell ? [file, ...args].join(' ') : shellEscape(file, ...args);
+	const execution = client.exec(command, {
+		pty,
+		env,
+		exportEnv,
+		cwd,
+		shell: typeof shell === 'string' ? shell : undefined,
+		timeout,
+		killSignal,
+	});
+
+	return createChildProcess(execution, file, args);
+};
+
+exports.execFile = (client, file, args, options, callback) => {
+	if (typeof args === 'function') [args, options, callback] = [undefined, undefined, args];
+	if (typeof options === 'function') [options, callback] = [undefined, options];
+	[args, options] = optionalArgs(args, options);
+	const { encoding = 'utf8', maxBuffer = DEFAULT_MAX_BUFFER, ...spawnOptions } = options;
+
+	if (encoding !== 'buffer' && (typeof encoding !== 'string' || !Buffer.isEncoding(encoding))) {
+		throw new TypeError('Expected encoding to be "buffer" or a valid string encoding');
+	}
+	if (typeof maxBuffer !== 'number' || !(maxBuffer >= 0)) {
+		throw new TypeError('Expected maxBuffer to be a non-negative number');
+	}
+	if (callback !== undefined && typeof callback !== 'function') {
+		throw new TypeError('Expected callback to be a function, if provided');
+	}
+
+	const child = exports.spawn(client, file, args, spawnOptions);
+	const cmd = [file, ...args].join(' ');
+	let done = false;
+	const stdout = collect(child.stdout);
+	const stderr = collect(child.stderr);
+
+	const decode = (buffer) => encoding === 'buffer' ? buffer : buffer.toString(encoding);
+	const finish = (err) => {
+		if (done) return;
+		done = true;
+		if (callback) {
+			callback(err, decode(stdout.get()), decode(stderr.get()));
+		}
+	};
+
+	// Like child_process, the process is killed if either of its output
+	// streams exceeds the maxBuffer, and the callback is invoked right away.
+	function collect(stream) {
+		const chunks = [];
+		let size = 0;
+		stream.on('data', (chunk) => {
+			if (done) return;
+			const available = maxBuffer - size;
+			if (chunk.byteLength > available) {
+				chunks.push(chunk.subarray(0, available));
+				size = maxBuffer;
+				const name = stream === child.stdout ? 'stdout' : 'stderr';
+				const error = new RangeError(`${name} maxBuffer length exceeded`);
+				error.code = 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+				child.kill(spawnOptions.killSignal);
+				finish(error);
+			} else {
+				chunks.push(chunk);
+				size += chunk.byteLength;
+			}
+		});
+		return { get: () => Buffer.concat(chunks) };
+	}
+
+	child.on('error', finish);
+	child.on('close', (code, signal) => {
+		if (code === 0 && signal === null) {
+			finish(null);
+		} else {
+			const error = new Error(`Command failed: ${cmd}\n${stderr.get()}`);
+			error.code = code;
+			error.killed = child.killed;
+			error.signal = signal;
+			error.cmd = cmd;
+			finish(error);
+		}
+	});
+
+	return child;
+};
+
+// This is the equivalent of util.promisify(child_process.execFile), which
+// resolves to both stdout and stderr, and exposes the process as "child".
+exports.execFilePromise = (client, file, args, options) => {
+	let child;
+	const promise = new Promise((resolve, reject) => {
+		child = exports.execFile(client, file, args, options, (err, stdout, stderr) => {
+			if (err) reject(Object.assign(err, { stdout, stderr }));
+			else resolve({ stdout, stderr });
+		});
+	});
+	promise.child = child;
+	return promise;
+};
+
+// This wraps an execution (returned by client.exec()) in an object that
+// imitates a ChildProcess. The remote process has no local pid, and there's no
+// way to know exactly when it gets spawned, so there's no "spawn" event.
+function createChildProcess(execution, file, args) {
+	const { stdin, stdout, stderr, result } = execution;
+	const child = Object.assign(new EventEmitter(), {
+		stdin,
+		stdout,
+		stderr,
+		stdio: [stdin, stdout, stderr],
+		pid: undefined,
+		spawnfile: file,
+		spawnargs: [file, ...args],
+		exitCode: null,
+		signalCode: null,
+		killed: false,
+		// Like ChildProcess#kill(), "killed" is only set if the signal could
+		// actually be sent (see execution.kill()).
+		kill(signal = 'SIGTERM') {
+			const sent = execution.kill(signal);
+			if (sent) child.killed = true;
+			return sent;
+		},
+	});
+
+	result.then(async ({ code, signal }) => {
+		child.exitCode = code === undefined ? null : code;
+		child.signalCode = signal === undefined ? null : signal;
+		child.emit('exit', child.exitCode, child.signalCode);
+
+		// The "close" event waits for the output streams to end, but only if
+		// something is actually reading them (otherwise they never would).
+		await Promise.all([stdout, stderr].map((stream) => {
+			if (stream.readableFlowing === null) return;
+			return finished(stream).catch(() => {});
+		}));
+		child.emit('close', child.exitCode, child.signalCode);
+	}, (err) => {
+		child.emit('error', err);
+	});
+
+	return child;
+}
+
+// Like in child_process, the args array is optional.
+function optionalArgs(args, options) {
+	if (args !== undefined && args !== null && !Array.isArray(args)) {
+		if (options !== undefined) {
+			throw new TypeError('Expected args to be an array of strings without control characters');
+		}
+		[args, options] = [undefined, args];
+	}
+	if (options === undefined || options === null) {
+		options = {};
+	} else if (typeof options !== 'object') {
+		throw new TypeError('Expected options to be an object, if provided');
+	}
+	return [args || [], options];
+}
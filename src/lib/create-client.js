@@ -1,6 +1,18 @@
 'use strict';
-const { Readable, Writable } = require('node:stream');
+const fs = require('node:fs');
+const net = require('node:net');
+const readline = require('node:readline');
+const { promisify } = require('node:util');
+const { EventEmitter } = require('node:events');
+const { Duplex, Readable, Writable } = require('node:stream');
+const { finished } = require('node:stream/promises');
 const FrameParser = require('./frame-parser');
+const syncDirectory = require('./sync-directory');
+const childProcess = require('./child-process');
+const socksHandshake = require('./socks-proxy');
+const signals = require('./signals');
+const shellEscape = require('./shell-escape');
+const { hasControlCharacters } = shellEscape;
 
 /*
 	This function creates and returns a fully-functioning ssh-bridge client,
@@ -13,8 +25,14 @@ const INITIAL = Symbol();
 const CONNECTING = Symbol();
 const READY = Symbol();
 const EXECUTING = Symbol();
+const TRANSFERRING = Symbol();
 const SHARING = Symbol();
 const ERRORED = Symbol();
+const WINDOW_SIZE = 1024 * 1024; // 1 MiB
+const DAEMON_RESPONSE_NAMES = new Map([
+	[FrameParser.STATUS_RESPONSE, 'STATUS_RESPONSE'],
+	[FrameParser.FORGOTTEN, 'FORGOTTEN'],
+]);
 
 module.exports = (socket) => {
 	const frameParser = new FrameParser();
@@ -24,9 +42,26 @@ module.exports = (socket) => {
 	let state = INITIAL;
 	let resolver;
 	let error;
+	let nextChannelId = 1;
+	let nextTunnelId = 1;
+	let nextForwardId = 1;
+	let checkingProtocolVersion = true;
+	const executions = new Map();
+	const aborters = new WeakMap(); // Maps each execution object to its abort() function
+	const tunnels = new Map();
+	const tunnelServers = new Set();
+	const forwards = new Map();
+	const daemonRequests = [];
 
 	socket.setNoDelay(true);
 	socket.setKeepAlive(true, 1000);
+
+	// A daemon keeps running when this package is upgraded, so it might not
+	// speak the same protocol as this client. Instead of waiting for the
+	// daemon's status up front, we ask for it before anything else, and check
+	// it when it arrives. Daemons that predate the STATUS frame silently ignore
+	// it, so if the daemon responds to anything else first, it's outdated.
+	sendJSON(FrameParser.STATUS, {});
 	socket.on('error', (err) => {
 		exception('Connection with ssh-bridge daemon closed unexpectedly', 'NO_DAEMON', { cause: err });
 	});
@@ -39,6 +74,20 @@ module.exports = (socket) => {
 	socket.on('data', (chunk) => {
 		frameParser.append(chunk);
 		for (const frame of frameParser.frames()) {
+			if (checkingProtocolVersion) {
+				checkingProtocolVersion = false;
+				const { protocolVersion = 1 } = frame.type === FrameParser.STATUS_RESPONSE && decodeJSON(frame.data) || {};
+				if (protocolVersion !== FrameParser.PROTOCOL_VERSION) {
+					exception(`The running ssh-bridge daemon uses protocol version ${protocolVersion}, but this client requires version ${FrameParser.PROTOCOL_VERSION} (restart the daemon with "ssh-bridge restart")`, 'DAEMON_ERROR', {
+						reason: 'incompatible protocol version',
+					});
+					return;
+				}
+				if (frame.type === FrameParser.STATUS_RESPONSE) {
+					continue;
+				}
+			}
+
 			switch (frame.type) {
 
 				case FrameParser.CHALLENGE:
@@ -49,6 +98,14 @@ module.exports = (socket) => {
 					}
 					break;
 
+				case FrameParser.HOSTKEY:
+					if (state === CONNECTING && resolver.hostKeyHandler) {
+						handleHostKey(resolver.hostKeyHandler, decodeJSON(frame.data) || {}, connectionAttempts);
+					} else {
+						protocolException('unexpected HOSTKEY frame');
+					}
+					break;
+
 				case FrameParser.CONNECTED:
 					if (state === CONNECTING) {
 						state = READY;
@@ -70,7 +127,7 @@ module.exports = (socket) => {
 					break;
 
 				case FrameParser.DISCONNECTED:
-					if (state === READY || state === EXECUTING || state === SHARING) {
+					if (state === READY || state === EXECUTING || state === TRANSFERRING || state === SHARING) {
 						exception('SSH connection closed unexpectedly', 'NO_SSH', {
 							reason: decodeJSON(frame.data)?.reason || 'unknown error',
 						});
@@ -79,13 +136,14 @@ module.exports = (socket) => {
 					}
 					break;
 
-				case FrameParser.RESULT:
-					if (state === EXECUTING) {
-						const result = decodeJSON(frame.data) || {};
+				case FrameParser.RESULT: {
+					const { id, ...result } = decodeJSON(frame.data) || {};
+					const execution = executions.get(id);
+					if (state === EXECUTING && execution) {
 						if (result.error === undefined) {
-							state = READY;
-							resolver.resolve(result);
-							resolver = undefined;
+							executions.delete(id);
+							if (!executions.size) state = READY;
+							execution.resolve(result);
 						} else {
 							exception('SSH error during command execution', 'SSH_ERROR', {
 								reason: result.error || 'unknown error',
@@ -95,22 +153,190 @@ module.exports = (socket) => {
 						protocolException('unexpected RESULT frame');
 					}
 					break;
+				}
 
-				case FrameParser.STDOUT:
-					if (state === EXECUTING) {
-						resolver.stdout.push(frame.data);
+				case FrameParser.STDOUT: {
+					const execution = getExecution(frame.data);
+					if (state === EXECUTING && execution) {
+						execution.stdout.push(frame.data.subarray(4));
 					} else {
 						protocolException('unexpected STDOUT frame');
 					}
 					break;
+				}
 
-				case FrameParser.STDERR:
-					if (state === EXECUTING) {
-						resolver.stderr.push(frame.data);
+				case FrameParser.STDERR: {
+					const execution = getExecution(frame.data);
+					if (state === EXECUTING && execution) {
+						execution.stderr.push(frame.data.subarray(4));
 					} else {
 						protocolException('unexpected STDERR frame');
 					}
 					break;
+				}
+
+				case FrameParser.SFTP_RESPONSE:
+					if (state === TRANSFERRING) {
+						const response = decodeJSON(frame.data) || {};
+						if (response.error === undefined) {
+							state = READY;
+							if (response.status === undefined) {
+								resolver.resolve(response.value);
+							} else {
+								resolver.reject(sftpError(response));
+							}
+							resolver = undefined;
+						} else {
+							exception('SSH error during file operation', 'SSH_ERROR', {
+								reason: response.error || 'unknown error',
+							});
+						}
+					} else {
+						protocolException('unexpected SFTP_RESPONSE frame');
+					}
+					break;
+
+				case FrameParser.FILE_INFO:
+					if (state === TRANSFERRING && resolver.onFileInfo) {
+						resolver.onFileInfo(decodeJSON(frame.data) || {});
+					} else {
+						protocolException('unexpected FILE_INFO frame');
+					}
+					break;
+
+				case FrameParser.FILE_DATA:
+					if (state === TRANSFERRING && resolver.onFileData) {
+						resolver.onFileData(frame.data);
+					} else {
+						protocolException('unexpected FILE_DATA frame');
+					}
+					break;
+
+				case FrameParser.FILE_ACK:
+					if (state === TRANSFERRING && resolver.onFileAck) {
+						resolver.onFileAck(decodeJSON(frame.data)?.bytes || 0);
+					} else {
+						protocolException('unexpected FILE_ACK frame');
+					}
+					break;
+
+				case FrameParser.TUNNEL_OPENED: {
+					const tunnel = tunnels.get(decodeJSON(frame.data)?.id);
+					if (tunnel && !tunnel.stream) {
+						tunnel.stream = createTunnelStream(tunnel);
+						tunnel.resolve(tunnel.stream);
+					} else if (tunnel) {
+						protocolException('unexpected TUNNEL_OPENED frame');
+					}
+					break;
+				}
+
+				case FrameParser.TUNNEL_DATA: {
+					if (frame.data.byteLength < 4) {
+						protocolException('malformed TUNNEL_DATA frame');
+						break;
+					}
+					const tunnel = tunnels.get(frame.data.readUInt32BE(0));
+					if (tunnel && tunnel.stream) {
+						const data = frame.data.subarray(4);
+						tunnel.received += data.byteLength;
+						if (tunnel.stream.push(data)) {
+							tunnel.acknowledge();
+						}
+					} else if (tunnel) {
+						protocolException('unexpected TUNNEL_DATA frame');
+					}
+					break;
+				}
+
+				case FrameParser.TUNNEL_END: {
+					const tunnel = tunnels.get(decodeJSON(frame.data)?.id);
+					if (tunnel && tunnel.stream) {
+						tunnel.stream.push(null);
+					} else if (tunnel) {
+						protocolException('unexpected TUNNEL_END frame');
+					}
+					break;
+				}
+
+				case FrameParser.TUNNEL_ACK: {
+					const { id, bytes } = decodeJSON(frame.data) || {};
+					const tunnel = tunnels.get(id);
+					if (tunnel && tunnel.stream) {
+						tunnel.acked = Math.max(tunnel.acked, bytes || 0);
+						if (tunnel.onDrain && tunnel.sent - tunnel.acked < WINDOW_SIZE) {
+							const onDrain = tunnel.onDrain;
+							tunnel.onDrain = null;
+							onDrain();
+						}
+					} else if (tunnel) {
+						protocolException('unexpected TUNNEL_ACK frame');
+					}
+					break;
+				}
+
+				case FrameParser.TUNNEL_CLOSE: {
+					const { id, reason } = decodeJSON(frame.data) || {};
+					const tunnel = tunnels.get(id);
+					if (tunnel) {
+						tunnel.closed = true;
+						tunnels.delete(id);
+						if (!tunnel.stream) {
+							tunnel.reject(tunnelError('Failed to open tunnel', reason || 'unknown error'));
+						} else if (reason !== undefined) {
+							tunnel.stream.destroy(tunnelError('Tunnel closed unexpectedly', reason));
+						} else {
+							// Any data that was already received can still be read.
+							const { stream } = tunnel;
+							stream.push(null);
+							if (stream.readableEnded) stream.destroy();
+							else stream.once('end', () => stream.destroy());
+						}
+					}
+					break;
+				}
+
+				case FrameParser.TUNNEL_INCOMING: {
+					const { id, forwardId } = decodeJSON(frame.data) || {};
+					const forward = forwards.get(forwardId);
+					if (!Number.isInteger(id) || id % 2 !== 0 || tunnels.has(id)) {
+						protocolException('unexpected TUNNEL_INCOMING frame');
+					} else if (forward && forward.handle) {
+						const tunnel = createTunnel(id);
+						tunnel.stream = createTunnelStream(tunnel);
+						const socket = net.connect({ host: forward.localHost, port: forward.localPort, allowHalfOpen: true });
+						pipeSocket(socket, tunnel.stream);
+					} else {
+						sendJSON(FrameParser.TUNNEL_CLOSE, { id });
+					}
+					break;
+				}
+
+				case FrameParser.FORWARD_OPENED: {
+					const { id, port } = decodeJSON(frame.data) || {};
+					const forward = forwards.get(id);
+					if (forward && !forward.handle) {
+						forward.handle = { port, close: () => closeForward(forward) };
+						forward.resolve(forward.handle);
+					} else if (forward) {
+						protocolException('unexpected FORWARD_OPENED frame');
+					}
+					break;
+				}
+
+				case FrameParser.FORWARD_CLOSED: {
+					const { id, reason } = decodeJSON(frame.data) || {};
+					const forward = forwards.get(id);
+					if (forward) {
+						forwards.delete(id);
+						if (!forward.handle) {
+							forward.reject(tunnelError('Failed to forward remote port', reason || 'unknown error'));
+						} else {
+							forward.onClose && forward.onClose();
+						}
+					}
+					break;
+				}
 
 				case FrameParser.EXCEPTION:
 					exception('Fatal error emitted by ssh-bridge daemon', 'DAEMON_ERROR', {
@@ -127,6 +353,17 @@ module.exports = (socket) => {
 						protocolException('unexpected SHARED frame');
 					}
 					break;
+
+				case FrameParser.STATUS_RESPONSE:
+				case FrameParser.FORGOTTEN: {
+					const response = decodeJSON(frame.data);
+					if (daemonRequests[0]?.responseType === frame.type && response) {
+						daemonRequests.shift().resolve(response);
+					} else {
+						protocolException(`unexpected ${DAEMON_RESPONSE_NAMES.get(frame.type)} frame`);
+					}
+					break;
+				}
 			}
 		}
 	});
@@ -147,13 +384,22 @@ module.exports = (socket) => {
 				error.cause = cause;
 			}
 
-			// If there's a pending operation, we reject it with the error.
+			closeTunnels(error, type === 'CLOSED');
+
+			// If there are pending operations, we reject them with the error.
 			// Otherwise, we set hasNewException, which indicates that the next
 			// attempted operation should be rejected with the error. This makes
 			// error handling much less susceptible to racy nondeterminism.
-			if (resolver) {
-				resolver.reject(error);
+			if (resolver || executions.size || daemonRequests.length) {
+				resolver && resolver.reject(error);
 				resolver = undefined;
+				for (const execution of executions.values()) {
+					execution.reject(error);
+				}
+				executions.clear();
+				for (const daemonRequest of daemonRequests.splice(0)) {
+					daemonRequest.reject(error);
+				}
 			} else {
 				hasNewException = true;
 			}
@@ -166,6 +412,149 @@ module.exports = (socket) => {
 		exception('Daemon protocol violation', 'PROTOCOL_ERROR', { reason });
 	}
 
+	// Tunnels and forwards only live as long as the client holds its SSH
+	// connection. When the client is closed manually (or when it shares its SSH
+	// connection), open tunnels are destroyed without an error, much like a
+	// socket whose server has shut down gracefully.
+	function closeTunnels(err, graceful) {
+		for (const server of tunnelServers) {
+			server.close();
+		}
+		tunnelServers.clear();
+
+		for (const forward of forwards.values()) {
+			if (forward.handle) {
+				forward.onClose && forward.onClose();
+			} else {
+				forward.reject(err);
+			}
+		}
+		forwards.clear();
+
+		for (const tunnel of tunnels.values()) {
+			tunnel.closed = true;
+			if (tunnel.stream) {
+				tunnel.stream.destroy(graceful ? undefined : err);
+			} else {
+				tunnel.reject(err);
+			}
+		}
+		tunnels.clear();
+	}
+
+	// STDOUT and STDERR frames start with the ID of the command's channel.
+	function getExecution(data) {
+		return data.byteLength >= 4 ? executions.get(data.readUInt32BE(0)) : undefined;
+	}
+
+	function createTunnel(id, resolve = null, reject = null) {
+		const tunnel = {
+			id,
+			stream: null,
+			closed: false,
+			sent: 0,
+			acked: 0,
+			received: 0,
+			reported: 0,
+			onDrain: null,
+			acknowledge: null,
+			resolve,
+			reject,
+		};
+		tunnels.set(id, tunnel);
+		return tunnel;
+	}
+
+	// Local servers that open tunnels are tracked, so that they can be closed
+	// along with the tunnels.
+	async function listen(server, port, host) {
+		await new Promise((resolve, reject) => {
+			server.once('error', reject);
+			server.listen(port, host, () => {
+				server.off('error', reject);
+				resolve();
+			});
+		});
+
+		if (state !== READY && state !== EXECUTING && state !== TRANSFERRING) {
+			server.close();
+			expectState(READY, EXECUTING, TRANSFERRING);
+		}
+
+		tunnelServers.add(server);
+		server.on('close', () => tunnelServers.delete(server));
+		return server;
+	}
+
+	function closeForward(forward) {
+		if (!forward.closing) {
+			forward.closing = new Promise((resolve) => {
+				forward.onClose = resolve;
+			});
+			if (forwards.get(forward.id) === forward) {
+				sendJSON(FrameParser.FORWARD_CLOSE, { id: forward.id });
+			} else {
+				forward.onClose();
+			}
+		}
+		return forward.closing;
+	}
+
+	function createTunnelStream(tunnel) {
+		const { id } = tunnel;
+		const header = Buffer.alloc(4);
+		header.writeUInt32BE(id, 0);
+
+		// Received data is only acknowledged once the stream's consumer is
+		// ready for more, which gives us backpressure over the tunnel.
+		tunnel.acknowledge = () => {
+			if (tunnel.received > tunnel.reported && !tunnel.closed) {
+				tunnel.reported = tunnel.received;
+				sendJSON(FrameParser.TUNNEL_ACK, { id, bytes: tunnel.received });
+			}
+		};
+
+		const stream = new Duplex({
+			write(data, encoding, cb) {
+				if (tunnel.closed) return cb();
+				sendRaw(FrameParser.TUNNEL_DATA, Buffer.concat([header, data]));
+				tunnel.sent += data.byteLength;
+				if (tunnel.sent - tunnel.acked >= WINDOW_SIZE) {
+					tunnel.onDrain = cb;
+				} else {
+					cb();
+				}
+			},
+			final(cb) {
+				if (!tunnel.closed) {
+					sendJSON(FrameParser.TUNNEL_END, { id });
+				}
+				cb();
+			},
+			read() {
+				tunnel.acknowledge();
+			},
+			destroy(err, cb) {
+				if (!tunnel.closed) {
+					tunnel.closed = true;
+					tunnels.delete(id);
+
+					// If both sides ended gracefully, the remote side will close
+					// the channel on its own, without discarding buffered data.
+					if (err || !stream.readableEnded || !stream.writableFinished) {
+						sendJSON(FrameParser.TUNNEL_CLOSE, { id });
+					}
+				}
+				tunnel.onDrain = null;
+				cb(err);
+			},
+		});
+
+		// Attach an error handler so it doesn't trigger uncaught exceptions.
+		stream.on('error', () => {});
+		return stream;
+	}
+
 	function handleChallenge(challengeHandler, challenge, connectionAttemptNumber) {
 		Promise.resolve()
 			.then(() => challengeHandler(challenge))
@@ -183,6 +572,22 @@ module.exports = (socket) => {
 			});
 	}
 
+	function handleHostKey(hostKeyHandler, hostKey, connectionAttemptNumber) {
+		Promise.resolve()
+			.then(() => hostKeyHandler(hostKey))
+			.then((accepted) => {
+				if (state !== CONNECTING) return;
+				if (connectionAttempts !== connectionAttemptNumber) return;
+				if (typeof accepted === 'boolean') {
+					sendJSON(FrameParser.HOSTKEY_RESPONSE, { accepted });
+				} else {
+					exception('Expected host key response to be a boolean', 'HOSTKEY_ERROR');
+				}
+			}, (err) => {
+				exception('Failed to verify host key', 'HOSTKEY_ERROR', { cause: err });
+			});
+	}
+
 	function sendRaw(type, data, encoding, cb) {
 		if (state === ERRORED) return;
 		if (!socket.writable) return;
@@ -206,7 +611,7 @@ module.exports = (socket) => {
 
 	// This utility function is used to guard the client's methods against being
 	// used in unexpected states. It also propagates previous exceptions.
-	function expectState(expectedState) {
+	function expectState(...expectedStates) {
 		if (state === ERRORED) {
 			if (hasNewException) {
 				hasNewException = false;
@@ -215,19 +620,143 @@ module.exports = (socket) => {
 				throw Object.assign(new TypeError('Client is closed'), { cause: error });
 			}
 		}
-		if (state !== expectedState) {
+		if (!expectedStates.includes(state)) {
 			throw new TypeError('Method not available in the current state');
 		}
 	}
 
+	// Each command (or shell) runs in its own SSH channel, so they can run
+	// concurrently. All frames relating to the command include the ID that the
+	// client chose for its channel.
+	function execute(hasPTY, sendCommand) {
+		let id = null;
+		let header = null;
+		const stdin = new Writable({
+			write(data, encoding, cb) {
+				if (!data.length || !header) return cb();
+				sendRaw(FrameParser.STDIN, Buffer.concat([header, data]), undefined, cb);
+			},
+			final(cb) {
+				if (!header) return cb();
+				sendRaw(FrameParser.STDIN, header, undefined, cb);
+			},
+		});
+
+		const stdout = new Readable({ read() {} });
+		const stderr = new Readable({ read() {} });
+		const result = new Promise((resolve, reject) => {
+			expectState(READY, EXECUTING);
+			id = nextChannelId++;
+			header = Buffer.alloc(4);
+			header.writeUInt32BE(id, 0);
+			sendCommand(id);
+			state = EXECUTING;
+			executions.set(id, { resolve, reject, stdout, stderr });
+		});
+
+		result.then(() => {
+			stdin.destroy();
+			stdout.push(null);
+			stderr.push(null);
+		}, (err) => {
+			stdin.destroy();
+			stdout.destroy(err);
+			stderr.destroy(err);
+		});
+
+		// Signals are sent to the remote process, so there's no guarantee that
+		// it will actually exit. Like ChildProcess#kill(), this returns true if
+		// the signal was sent (i.e., if the command was still running). Signals
+		// can be sent after stdin has ended, but control characters can't.
+		const kill = (signal = 'TERM', { controlCharacter = false } = {}) => {
+			if (typeof signal !== 'string' || !signals.names.has(signals.normalize(signal))) {
+				throw new TypeError('Expected signal to be a valid signal name');
+			}
+			if (typeof controlCharacter !== 'boolean') {
+				throw new TypeError('Expected controlCharacter to be a boolean');
+			}
+
+			signal = signals.normalize(signal);
+			if (controlCharacter) {
+				if (!hasPTY) {
+					throw new TypeError('Control characters can only be used with a PTY');
+				}
+				if (!signals.controlCharacters.has(signal)) {
+					throw new TypeError(`No control character exists for SIG${signal}`);
+				}
+			}
+
+			if (!executions.has(id) || (controlCharacter && stdin.writableEnded)) {
+				return false;
+			}
+
+			sendJSON(FrameParser.SIGNAL, { id, signal, controlCharacter });
+			return true;
+		};
+
+		// This is used internally to stop commands that have gone astray, even if
+		// they ignore signals, by also closing their channel.
+		const abort = () => {
+			if (executions.has(id)) {
+				sendJSON(FrameParser.SIGNAL, { id, signal: 'KILL', controlCharacter: false, close: true });
+			}
+		};
+
+		// This allows streaming parsers to iterate over the output line by line.
+		// If the command fails, the iteration throws the same error as result.
+		const lines = (stream = 'stdout') => {
+			if (stream !== 'stdout' && stream !== 'stderr') {
+				throw new TypeError('Expected stream to be "stdout" or "stderr"');
+			}
+
+			const input = stream === 'stdout' ? stdout : stderr;
+			return readline.createInterface({ input, crlfDelay: Infinity })[Symbol.asyncIterator]();
+		};
+
+		// Attach error handlers so they don't trigger uncaught exceptions.
+		stdin.on('error', () => {});
+		stdout.on('error', () => {});
+		stderr.on('error', () => {});
+
+		const execution = { stdin, stdout, stderr, result, kill, lines };
+		aborters.set(execution, abort);
+		return execution;
+	}
+
 	function attachPromise() {
 		return new Promise((resolve, reject) => {
 			resolver = { resolve, reject };
 		});
 	}
 
-	return {
+	// Unlike most operations, requests about the daemon itself can be made in
+	// any state, so they have their own queue, rather than using the resolver.
+	// The daemon always responds to them in order.
+	function daemonRequest(requestType, responseType, params) {
+		expectState(INITIAL, CONNECTING, READY, EXECUTING, TRANSFERRING, SHARING);
+		sendJSON(requestType, params);
+		return new Promise((resolve, reject) => {
+			daemonRequests.push({ responseType, resolve, reject });
+		});
+	}
+
+	async function sftpRequest(params) {
+		if (typeof params.path !== 'string') {
+			throw new TypeError('Expected path to be a string');
+		}
+
+		expectState(READY);
+		sendJSON(FrameParser.SFTP_REQUEST, params);
+		state = TRANSFERRING;
+		return attachPromise();
+	}
+
+	const client = {
 		async reuse({ ...params } = {}) {
+			if (params.via !== undefined && !Array.isArray(params.via)) {
+				params.via = [params.via];
+			}
+
 			expectState(INITIAL);
 			sendJSON(FrameParser.REUSE, params);
 			connectionAttempts += 1;
@@ -235,7 +764,7 @@ module.exports = (socket) => {
 			return attachPromise();
 		},
 
-		async connect({ ...params } = {}, challengeHandler = null) {
+		async connect({ ...params } = {}, challengeHandler = null, hostKeyHandler = null) {
 			if (typeof challengeHandler === 'function') {
 				params.tryKeyboard = true;
 			} else if (challengeHandler === null) {
@@ -243,73 +772,441 @@ module.exports = (socket) => {
 			} else {
 				throw new TypeError('Expected challengeHandler to be a function, if provided');
 			}
-
-			if (Buffer.isBuffer(params.privateKey)) {
-				params.privateKey = params.privateKey.toString('base64');
-				params.privateKeyEncoded = true;
+			if (typeof hostKeyHandler === 'function') {
+				params.verifyHostKey = true;
+			} else if (hostKeyHandler === null) {
+				params.verifyHostKey = false;
 			} else {
-				params.privateKeyEncoded = false;
+				throw new TypeError('Expected hostKeyHandler to be a function, if provided');
+			}
+
+			if (params.via !== undefined) {
+				if (!Array.isArray(params.via)) params.via = [params.via];
+				params.via = params.via.map(hop => encodePrivateKey({ ...hop }));
 			}
 
+			encodePrivateKey(params);
 			expectState(INITIAL);
 			sendJSON(FrameParser.CONNECT, params);
 			connectionAttempts += 1;
 			state = CONNECTING;
 			const promise = attachPromise();
 			resolver.challengeHandler = challengeHandler;
+			resolver.hostKeyHandler = hostKeyHandler;
 			return promise;
 		},
 
-		exec(command, { pty = false } = {}) {
+		exec(command, { pty = false, env = {}, cwd, shell, exportEnv = false, timeout, killSignal = 'TERM' } = {}) {
 			if (typeof command !== 'string') {
 				throw new TypeError('Expected command to be a string');
 			}
+			if (!isValidEnv(env)) {
+				throw new TypeError('Expected env to map variable names to strings');
+			}
+			if (cwd !== undefined && (typeof cwd !== 'string' || cwd === '')) {
+				throw new TypeError('Expected cwd to be a non-empty string, if provided');
+			}
+			if (shell !== undefined && (typeof shell !== 'string' || shell === '')) {
+				throw new TypeError('Expected shell to be a non-empty string, if provided');
+			}
+			if (typeof exportEnv !== 'boolean') {
+				throw new TypeError('Expected exportEnv to be a boolean');
+			}
+			if (timeout !== undefined && (!Number.isInteger(timeout) || timeout <= 0 || timeout > 0x7fffffff)) {
+				throw new TypeError('Expected timeout to be a positive integer, if provided');
+			}
+			if (typeof killSignal !== 'string' || !signals.names.has(signals.normalize(killSignal))) {
+				throw new TypeError('Expected killSignal to be a valid signal name');
+			}
+
+			killSignal = signals.normalize(killSignal);
+			return execute(pty, (id) => {
+				sendJSON(pty ? FrameParser.PTY_COMMAND : FrameParser.SIMPLE_COMMAND, { id, command, env, cwd, shell, exportEnv, timeout, killSignal });
+			});
+		},
+
+		// Command strings can't contain control characters, so multi-line
+		// scripts are instead sent to the interpreter via stdin. The interpreter
+		// replaces the remote shell (via exec), so that signals reach it.
+		script(source, { interpreter = 'sh', args = [], ...options } = {}) {
+			if (typeof source !== 'string') {
+				throw new TypeError('Expected source to be a string');
+			}
+			if (typeof interpreter !== 'string' || interpreter === '' || hasControlCharacters(interpreter)) {
+				throw new TypeError('Expected interpreter to be a non-empty string without control characters');
+			}
+			if (!Array.isArray(args) || !args.every(arg => typeof arg === 'string' && !hasControlCharacters(arg))) {
+				throw new TypeError('Expected args to be an array of strings without control characters');
+			}
+
+			const execution = client.exec(`exec ${shellEscape(interpreter, '-s', '--', ...args)}`, options);
+			execution.stdin.end(source);
+			return execution;
+		},
+
+		async run(command, {
+			input,
+			encoding = 'utf8',
+			maxBuffer = Infinity,
+			rejectOnNonZero = true,
+			...options
+		} = {}) {
+			if (input !== undefined && typeof input !== 'string' && !Buffer.isBuffer(input)) {
+				throw new TypeError('Expected input to be a string or Buffer, if provided');
+			}
+			if (encoding !== 'buffer' && (typeof encoding !== 'string' || !Buffer.isEncoding(encoding))) {
+				throw new TypeError('Expected encoding to be "buffer" or a valid string encoding');
+			}
+			if (typeof maxBuffer !== 'number' || !(maxBuffer >= 0)) {
+				throw new TypeError('Expected maxBuffer to be a non-negative number');
+			}
+			if (typeof rejectOnNonZero !== 'boolean') {
+				throw new TypeError('Expected rejectOnNonZero to be a boolean');
+			}
+
+			const execution = client.exec(command, options);
+			execution.stdin.end(input);
+
+			// If the output exceeds the maxBuffer, we abort the command, and then
+			// reject once it has stopped.
+			let overflow = null;
+			const collect = (stream, name) => new Promise((resolve, reject) => {
+				const chunks = [];
+				let size = 0;
+				stream.on('data', (chunk) => {
+					size += chunk.byteLength;
+					if (size > maxBuffer) {
+						stream.removeAllListeners('data');
+						if (!overflow) {
+							overflow = new RangeError(`${name} maxBuffer length exceeded`);
+							aborters.get(execution)();
+						}
+					} else {
+						chunks.push(chunk);
+					}
+				});
+				stream.on('end', () => resolve(Buffer.concat(chunks)));
+				stream.on('error', reject);
+			});
+
+			const [{ code, signal, timedOut }, stdoutBuffer, stderrBuffer] = await Promise.all([
+				execution.result,
+				collect(execution.stdout, 'stdout'),
+				collect(execution.stderr, 'stderr'),
+			]);
+			if (overflow) {
+				throw overflow;
+			}
+
+			const decode = (buffer) => encoding === 'buffer' ? buffer : buffer.toString(encoding);
+			const output = { stdout: decode(stdoutBuffer), stderr: decode(stderrBuffer), code, signal, timedOut };
+			if (rejectOnNonZero && code !== 0) {
+				throw commandError(output);
+			}
+
+			return output;
+		},
+
+		spawn(file, args, options) {
+			return childProcess.spawn(client, file, args, options);
+		},
+
+		execFile(file, args, options, callback) {
+			return childProcess.execFile(client, file, args, options, callback);
+		},
+
+		shell({ pty = true, env = {} } = {}) {
+			if (typeof pty !== 'boolean') {
+				throw new TypeError('Expected pty to be a boolean');
+			}
+			if (!isValidEnv(env)) {
+				throw new TypeError('Expected env to map variable names to strings');
+			}
 
-			const stdin = new Writable({
-				write(data, encoding, cb) {
-					if (!data.length) return cb();
-					sendRaw(FrameParser.STDIN, data, encoding, cb);
-				},
-				final(cb) {
-					sendRaw(FrameParser.STDIN, Buffer.alloc(0), undefined, cb);
-				},
+			return execute(pty, (id) => {
+				sendJSON(FrameParser.SHELL, { id, pty, env });
 			});
+		},
+
+		sftp: {
+			async readFile(path) {
+				return Buffer.from(await sftpRequest({ operation: 'readFile', path }), 'base64');
+			},
+
+			async writeFile(path, data, { mode } = {}) {
+				if (typeof data === 'string') {
+					data = Buffer.from(data);
+				} else if (!Buffer.isBuffer(data)) {
+					throw new TypeError('Expected data to be a string or Buffer');
+				}
+
+				data = data.toString('base64');
+				await sftpRequest({ operation: 'writeFile', path, data, mode });
+			},
+
+			async stat(path) {
+				return toStats(await sftpRequest({ operation: 'stat', path }));
+			},
 
-			const stdout = new Readable({ read() {} });
-			const stderr = new Readable({ read() {} });
-			const result = new Promise((resolve) => {
+			async readdir(path, { withStats = false } = {}) {
+				const entries = await sftpRequest({ operation: 'readdir', path });
+				if (withStats) {
+					return entries.map(({ name, stats }) => ({ name, stats: toStats(stats) }));
+				} else {
+					return entries.map(({ name }) => name);
+				}
+			},
+
+			async unlink(path) {
+				await sftpRequest({ operation: 'unlink', path });
+			},
+
+			async mkdir(path, { mode } = {}) {
+				await sftpRequest({ operation: 'mkdir', path, mode });
+			},
+
+			async rmdir(path) {
+				await sftpRequest({ operation: 'rmdir', path });
+			},
+		},
+
+		upload(source, path, { mode, preserve = false } = {}) {
+			if (typeof source !== 'string' && !(source instanceof Readable)) {
+				throw new TypeError('Expected source to be a string or Readable stream');
+			}
+			if (typeof path !== 'string') {
+				throw new TypeError('Expected path to be a string');
+			}
+
+			const transfer = new EventEmitter();
+			transfer.result = Promise.resolve()
+				.then(() => typeof source === 'string' ? fs.promises.stat(source) : null)
+				.then((stats) => {
+					let atime;
+					let mtime;
+					if (preserve && stats) {
+						if (mode === undefined) mode = stats.mode & 0o7777;
+						atime = stats.atimeMs / 1000;
+						mtime = stats.mtimeMs / 1000;
+					}
+
+					expectState(READY);
+					sendJSON(FrameParser.UPLOAD, { path, mode, atime, mtime });
+					state = TRANSFERRING;
+
+					const readable = typeof source === 'string' ? fs.createReadStream(source) : source;
+					const total = stats ? stats.size : undefined;
+					const promise = attachPromise();
+					let localError;
+					let sent = 0;
+					let acked = 0;
+
+					resolver.onFileAck = (bytes) => {
+						acked = bytes;
+						transfer.emit('progress', { transferred: acked, total });
+						if (readable.isPaused() && sent - acked < WINDOW_SIZE) {
+							readable.resume();
+						}
+					};
+
+					readable.on('data', (chunk) => {
+						if (typeof chunk === 'string') chunk = Buffer.from(chunk);
+						if (!chunk.byteLength) return;
+						sendRaw(FrameParser.FILE_DATA, chunk);
+						sent += chunk.byteLength;
+						if (sent - acked >= WINDOW_SIZE) {
+							readable.pause();
+						}
+					});
+					readable.on('end', () => {
+						sendRaw(FrameParser.FILE_DATA, Buffer.alloc(0));
+					});
+					readable.on('error', (err) => {
+						localError = err;
+						sendJSON(FrameParser.FILE_ABORT, {});
+					});
+
+					return promise.then((value) => {
+						if (localError) throw localError;
+						return value;
+					}).finally(() => {
+						readable.destroy();
+					});
+				});
+
+			return transfer;
+		},
+
+		download(path, destination, { preserve = false } = {}) {
+			if (typeof path !== 'string') {
+				throw new TypeError('Expected path to be a string');
+			}
+			if (typeof destination !== 'string' && !(destination instanceof Writable)) {
+				throw new TypeError('Expected destination to be a string or Writable stream');
+			}
+
+			let writable = null;
+			let info = null;
+			let localError;
+			const transfer = new EventEmitter();
+			transfer.result = new Promise((resolve) => {
 				expectState(READY);
-				sendRaw(pty ? FrameParser.PTY_COMMAND : FrameParser.SIMPLE_COMMAND, command);
-				state = EXECUTING;
+				sendJSON(FrameParser.DOWNLOAD, { path });
+				state = TRANSFERRING;
 				resolve(attachPromise());
-				resolver.stdout = stdout;
-				resolver.stderr = stderr;
+
+				let written = 0;
+				resolver.onFileInfo = (fileInfo) => {
+					info = fileInfo;
+					writable = typeof destination === 'string' ? fs.createWriteStream(destination) : destination;
+					writable.on('error', (err) => {
+						if (!localError) {
+							localError = err;
+							sendJSON(FrameParser.FILE_ABORT, {});
+						}
+					});
+
+					resolver.onFileInfo = undefined;
+					resolver.onFileData = (chunk) => {
+						if (localError) return;
+						if (!chunk.byteLength) return writable.end();
+						writable.write(chunk, (err) => {
+							if (err != null || localError) return;
+							written += chunk.byteLength;
+							sendJSON(FrameParser.FILE_ACK, { bytes: written });
+							transfer.emit('progress', { transferred: written, total: info.size });
+						});
+					};
+				};
+			}).then(async (value) => {
+				if (localError) throw localError;
+				await finished(writable);
+				if (preserve && typeof destination === 'string') {
+					await fs.promises.chmod(destination, info.mode & 0o7777);
+					await fs.promises.utimes(destination, info.atime, info.mtime);
+				}
+				return value;
+			}).catch((err) => {
+				writable && writable.destroy();
+				throw err;
 			});
 
-			result.then(() => {
-				stdin.destroy();
-				stdout.push(null);
-				stderr.push(null);
-			}, (err) => {
-				stdin.destroy();
-				stdout.destroy(err);
-				stderr.destroy(err);
+			return transfer;
+		},
+
+		async syncDirectory(localDir, remoteDir, options) {
+			expectState(READY);
+			return syncDirectory(client, localDir, remoteDir, options);
+		},
+
+		async forwardOut(host, port) {
+			if (typeof host !== 'string' || host === '') {
+				throw new TypeError('Expected host to be a non-empty string');
+			}
+			if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+				throw new TypeError('Expected port to be a valid port number');
+			}
+
+			expectState(READY, EXECUTING, TRANSFERRING);
+			return new Promise((resolve, reject) => {
+				const id = nextTunnelId;
+				nextTunnelId += 2;
+				createTunnel(id, resolve, reject);
+				sendJSON(FrameParser.TUNNEL_OPEN, { id, host, port });
 			});
+		},
 
-			// Attach error handlers so they don't trigger uncaught exceptions.
-			stdin.on('error', () => {});
-			stdout.on('error', () => {});
-			stderr.on('error', () => {});
+		async listenLocal(localPort, destHost, destPort, { host = '127.0.0.1' } = {}) {
+			if (!Number.isInteger(localPort) || localPort < 0 || localPort > 65535) {
+				throw new TypeError('Expected localPort to be a valid port number');
+			}
+			if (typeof destHost !== 'string' || destHost === '') {
+				throw new TypeError('Expected destHost to be a non-empty string');
+			}
+			if (!Number.isInteger(destPort) || destPort <= 0 || destPort > 65535) {
+				throw new TypeError('Expected destPort to be a valid port number');
+			}
+
+			expectState(READY, EXECUTING, TRANSFERRING);
+			const server = net.createServer({ allowHalfOpen: true }, (socket) => {
+				socket.on('error', () => {});
+				client.forwardOut(destHost, destPort).then((tunnel) => {
+					pipeSocket(socket, tunnel);
+				}, () => {
+					socket.destroy();
+				});
+			});
 
-			return { stdin, stdout, stderr, result };
+			return listen(server, localPort, host);
+		},
+
+		async startSocksProxy({ port = 0, host = '127.0.0.1' } = {}) {
+			if (!Number.isInteger(port) || port < 0 || port > 65535) {
+				throw new TypeError('Expected port to be a valid port number');
+			}
+
+			expectState(READY, EXECUTING, TRANSFERRING);
+			const server = net.createServer({ allowHalfOpen: true }, (socket) => {
+				socket.on('error', () => {});
+				socksHandshake(socket, client.forwardOut).then((tunnel) => {
+					tunnel && pipeSocket(socket, tunnel);
+				});
+			});
+
+			return listen(server, port, host);
+		},
+
+		async forwardIn(remoteBindAddr, remotePort, localHost, localPort) {
+			if (typeof remoteBindAddr !== 'string' || remoteBindAddr === '') {
+				throw new TypeError('Expected remoteBindAddr to be a non-empty string');
+			}
+			if (!Number.isInteger(remotePort) || remotePort < 0 || remotePort > 65535) {
+				throw new TypeError('Expected remotePort to be a valid port number');
+			}
+			if (typeof localHost !== 'string' || localHost === '') {
+				throw new TypeError('Expected localHost to be a non-empty string');
+			}
+			if (!Number.isInteger(localPort) || localPort <= 0 || localPort > 65535) {
+				throw new TypeError('Expected localPort to be a valid port number');
+			}
+
+			expectState(READY, EXECUTING, TRANSFERRING);
+			return new Promise((resolve, reject) => {
+				const id = nextForwardId++;
+				forwards.set(id, { id, localHost, localPort, handle: null, closing: null, onClose: null, resolve, reject });
+				sendJSON(FrameParser.FORWARD_IN, { id, bindAddr: remoteBindAddr, bindPort: remotePort });
+			});
 		},
 
 		resize({ ...params } = {}) {
 			sendJSON(FrameParser.RESIZE, params);
 		},
 
+		async status() {
+			return daemonRequest(FrameParser.STATUS, FrameParser.STATUS_RESPONSE, {});
+		},
+
+		async forget(route, { connections = true, credentials = true } = {}) {
+			if (route !== '*' && (route === null || typeof route !== 'object' || Array.isArray(route))) {
+				throw new TypeError('Expected route to be an object or "*"');
+			}
+			if (typeof connections !== 'boolean') {
+				throw new TypeError('Expected connections to be a boolean');
+			}
+			if (typeof credentials !== 'boolean') {
+				throw new TypeError('Expected credentials to be a boolean');
+			}
+
+			if (route !== '*' && route.via !== undefined && !Array.isArray(route.via)) {
+				route = { ...route, via: [route.via] };
+			}
+
+			return daemonRequest(FrameParser.FORGET, FrameParser.FORGOTTEN, { route, connections, credentials });
+		},
+
 		async share() {
 			expectState(READY);
+			closeTunnels(tunnelError('Tunnel closed', 'SSH connection was shared'), true);
 			sendJSON(FrameParser.SHARE, {});
 			state = SHARING;
 			return attachPromise();
@@ -328,4 +1225,86 @@ module.exports = (socket) => {
 			return state === ERRORED;
 		},
 	};
+
+	// Like child_process.execFile(), util.promisify() resolves to an object
+	// containing both stdout and stderr.
+	client.execFile[promisify.custom] = (file, args, options) => {
+		return childProcess.execFilePromise(client, file, args, options);
+	};
+
+	return client;
 };
+
+// Private keys may be given as Buffers, which can't be represented in JSON.
+function encodePrivateKey(params) {
+	if (Buffer.isBuffer(params.privateKey)) {
+		params.privateKey = params.privateKey.toString('base64');
+		params.privateKeyEncoded = true;
+	} else {
+		params.privateKeyEncoded = false;
+	}
+	return params;
+}
+
+// Environment variable names must be valid in POSIX shells, and their values
+// must not contain null bytes.
+function isValidEnv(value) {
+	if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+	return Object.entries(value).every(([name, str]) => (
+		/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name) && typeof str === 'string' && !str.includes('\0')
+	));
+}
+
+// Unlike fatal errors, SFTP errors (e.g., a missing file or denied permission)
+// do not close the client. They include the SFTP status code reported by the
+// remote server, along with its symbolic name (e.g., "NO_SUCH_FILE").
+function sftpError({ status, code, message }) {
+	const error = new Error('SFTP operation failed');
+	error.type = 'SFTP_ERROR';
+	error.status = status;
+	error.code = String(code);
+	error.reason = String(message);
+	return error;
+}
+
+// Like SFTP errors, command errors do not close the client. They're produced
+// by client.run() when a command exits with a non-zero code (or is terminated
+// by a signal), and they include the command's output.
+function commandError({ stdout, stderr, code, signal, timedOut }) {
+	const error = new Error('Command failed');
+	error.type = 'COMMAND_ERROR';
+	error.code = code;
+	error.signal = signal;
+	error.timedOut = timedOut;
+	error.stdout = stdout;
+	error.stderr = stderr;
+	return error;
+}
+
+function pipeSocket(socket, tunnel) {
+	socket.on('error', () => {});
+	socket.on('close', () => tunnel.destroy());
+	tunnel.on('close', () => tunnel.errored ? socket.destroy() : socket.destroySoon());
+	socket.pipe(tunnel).pipe(socket);
+}
+
+function tunnelError(message, reason) {
+	const error = new Error(message);
+	error.type = 'TUNNEL_ERROR';
+	error.reason = String(reason);
+	return error;
+}
+
+function toStats({ mode, uid, gid, size, atime, mtime }) {
+	return {
+		mode,
+		uid,
+		gid,
+		size,
+		atime,
+		mtime,
+		isFile: () => (mode & 0o170000) === 0o100000,
+		isDirectory: () => (mode & 0o170000) === 0o040000,
+		isSymbolicLink: () => (mode & 0o170000) === 0o120000,
+	};
+}
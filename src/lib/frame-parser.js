@@ -106,18 +106,30 @@ module.exports = class FrameParser {
 
 	// After a client receives a CONNECTED frame (and before it receives a
 	// DISCONNECTED frame), it may send a SIMPLE_COMMAND or PTY_COMMAND frame,
-	// to execute a command over the SSH connection assigned to the client. When
-	// the command finishes (successfully or not), the daemon will send a RESULT
-	// frame. Afterwards, the client may send another command (and so on).
+	// to execute a command over the SSH connection assigned to the client. Each
+	// command runs in its own SSH channel, which is identified by a numeric ID
+	// chosen by the client. The frame data is JSON containing the channel ID and
+	// the command string, as well as any environment variables, working
+	// directory, or shell to run the command with, and an optional timeout
+	// (enforced by the daemon) after which the command is killed. When the
+	// command finishes (successfully or not), the daemon will send a RESULT
+	// frame containing the channel ID. The client may send more commands while
+	// others are still running, but the daemon will queue any commands that
+	// would exceed the connection's "maxSessions" limit, and only start them as
+	// other commands finish.
 	static get SIMPLE_COMMAND() { return 8; }
 	static get PTY_COMMAND() { return 9; }
 	static get RESULT() { return 10; }
 
 	// After a client sends a SIMPLE_COMMAND or PTY_COMMAND frame, but before it
-	// receives a RESULT frame, it may send any number of STDIN frames, and it
-	// may receive any number STDOUT and STDERR frames. Since the client cannot
-	// predict when the running command might finish, the daemon will silently
-	// ignore any STDIN frames that are received when no command is running.
+	// receives the corresponding RESULT frame, it may send any number of STDIN
+	// frames, and it may receive any number STDOUT and STDERR frames. Their
+	// frame data starts with the channel ID (as a 32-bit unsigned integer,
+	// big-endian), followed by the payload (a STDIN frame with no payload
+	// indicates the end of input).
+	// Since the client cannot predict when a running command might finish, the
+	// daemon will silently ignore any STDIN frames for commands that are no
+	// longer running.
 	static get STDIN() { return 11; }
 	static get STDOUT() { return 12; }
 	static get STDERR() { return 13; }
@@ -147,4 +159,125 @@ module.exports = class FrameParser {
 	// associated TTY. The daemon will apply this to any current or future PTY
 	// created from a PTY_COMMAND frame.
 	static get RESIZE() { return 17; }
+
+	// After a client acquires an SSH connection (and while there's no command
+	// currently running on it), the client may send an SFTP_REQUEST frame to
+	// perform a file operation via the SSH connection's SFTP subsystem. When
+	// the operation finishes (successfully or not), the daemon will send an
+	// SFTP_RESPONSE frame. File contents are base64-encoded within both frames.
+	static get SFTP_REQUEST() { return 18; }
+	static get SFTP_RESPONSE() { return 19; }
+
+	// Similarly, a client may send an UPLOAD or DOWNLOAD frame to stream a file
+	// to or from the remote host. In both cases, the file contents are carried
+	// by FILE_DATA frames (an empty FILE_DATA frame indicates the end of the
+	// file), and the receiver sends FILE_ACK frames to report how many bytes it
+	// has consumed so far. The sender never has more than a fixed amount of
+	// unacknowledged data in flight, which prevents either side from buffering
+	// entire files in memory. During a download, the daemon sends a FILE_INFO
+	// frame (containing the file's size, mode, and timestamps) before sending
+	// any FILE_DATA frames. The client may send a FILE_ABORT frame to cancel
+	// the transfer. Either way, the daemon will eventually send an SFTP_RESPONSE
+	// frame when the transfer is finished. Since the client cannot predict when
+	// the transfer might finish, the daemon will silently ignore any FILE_DATA,
+	// FILE_ACK, or FILE_ABORT frames that are received when no file is being
+	// transferred.
+	static get UPLOAD() { return 20; }
+	static get DOWNLOAD() { return 21; }
+	static get FILE_INFO() { return 22; }
+	static get FILE_DATA() { return 23; }
+	static get FILE_ACK() { return 24; }
+	static get FILE_ABORT() { return 25; }
+
+	// While a client holds an SSH connection (regardless of whether a command
+	// or file transfer is in progress), it may send a TUNNEL_OPEN frame to open
+	// a TCP tunnel to a destination reachable from the remote host. Each tunnel
+	// is identified by a numeric ID chosen by the client, which must be odd (even
+	// IDs are reserved for tunnels opened by the daemon). The daemon will reply
+	// with either a TUNNEL_OPENED frame or a TUNNEL_CLOSE frame (containing the
+	// reason why the tunnel could not be opened). Afterwards, both sides may
+	// send TUNNEL_DATA frames, whose frame data starts with the tunnel's ID (as
+	// a 32-bit unsigned integer, big-endian) followed by the payload. Each side
+	// sends a TUNNEL_END frame when it has no more data to send, and a
+	// TUNNEL_ACK frame to report how many bytes it has consumed so far, which
+	// limits how much unacknowledged data can be in flight. Either side may
+	// send a TUNNEL_CLOSE frame to destroy the tunnel. Since tunnels can be
+	// closed by either side at any time, frames that reference unknown tunnels
+	// are silently ignored. All tunnels are closed when the SSH connection is
+	// relinquished.
+	static get TUNNEL_OPEN() { return 26; }
+	static get TUNNEL_OPENED() { return 27; }
+	static get TUNNEL_DATA() { return 28; }
+	static get TUNNEL_END() { return 29; }
+	static get TUNNEL_ACK() { return 30; }
+	static get TUNNEL_CLOSE() { return 31; }
+
+	// Similarly, a client may send a FORWARD_IN frame to ask the remote host to
+	// listen on a port and forward incoming connections back to the client.
+	// Each forward is identified by a numeric ID chosen by the client. The
+	// daemon will reply with either a FORWARD_OPENED frame (containing the port
+	// that the remote host is listening on) or a FORWARD_CLOSED frame
+	// (containing the reason why the forward could not be set up). For each
+	// incoming connection, the daemon sends a TUNNEL_INCOMING frame containing
+	// the forward's ID and a new (even) tunnel ID, after which the tunnel
+	// behaves exactly like one opened with TUNNEL_OPEN. The client may send a
+	// FORWARD_CLOSE frame to stop listening, and the daemon will reply with a
+	// FORWARD_CLOSED frame once the remote host has stopped listening. All
+	// forwards are cancelled when the SSH connection is relinquished.
+	static get FORWARD_IN() { return 32; }
+	static get FORWARD_OPENED() { return 33; }
+	static get FORWARD_CLOSE() { return 34; }
+	static get FORWARD_CLOSED() { return 35; }
+	static get TUNNEL_INCOMING() { return 36; }
+
+	// Instead of a command, a client may send a SHELL frame to start the remote
+	// user's login shell. Its frame data is JSON containing the channel ID, as
+	// well as whether to allocate a PTY and which environment variables to set.
+	// Otherwise, it behaves exactly like a SIMPLE_COMMAND or PTY_COMMAND frame.
+	static get SHELL() { return 37; }
+
+	// While a command is running, the client may send a SIGNAL frame to send a
+	// signal to the remote process. Its frame data is JSON containing the
+	// channel ID and the signal name (without the "SIG" prefix). If requested,
+	// the daemon will instead write the signal's control character to the
+	// command's PTY (if it has one). The client may also request that the
+	// command's channel be closed right after the signal is sent, in case the
+	// command ignores it. Since the client cannot predict when a
+	// running command might finish, the daemon will silently ignore any SIGNAL
+	// frames for commands that are no longer running.
+	static get SIGNAL() { return 38; }
+
+	// At any time (unless an EXCEPTION frame was received), the client may send
+	// a STATUS frame to inspect the daemon. The daemon will respond with a
+	// STATUS_RESPONSE frame, whose frame data is JSON describing the daemon
+	// process, its connected clients, and the routes of its cached connections
+	// and credentials (but never the credentials themselves). Responses are
+	// sent in the same order as requests.
+	static get STATUS() { return 39; }
+	static get STATUS_RESPONSE() { return 40; }
+
+	// Similarly, at any time, the client may send a FORGET frame to drop the
+	// daemon's cached connections and/or credentials, as specified by the JSON
+	// frame data. Only those whose route matches the given route are dropped
+	// (omitted parts of the route match anything, and a route of "*" matches
+	// every route). Connections currently in use by clients are not affected.
+	// The daemon will respond with a FORGOTTEN frame, whose frame data is JSON
+	// containing how many connections and credentials were dropped.
+	static get FORGET() { return 41; }
+	static get FORGOTTEN() { return 42; }
+
+	// After receiving a CONNECT frame that asks for host keys to be verified
+	// by the client, the daemon will send a HOSTKEY frame for each host key
+	// that isn't already known (including the keys of jump hosts). Its frame
+	// data is JSON describing the host and its key. The client must respond
+	// with a HOSTKEY_RESPONSE frame, whose frame data is JSON indicating if the
+	// key was accepted. Authentication doesn't begin until the key is accepted.
+	static get HOSTKEY() { return 43; }
+	static get HOSTKEY_RESPONSE() { return 44; }
+
+	// This is incremented whenever the protocol changes incompatibly. Since the
+	// daemon keeps running when this package is upgraded, clients check it (via
+	// a STATUS frame sent before any other frame). Daemons from before the
+	// STATUS frame existed spoke version 1 of the protocol.
+	static get PROTOCOL_VERSION() { return 2; }
 };
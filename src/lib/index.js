@@ -6,6 +6,7 @@ const path = require('node:path');
 const { spawn } = require('node:child_process');
 const { utils: { parseKey } } = require('ssh2');
 const createClient = require('./create-client');
+const shellEscape = require('./shell-escape');
 
 const NODE = process.execPath;
 const DAEMON = path.join(__dirname, '..', 'daemon', 'index.js');
@@ -52,6 +53,9 @@ module.exports = async (configDir, daemonProcessTitle = '') => {
 // Export parseKey, so clients can determine if SSH keys are encrypted or not.
 module.exports.parseKey = parseKey;
 
+// Export shellEscape, so clients can safely build command strings.
+module.exports.shellEscape = shellEscape;
+
 // By default, the config directory will be "~/.ssh-bridge", but any directory
 // can be specified. The config directory's parent directory MUST already exist.
 async function initConfigDir(configDir) {
@@ -0,0 +1,34 @@
+'use strict';
+
+/*
+	This joins the given arguments into a single command string, quoting each
+	argument so that a POSIX shell on the remote host interprets it literally.
+	Remote hosts that run Windows' cmd.exe need shellEscape.cmd() instead, since
+	its quoting rules are completely different.
+ */
+
+module.exports = (...args) => {
+	return args.map(String).map(escapeShellArg).join(' ');
+};
+
+module.exports.cmd = (...args) => {
+	return args.map(String).map(escapeCmdArg).join(' ');
+};
+
+// The daemon rejects command strings that contain control characters.
+module.exports.hasControlCharacters = (value) => {
+	return /[\x00-\x1f\x7f-\x9f]/.test(value);
+};
+
+function escapeShellArg(arg) {
+	return `'${arg.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+// Only the args after the command name are quoted, since cmd.exe doesn't
+// strip quotes from the command name itself.
+function escapeCmdArg(arg, index) {
+	if (index > 0) {
+		arg = `"${arg.replace(/(\\+)("|$)/g, '$1$1$2').replace(/"/g, '\\"')}"`;
+	}
+	return arg.replace(/[()%!^"<>&|;, ]/g, '^$&');
+}
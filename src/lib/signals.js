@@ -0,0 +1,35 @@
+'use strict';
+
+/*
+	These are the signals that can be sent to remote processes, as defined by
+	the SSH protocol (RFC 4254, Section 6.10). Some of them can also be sent by
+	writing a control character to a PTY, which works even if the SSH server
+	ignores signal requests.
+ */
+
+exports.names = new Set([
+	'ABRT',
+	'ALRM',
+	'FPE',
+	'HUP',
+	'ILL',
+	'INT',
+	'KILL',
+	'PIPE',
+	'QUIT',
+	'SEGV',
+	'TERM',
+	'USR1',
+	'USR2',
+]);
+
+exports.controlCharacters = new Map([
+	['INT', '\x03'],
+	['QUIT', '\x1c'],
+]);
+
+// Signal names may be given with or without the "SIG" prefix.
+exports.normalize = (signal) => {
+	signal = String(signal).toUpperCase();
+	return signal.startsWith('SIG') ? signal.slice(3) : signal;
+};
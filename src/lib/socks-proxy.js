@@ -0,0 +1,151 @@
+'use strict';
+
+const SOCKS_VERSION = 5;
+const NO_AUTHENTICATION = 0;
+const NO_ACCEPTABLE_METHODS = 0xff;
+const CONNECT = 1;
+const IPV4 = 1;
+const DOMAIN_NAME = 3;
+const IPV6 = 4;
+const SUCCEEDED = 0;
+const GENERAL_FAILURE = 1;
+const CONNECTION_REFUSED = 5;
+const COMMAND_NOT_SUPPORTED = 7;
+const ADDRESS_TYPE_NOT_SUPPORTED = 8;
+
+/*
+	This performs the server side of a SOCKS5 handshake (RFC 1928) on a newly
+	accepted socket. Only the CONNECT command is supported, without any
+	authentication. The requested destination is opened with the given
+	forwardOut() function, and the resulting tunnel is returned once the client
+	has been told that the request succeeded. If the handshake fails, the
+	client is sent an appropriate reply (if possible), the socket is closed,
+	and null is returned.
+ */
+
+module.exports = async (socket, forwardOut) => {
+	const reader = createReader(socket);
+	const fail = (reply) => {
+		if (reply !== undefined && socket.writable) {
+			socket.write(reply);
+		}
+		socket.destroySoon();
+		return null;
+	};
+
+	try {
+		const [version, methodCount] = await reader.read(2);
+		if (version !== SOCKS_VERSION) {
+			return fail();
+		}
+
+		const methods = await reader.read(methodCount);
+		if (!methods.includes(NO_AUTHENTICATION)) {
+			return fail(Buffer.from([SOCKS_VERSION, NO_ACCEPTABLE_METHODS]));
+		}
+		socket.write(Buffer.from([SOCKS_VERSION, NO_AUTHENTICATION]));
+
+		const [requestVersion, command, , addressType] = await reader.read(4);
+		if (requestVersion !== SOCKS_VERSION) {
+			return fail();
+		}
+
+		let host;
+		if (addressType === IPV4) {
+			host = [...await reader.read(4)].join('.');
+		} else if (addressType === DOMAIN_NAME) {
+			const [length] = await reader.read(1);
+			host = (await reader.read(length)).toString();
+		} else if (addressType === IPV6) {
+			const address = await reader.read(16);
+			host = Array.from({ length: 8 }, (_, i) => address.readUInt16BE(i * 2).toString(16)).join(':');
+		} else {
+			return fail(createReply(ADDRESS_TYPE_NOT_SUPPORTED));
+		}
+
+		const port = (await reader.read(2)).readUInt16BE(0);
+		if (command !== CONNECT) {
+			return fail(createReply(COMMAND_NOT_SUPPORTED));
+		}
+
+		let tunnel;
+		try {
+			tunnel = await forwardOut(host, port);
+		} catch (err) {
+			return fail(createReply(err.type === 'TUNNEL_ERROR' ? CONNECTION_REFUSED : GENERAL_FAILURE));
+		}
+
+		if (!socket.writable) {
+			tunnel.destroy();
+			return fail();
+		}
+
+		socket.write(createReply(SUCCEEDED));
+		reader.release();
+		return tunnel;
+	} catch (_) {
+		return fail(); // The client disconnected during the handshake
+	}
+};
+
+// The bound address is irrelevant for CONNECT requests, so we always report
+// "0.0.0.0:0", like many other SOCKS servers.
+function createReply(code) {
+	return Buffer.from([SOCKS_VERSION, code, 0, IPV4, 0, 0, 0, 0, 0, 0]);
+}
+
+// This allows the handshake to read exact amounts of data from the socket.
+// When released, any data that was received beyond the handshake is returned
+// to the socket, so it can be forwarded through the tunnel.
+function createReader(socket) {
+	let buffered = Buffer.alloc(0);
+	let pending = null;
+	let ended = false;
+
+	const check = () => {
+		if (!pending) return;
+		if (buffered.byteLength >= pending.size) {
+			const { size, resolve } = pending;
+			const data = buffered.subarray(0, size);
+			buffered = buffered.subarray(size);
+			pending = null;
+			resolve(data);
+		} else if (ended) {
+			const { reject } = pending;
+			pending = null;
+			reject(new Error('SOCKS client disconnected'));
+		}
+	};
+
+	const onData = (chunk) => {
+		buffered = Buffer.concat([buffered, chunk]);
+		check();
+	};
+
+	const onEnd = () => {
+		ended = true;
+		check();
+	};
+
+	socket.on('data', onData);
+	socket.on('end', onEnd);
+	socket.on('close', onEnd);
+
+	return {
+		read(size) {
+			return new Promise((resolve, reject) => {
+				pending = { size, resolve, reject };
+				check();
+			});
+		},
+		release() {
+			socket.off('data', onData);
+			socket.off('end', onEnd);
+			socket.off('close', onEnd);
+			socket.pause();
+			if (buffered.byteLength) {
+				socket.unshift(buffered);
+			}
+		},
+	};
+}
@@ -0,0 +1,297 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { createHash } = require('node:crypto');
+
+const HASH_BATCH_SIZE = 100;
+
+/*
+	This synchronizes a directory tree between the local machine and the remote
+	host, using a client that already has an SSH connection. Both trees are
+	walked, and only the files that differ are transferred. By default, files
+	are compared by size and modification time, but they can optionally be
+	compared by content hash (where remote hashes are computed remotely).
+ */
+
+module.exports = async (client, localDir, remoteDir, {
+	direction = 'upload',
+	delete: deleteExtraneous = false,
+	exclude = [],
+	hash = false,
+} = {}) => {
+	if (typeof localDir !== 'string') {
+		throw new TypeError('Expected localDir to be a string');
+	}
+	if (typeof remoteDir !== 'string') {
+		throw new TypeError('Expected remoteDir to be a string');
+	}
+	if (direction !== 'upload' && direction !== 'download') {
+		throw new TypeError('Expected direction to be "upload" or "download"');
+	}
+
+	const isExcluded = createExcludeFilter(exclude);
+	const local = localTree(localDir);
+	const remote = remoteTree(client, remoteDir);
+	const [source, destination] = direction === 'upload' ? [local, remote] : [remote, local];
+	const transfer = direction === 'upload'
+		? (rel) => client.upload(local.resolve(rel), remote.resolve(rel), { preserve: true }).result
+		: (rel) => client.download(remote.resolve(rel), local.resolve(rel), { preserve: true }).result;
+
+	const sourceEntries = await source.walk(isExcluded);
+	let destinationEntries = new Map();
+	if (await destination.exists()) {
+		destinationEntries = await destination.walk(isExcluded);
+	} else {
+		await destination.mkdir('');
+	}
+
+	const summary = { created: [], updated: [], deleted: [] };
+	const remove = async (rel) => {
+		for (const [otherRel, { type }] of [...destinationEntries].reverse()) {
+			if (otherRel === rel || otherRel.startsWith(`${rel}/`)) {
+				await destination.remove(otherRel, type);
+				destinationEntries.delete(otherRel);
+				summary.deleted.push(otherRel);
+			}
+		}
+	};
+
+	// Parents are always visited before their children, since entries are
+	// sorted by their relative paths.
+	const sameSize = [];
+	for (const [rel, entry] of sourceEntries) {
+		let existing = destinationEntries.get(rel);
+		if (existing && existing.type !== entry.type) {
+			await remove(rel);
+			existing = undefined;
+		}
+
+		if (entry.type === 'directory') {
+			if (!existing) {
+				await destination.mkdir(rel);
+				summary.created.push(rel);
+			}
+		} else if (!existing) {
+			await transfer(rel);
+			summary.created.push(rel);
+		} else if (existing.size !== entry.size) {
+			await transfer(rel);
+			summary.updated.push(rel);
+		} else if (hash) {
+			sameSize.push(rel);
+		} else if (existing.mtime !== entry.mtime) {
+			await transfer(rel);
+			summary.updated.push(rel);
+		}
+	}
+
+	if (sameSize.length) {
+		const localHashes = await local.hash(sameSize);
+		const remoteHashes = await remote.hash(sameSize);
+		for (let i = 0; i < sameSize.length; ++i) {
+			if (localHashes[i] !== remoteHashes[i]) {
+				await transfer(sameSize[i]);
+				summary.updated.push(sameSize[i]);
+			}
+		}
+	}
+
+	// Children are always deleted before their parents.
+	if (deleteExtraneous) {
+		for (const [rel, { type }] of [...destinationEntries].reverse()) {
+			if (!sourceEntries.has(rel)) {
+				await destination.remove(rel, type);
+				summary.deleted.push(rel);
+			}
+		}
+	}
+
+	summary.created.sort();
+	summary.updated.sort();
+	summary.deleted.sort();
+	return summary;
+};
+
+function localTree(root) {
+	const resolve = (rel) => path.join(root, ...rel.split('/'));
+	return {
+		resolve,
+		async exists() {
+			const stats = await fs.promises.stat(root).catch((err) => {
+				if (err.code === 'ENOENT') return null;
+				throw err;
+			});
+			if (stats && !stats.isDirectory()) {
+				throw new Error(`Local path is not a directory: ${root}`);
+			}
+			return !!stats;
+		},
+		async walk(isExcluded) {
+			const entries = [];
+			const visit = async (dir) => {
+				const names = (await fs.promises.readdir(resolve(dir))).sort();
+				for (const name of names) {
+					const rel = dir ? `${dir}/${name}` : name;
+					if (isExcluded(rel)) continue;
+					const stats = await fs.promises.lstat(resolve(rel));
+					if (stats.isDirectory()) {
+						entries.push([rel, { type: 'directory' }]);
+						await visit(rel);
+					} else if (stats.isFile()) {
+						entries.push([rel, { type: 'file', size: stats.size, mtime: Math.floor(stats.mtimeMs / 1000) }]);
+					}
+				}
+			};
+			await visit('');
+			return toSortedMap(entries);
+		},
+		async mkdir(rel) {
+			await fs.promises.mkdir(resolve(rel));
+		},
+		async remove(rel, type) {
+			if (type === 'directory') {
+				await fs.promises.rmdir(resolve(rel));
+			} else {
+				await fs.promises.unlink(resolve(rel));
+			}
+		},
+		async hash(rels) {
+			const hashes = [];
+			for (const rel of rels) {
+				const hasher = createHash('sha256');
+				for await (const chunk of fs.createReadStream(resolve(rel))) {
+					hasher.update(chunk);
+				}
+				hashes.push(hasher.digest('hex'));
+			}
+			return hashes;
+		},
+	};
+}
+
+function remoteTree(client, root) {
+	const resolve = (rel) => rel ? path.posix.join(root, rel) : root;
+	return {
+		resolve,
+		async exists() {
+			const stats = await client.sftp.stat(root).catch((err) => {
+				if (err.type === 'SFTP_ERROR' && err.code === 'NO_SUCH_FILE') return null;
+				throw err;
+			});
+			if (stats && !stats.isDirectory()) {
+				throw new Error(`Remote path is not a directory: ${root}`);
+			}
+			return !!stats;
+		},
+		async walk(isExcluded) {
+			const entries = [];
+			const visit = async (dir) => {
+				for (const { name, stats } of await client.sftp.readdir(resolve(dir), { withStats: true })) {
+					const rel = dir ? `${dir}/${name}` : name;
+					if (isExcluded(rel)) continue;
+					if (stats.isDirectory()) {
+						entries.push([rel, { type: 'directory' }]);
+						await visit(rel);
+					} else if (stats.isFile()) {
+						entries.push([rel, { type: 'file', size: stats.size, mtime: stats.mtime }]);
+					}
+				}
+			};
+			await visit('');
+			return toSortedMap(entries);
+		},
+		async mkdir(rel) {
+			await client.sftp.mkdir(resolve(rel));
+		},
+		async remove(rel, type) {
+			if (type === 'directory') {
+				await client.sftp.rmdir(resolve(rel));
+			} else {
+				await client.sftp.unlink(resolve(rel));
+			}
+		},
+		// Remote hashes are computed by running "sha256sum" on the remote host,
+		// in batches, which avoids transferring the files just to compare them.
+		// Filenames may contain any character except NUL (including newlines,
+		// which the daemon doesn't allow in commands), so they're passed through
+		// stdin and read back as NUL-terminated records.
+		async hash(rels) {
+			const hashes = [];
+			for (let i = 0; i < rels.length; i += HASH_BATCH_SIZE) {
+				const filenames = rels.slice(i, i + HASH_BATCH_SIZE).map(resolve);
+				const { stdin, stdout, result } = client.exec('xargs -0 sha256sum -z --');
+				stdin.end(filenames.map(filename => `${filename}\0`).join(''));
+				const [{ code }, output] = await Promise.all([result, readAll(stdout)]);
+				const records = output.toString().split('\0').slice(0, -1);
+				if (code !== 0 || records.length !== filenames.length) {
+					throw new Error(`Failed to compute remote file hashes (exit code ${code})`);
+				}
+				records.forEach((record, index) => {
+					// Each record is the hash, a space, a mode character, and the filename.
+					if (!/^[0-9a-f]{64} [ *]/.test(record) || record.slice(66) !== filenames[index]) {
+						throw new Error('Failed to compute remote file hashes (unexpected output)');
+					}
+					hashes.push(record.slice(0, 64));
+				});
+			}
+			return hashes;
+		},
+	};
+}
+
+// Exclusions can be given as a function, a RegExp, a glob-like string, or an
+// array of RegExps and strings. They're matched against relative paths (which
+// always use "/" as the separator). Within strings, "*" matches anything except
+// "/", "**" matches anything, and "?" matches any single character except "/".
+// Strings without a "/" are matched against the basename at any depth.
+function createExcludeFilter(exclude) {
+	if (typeof exclude === 'function') {
+		return exclude;
+	}
+
+	const matchers = (Array.isArray(exclude) ? exclude : [exclude]).map((pattern) => {
+		if (pattern instanceof RegExp) {
+			return (rel) => pattern.test(rel);
+		}
+		if (typeof pattern === 'string') {
+			const regexp = globToRegExp(pattern);
+			if (pattern.includes('/')) {
+				return (rel) => regexp.test(rel);
+			} else {
+				return (rel) => regexp.test(rel.slice(rel.lastIndexOf('/') + 1));
+			}
+		}
+		throw new TypeError('Expected exclude to be a function, RegExp, string, or array');
+	});
+
+	return (rel) => matchers.some(matcher => matcher(rel));
+}
+
+function globToRegExp(glob) {
+	let source = '';
+	for (let i = 0; i < glob.length; ++i) {
+		if (glob[i] === '*' && glob[i + 1] === '*') {
+			source += '.*';
+			i += 1;
+		} else if (glob[i] === '*') {
+			source += '[^/]*';
+		} else if (glob[i] === '?') {
+			source += '[^/]';
+		} else {
+			source += glob[i].replace(/[\\^$.+()[\]{}|]/g, '\\$&');
+		}
+	}
+	return new RegExp(`^${source}$`);
+}
+
+function toSortedMap(entries) {
+	return new Map(entries.sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0));
+}
+
+async function readAll(stream) {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+}
@@ -0,0 +1,200 @@
+'use strict';
+const { promisify } = require('node:util');
+const { expect } = require('chai');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+const NODE = process.execPath;
+
+describe('child_process adapters', function () {
+	const configDir = harness.getConfigDir('child-process-tests');
+	let client;
+
+	beforeEach(async function () {
+		client = await sshBridge(configDir);
+		await client.connect({
+			username: 'testuser',
+			hostname: '127.0.0.1',
+			port: harness.getSSHPort(),
+			password: 'correct_password',
+		});
+	});
+
+	afterEach(async function () {
+		await client.close();
+	});
+
+	describe('client.spawn()', function () {
+		itUnix('should return an object that imitates a ChildProcess', async function () {
+			const child = client.spawn(NODE, ['-e', 'process.stdin.pipe(process.stdout); console.error(process.argv[1])', "it's $HOME"]);
+			expect(child.pid).to.be.undefined;
+			expect(child.exitCode).to.be.null;
+			expect(child.signalCode).to.be.null;
+			expect(child.spawnfile).to.equal(NODE);
+			expect(child.spawnargs).to.deep.equal([NODE, '-e', 'process.stdin.pipe(process.stdout); console.error(process.argv[1])', "it's $HOME"]);
+			expect(child.stdio).to.deep.equal([child.stdin, child.stdout, child.stderr]);
+
+			let stdout = '';
+			let stderr = '';
+			child.stdout.on('data', (chunk) => { stdout += chunk; });
+			child.stderr.on('data', (chunk) => { stderr += chunk; });
+			child.stdin.end('Hello, World!');
+
+			const events = [];
+			child.on('exit', (...args) => events.push(['exit', ...args]));
+			await new Promise(resolve => child.on('close', (...args) => resolve(events.push(['close', ...args]))));
+
+			expect(events).to.deep.equal([['exit', 0, null], ['close', 0, null]]);
+			expect(child.exitCode).to.equal(0);
+			expect(stdout).to.equal('Hello, World!');
+			expect(stderr).to.equal("it's $HOME\n");
+		});
+
+		itUnix('should send a signal when kill() is called', async function () {
+			const child = client.spawn('exec', [NODE, '-e', 'console.log("ready"); setTimeout(() => {}, 10000)']);
+			await new Promise(resolve => child.stdout.once('data', resolve));
+
+			expect(child.kill()).to.be.true;
+			expect(child.killed).to.be.true;
+
+			const [code, signal] = await new Promise(resolve => child.on('exit', (...args) => resolve(args)));
+			expect(code).to.be.null;
+			expect(signal).to.equal('SIGTERM');
+			expect(child.signalCode).to.equal('SIGTERM');
+			expect(child.kill()).to.be.false;
+		});
+
+		itUnix('should send a signal when kill() is called after stdin has ended', async function () {
+			const child = client.spawn('exec', [NODE, '-e', 'console.log("ready"); setTimeout(() => {}, 10000)']);
+			child.stdin.end();
+			await new Promise(resolve => child.stdout.once('data', resolve));
+
+			const startTime = Date.now();
+			expect(child.kill()).to.be.true;
+			expect(child.killed).to.be.true;
+
+			const [code, signal] = await new Promise(resolve => child.on('exit', (...args) => resolve(args)));
+			expect(code).to.be.null;
+			expect(signal).to.equal('SIGTERM');
+			expect(Date.now() - startTime).to.be.below(2000);
+		});
+
+		itUnix('should not be marked as killed if the signal could not be sent', async function () {
+			const child = client.spawn('true');
+			await new Promise(resolve => child.on('exit', resolve));
+
+			expect(child.kill()).to.be.false;
+			expect(child.killed).to.be.false;
+		});
+
+		itUnix('should not quote the arguments if the shell option is used', async function () {
+			const child = client.spawn('echo', ['"$((1 + 2))"', '|', 'tr', '3', '4'], { shell: true });
+			let stdout = '';
+			child.stdout.on('data', (chunk) => { stdout += chunk; });
+
+			const [code] = await new Promise(resolve => child.on('close', (...args) => resolve(args)));
+			expect(code).to.equal(0);
+			expect(stdout).to.equal('4\n');
+		});
+
+		itUnix('should emit "close" even if the output streams are not read', async function () {
+			const child = client.spawn(NODE, ['-e', 'console.log("ignored")']);
+			const [code, signal] = await new Promise(resolve => child.on('close', (...args) => resolve(args)));
+			expect(code).to.equal(0);
+			expect(signal).to.be.null;
+		});
+
+		it('should emit "error" if the command cannot be run', async function () {
+			await client.close();
+			const child = client.spawn(NODE, ['-e', '']);
+			const err = await new Promise(resolve => child.on('error', resolve));
+			expect(err).to.be.an.instanceof(Error);
+			expect(child.exitCode).to.be.null;
+		});
+
+		it('should throw a TypeError if the arguments are invalid', async function () {
+			expect(() => client.spawn('')).to.throw(TypeError, 'Expected file to be a non-empty string without control characters');
+			expect(() => client.spawn('echo\n')).to.throw(TypeError, 'Expected file to be a non-empty string without control characters');
+			expect(() => client.spawn('echo', [1])).to.throw(TypeError, 'Expected args to be an array of strings without control characters');
+			expect(() => client.spawn('echo', ['a\tb'])).to.throw(TypeError, 'Expected args to be an array of strings without control characters');
+			expect(() => client.spawn('echo', 'foo')).to.throw(TypeError, 'Expected options to be an object, if provided');
+			expect(() => client.spawn('echo', [], { shell: '' })).to.throw(TypeError, 'Expected shell to be a boolean or a non-empty string');
+			expect(() => client.spawn('echo', [], { cwd: '' })).to.throw(TypeError, 'Expected cwd to be a non-empty string, if provided');
+		});
+	});
+
+	describe('client.execFile()', function () {
+		itUnix('should invoke the callback with the output of the command', async function () {
+			const [err, stdout, stderr] = await new Promise((resolve) => {
+				client.execFile(NODE, ['-e', 'console.log(process.argv[1]); console.error("foo")', 'a b'], (...args) => resolve(args));
+			});
+			expect(err).to.be.null;
+			expect(stdout).to.equal('a b\n');
+			expect(stderr).to.equal('foo\n');
+		});
+
+		itUnix('should support the encoding option', async function () {
+			const [err, stdout, stderr] = await new Promise((resolve) => {
+				client.execFile(NODE, ['-e', 'console.log("bar")'], { encoding: 'buffer' }, (...args) => resolve(args));
+			});
+			expect(err).to.be.null;
+			expect(stdout).to.deep.equal(Buffer.from('bar\n'));
+			expect(stderr).to.deep.equal(Buffer.alloc(0));
+		});
+
+		itUnix('should pass an error if the command fails', async function () {
+			const [err, stdout, stderr] = await new Promise((resolve) => {
+				client.execFile(NODE, ['-e', 'console.log("out"); console.error("oops"); process.exit(3)'], (...args) => resolve(args));
+			});
+			expect(err).to.be.an.instanceof(Error);
+			expect(err.message).to.match(/^Command failed: .+\noops\n$/);
+			expect(err.code).to.equal(3);
+			expect(err.signal).to.be.null;
+			expect(err.killed).to.be.false;
+			expect(stdout).to.equal('out\n');
+			expect(stderr).to.equal('oops\n');
+		});
+
+		itUnix('should kill the command if its output exceeds the maxBuffer', async function () {
+			const [err, stdout] = await new Promise((resolve) => {
+				client.execFile(NODE, ['-e', 'process.stdout.write("x".repeat(100)); setTimeout(() => {}, 10000)'], { maxBuffer: 10 }, (...args) => resolve(args));
+			});
+			expect(err).to.be.an.instanceof(RangeError);
+			expect(err.message).to.equal('stdout maxBuffer length exceeded');
+			expect(err.code).to.equal('ERR_CHILD_PROCESS_STDIO_MAXBUFFER');
+			expect(stdout).to.equal('x'.repeat(10));
+		});
+
+		itUnix('should resolve to stdout and stderr when promisified', async function () {
+			const promise = promisify(client.execFile)(NODE, ['-e', 'console.log("out"); console.error("err")']);
+			expect(promise.child.spawnfile).to.equal(NODE);
+			expect(await promise).to.deep.equal({ stdout: 'out\n', stderr: 'err\n' });
+
+			try {
+				await promisify(client.execFile)(NODE, ['-e', 'console.log("partial"); process.exit(1)']);
+			} catch (err) {
+				expect(err.code).to.equal(1);
+				expect(err.stdout).to.equal('partial\n');
+				expect(err.stderr).to.equal('');
+				return;
+			}
+			expect.fail('Expected promise to be rejected');
+		});
+
+		it('should throw a TypeError if the options are invalid', async function () {
+			expect(() => client.execFile('echo', { encoding: 'foo' })).to.throw(TypeError, 'Expected encoding to be "buffer" or a valid string encoding');
+			expect(() => client.execFile('echo', { maxBuffer: -1 })).to.throw(TypeError, 'Expected maxBuffer to be a non-negative number');
+			expect(() => client.execFile('echo', [], {}, 'foo')).to.throw(TypeError, 'Expected callback to be a function, if provided');
+		});
+	});
+
+	describe('sshBridge.shellEscape()', function () {
+		it('should quote each argument for a POSIX shell', function () {
+			expect(sshBridge.shellEscape('echo', 'a b', "it's", '$HOME')).to.equal("'echo' 'a b' 'it'\\''s' '$HOME'");
+		});
+
+		it('should quote each argument after the command name for cmd.exe', function () {
+			expect(sshBridge.shellEscape.cmd('echo', 'a b', 'say "hi"', 'C:\\dir\\', '%PATH%')).to.equal('echo ^"a^ b^" ^"say^ \\^"hi\\^"^" ^"C:\\dir\\\\^" ^"^%PATH^%^"');
+		});
+	});
+});
@@ -0,0 +1,370 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { execFile, spawn } = require('node:child_process');
+const { expect } = require('chai');
+const { utils: { generateKeyPairSync } } = require('ssh2');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+const BIN = path.join(__dirname, '..', 'bin', 'ssh-bridge');
+
+describe('ssh-bridge CLI', function () {
+	this.timeout(10000);
+
+	it('should print usage information', async function () {
+		const { code, stdout } = await cli();
+		expect(code).to.equal(0);
+		expect(stdout).to.match(/^Usage: ssh-bridge <command>/);
+		for (const command of ['status', 'stop', 'restart', 'reload', 'flush', 'logs', 'connect']) {
+			expect(stdout).to.include(`\n  ${command} `);
+		}
+	});
+
+	it('should reject unknown commands and options', async function () {
+		let result = await cli('foo');
+		expect(result.code).to.equal(2);
+		expect(result.stderr).to.match(/^ssh-bridge: unknown command "foo"\n/);
+
+		result = await cli('status', '--foo');
+		expect(result.code).to.equal(2);
+		expect(result.stderr).to.match(/^ssh-bridge: .*--foo/);
+
+		result = await cli('status', 'extra');
+		expect(result.code).to.equal(2);
+	});
+
+	describe('status', function () {
+		it('should report that the daemon is not running, without starting it', async function () {
+			const configDir = harness.getConfigDir('cli-status');
+			fs.mkdirSync(configDir);
+
+			const { code, stdout } = await cli('status', '--config-dir', configDir);
+			expect(code).to.equal(3);
+			expect(stdout).to.equal('The ssh-bridge daemon is not running.\n');
+			expect(fs.existsSync(path.join(configDir, 'lock'))).to.be.false;
+		});
+
+		it('should describe the daemon and its caches', async function () {
+			const configDir = harness.getConfigDir('cli-status');
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					reusable: true,
+				});
+			} finally {
+				await client.close();
+			}
+
+			const pid = readPid(configDir);
+			const route = `testuser@127.0.0.1:${harness.getSSHPort()}`;
+			let { code, stdout } = await cli('status', '--config-dir', configDir);
+			expect(code).to.equal(0);
+			expect(stdout).to.include(`The ssh-bridge daemon is running (pid ${pid}).\n`);
+			expect(stdout).to.include(`Cached connections: 1\n  ${route} (idle for `);
+			expect(stdout).to.include(`Cached credentials: 1\n  ${route}\n`);
+			expect(stdout).to.not.include('correct_password');
+
+			({ code, stdout } = await cli('status', '--json', '--config-dir', configDir));
+			const status = JSON.parse(stdout);
+			expect(code).to.equal(0);
+			expect(status.running).to.be.true;
+			expect(status.pid).to.equal(pid);
+			expect(status.cachedConnections).to.have.lengthOf(1);
+			expect(status.cachedCredentials).to.deep.equal([
+				{ username: 'testuser', hostname: '127.0.0.1', port: harness.getSSHPort(), via: [] },
+			]);
+		});
+	});
+
+	describe('flush', function () {
+		it('should drop cached connections and/or credentials', async function () {
+			const configDir = harness.getConfigDir('cli-flush');
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					reusable: true,
+				});
+			} finally {
+				await client.close();
+			}
+
+			let result = await cli('flush', '--connections', '--config-dir', configDir);
+			expect(result.code).to.equal(0);
+			expect(result.stdout).to.equal('Dropped 1 cached connection.\n');
+
+			result = await cli('flush', '--config-dir', configDir);
+			expect(result.code).to.equal(0);
+			expect(result.stdout).to.equal('Dropped 0 cached connections and 1 cached credential.\n');
+
+			const otherClient = await sshBridge(configDir);
+			try {
+				const status = await otherClient.status();
+				expect(status.cachedConnections).to.deep.equal([]);
+				expect(status.cachedCredentials).to.deep.equal([]);
+			} finally {
+				await otherClient.close();
+			}
+		});
+	});
+
+	describe('stop', function () {
+		it('should gracefully stop the daemon', async function () {
+			const configDir = harness.getConfigDir('cli-stop');
+			const client = await sshBridge(configDir);
+			await client.close();
+
+			const pid = readPid(configDir);
+			let result = await cli('stop', '--config-dir', configDir);
+			expect(result.code).to.equal(0);
+			expect(result.stdout).to.equal(`Stopped the ssh-bridge daemon (pid ${pid}).\n`);
+			expect(readPid(configDir)).to.be.null;
+
+			result = await cli('stop', '--config-dir', configDir);
+			expect(result.code).to.equal(0);
+			expect(result.stdout).to.equal('The ssh-bridge daemon is not running.\n');
+		});
+
+		itUnix('should not trust a stale PID in the lock file', async function () {
+			const configDir = harness.getConfigDir('cli-stop');
+			fs.mkdirSync(configDir);
+			fs.writeFileSync(path.join(configDir, 'lock'), `${process.pid}\n`);
+
+			let result = await cli('stop', '--config-dir', configDir);
+			expect(result.code).to.equal(0);
+			expect(result.stdout).to.equal('The ssh-bridge daemon is not running.\n');
+
+			result = await cli('status', '--config-dir', configDir);
+			expect(result.code).to.equal(3);
+			expect(result.stdout).to.equal('The ssh-bridge daemon is not running.\n');
+		});
+
+		itUnix('should give up if the daemon does not stop in time', async function () {
+			const configDir = harness.getConfigDir('cli-stop');
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdin, result } = client.exec('cat');
+				const pid = readPid(configDir);
+				const { code, stderr } = await cli('stop', '--timeout', '1', '--config-dir', configDir);
+				expect(code).to.equal(1);
+				expect(stderr).to.equal(`ssh-bridge: the daemon (pid ${pid}) is still shutting down after 1 seconds, probably waiting for running commands\n`);
+
+				stdin.end();
+				await result;
+			} finally {
+				await client.close();
+			}
+		});
+	});
+
+	describe('restart', function () {
+		it('should replace the daemon with a new one', async function () {
+			const configDir = harness.getConfigDir('cli-restart');
+			const client = await sshBridge(configDir);
+			await client.close();
+
+			const pid = readPid(configDir);
+			try {
+				const { code, stdout } = await cli('restart', '--config-dir', configDir);
+				const newPid = readPid(configDir);
+				expect(code).to.equal(0);
+				expect(newPid).to.be.a('number');
+				expect(newPid).to.not.equal(pid);
+				expect(stdout).to.equal(`Started the ssh-bridge daemon (pid ${newPid}).\n`);
+			} finally {
+				// The new daemon wasn't spawned by the test process, so the
+				// test harness won't clean it up automatically.
+				await cli('stop', '--config-dir', configDir);
+			}
+		});
+	});
+
+	describe('reload', function () {
+		itUnix('should signal the daemon to reload its configuration', async function () {
+			const configDir = harness.getConfigDir('cli-reload');
+			const client = await sshBridge(configDir);
+			await client.close();
+
+			const pid = readPid(configDir);
+			const { code, stdout } = await cli('reload', '--config-dir', configDir);
+			expect(code).to.equal(0);
+			expect(stdout).to.equal(`Reloaded the ssh-bridge daemon (pid ${pid}).\n`);
+
+			const logPath = path.join(configDir, 'log');
+			while (!fs.readFileSync(logPath, 'utf8').includes('Reloading configuration...')) {
+				await new Promise(r => setTimeout(r, 10));
+			}
+			expect(readPid(configDir)).to.equal(pid);
+		});
+	});
+
+	describe('logs', function () {
+		it('should print the end of the log file', async function () {
+			const configDir = harness.getConfigDir('cli-logs');
+			fs.mkdirSync(configDir);
+			fs.writeFileSync(path.join(configDir, 'log'), Array.from({ length: 30 }, (_, i) => `line ${i + 1}\n`).join(''));
+
+			let result = await cli('logs', '--config-dir', configDir);
+			expect(result.code).to.equal(0);
+			expect(result.stdout).to.equal(Array.from({ length: 20 }, (_, i) => `line ${i + 11}\n`).join(''));
+
+			result = await cli('logs', '-n', '2', '--config-dir', configDir);
+			expect(result.stdout).to.equal('line 29\nline 30\n');
+
+			result = await cli('logs', '-n', '100', '--config-dir', configDir);
+			expect(result.stdout.split('\n')).to.have.lengthOf(31);
+		});
+
+		it('should keep following the log file after it is rotated', async function () {
+			const configDir = harness.getConfigDir('cli-logs');
+			const logPath = path.join(configDir, 'log');
+			fs.mkdirSync(configDir);
+			fs.writeFileSync(logPath, 'line 1\n');
+
+			const child = spawn(process.execPath, [BIN, 'logs', '-f', '--config-dir', configDir]);
+			try {
+				let stdout = '';
+				child.stdout.setEncoding('utf8').on('data', (data) => { stdout += data; });
+				const waitFor = async (text) => {
+					while (!stdout.includes(text)) await new Promise(r => setTimeout(r, 10));
+				};
+
+				await waitFor('line 1\n');
+				fs.appendFileSync(logPath, 'line 2\n');
+				fs.renameSync(logPath, `${logPath}.1`);
+				fs.writeFileSync(logPath, 'line 3\n');
+				await waitFor('line 3\n');
+				fs.appendFileSync(`${logPath}.1`, 'stale\n');
+				fs.appendFileSync(logPath, 'line 4\n');
+				await waitFor('line 4\n');
+				expect(stdout).to.equal('line 1\nline 2\nline 3\nline 4\n');
+			} finally {
+				child.kill();
+			}
+		});
+
+		it('should fail if there is no log file', async function () {
+			const configDir = harness.getConfigDir('cli-logs');
+			const { code, stderr } = await cli('logs', '--config-dir', configDir);
+			expect(code).to.equal(1);
+			expect(stderr).to.equal(`ssh-bridge: no log file found at ${path.join(configDir, 'log')}\n`);
+		});
+	});
+
+	describe('connect', function () {
+		const route = () => ['-p', String(harness.getSSHPort()), 'testuser@127.0.0.1'];
+		const hostId = () => `[127.0.0.1]:${harness.getSSHPort()}`;
+
+		const cacheCredentials = async (configDir) => {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					hostKeyChecking: 'off',
+				});
+			} finally {
+				await client.close();
+			}
+		};
+
+		itUnix('should run a shell using cached credentials, and remember the host', async function () {
+			const configDir = harness.getConfigDir('cli-connect');
+			await cacheCredentials(configDir);
+
+			let result = await cli({ input: 'echo hello\nexit 3\n' }, 'connect', '--accept-new', ...route(), '--config-dir', configDir);
+			expect(result.code).to.equal(3);
+			expect(result.stdout).to.equal('hello\n');
+			expect(result.stderr).to.match(new RegExp(`^Permanently added \\[127\\.0\\.0\\.1\\]:[0-9]+ \\(SHA256:[A-Za-z0-9+/]+\\) to the list of known hosts\\.\\nhello!\\r\\n$`));
+
+			const lines = fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n');
+			expect(lines).to.have.lengthOf(2);
+			expect(lines[0]).to.match(new RegExp(`^${hostId().replace(/[.[\]]/g, '\\$&')} ssh-rsa `));
+
+			result = await cli({ input: 'echo hello again\n' }, 'connect', ...route(), '--config-dir', configDir);
+			expect(result.code).to.equal(0);
+			expect(result.stdout).to.equal('hello again\n');
+			expect(result.stderr).to.equal('hello!\r\n');
+		});
+
+		itUnix('should not connect if the host\'s fingerprint has changed', async function () {
+			const configDir = harness.getConfigDir('cli-connect');
+			await cacheCredentials(configDir);
+			const otherKey = generateKeyPairSync('rsa', { bits: 2048 }).public;
+			fs.writeFileSync(path.join(configDir, 'known_hosts'), `${hostId()} ${otherKey}\n`);
+
+			const { code, stdout, stderr } = await cli({ input: 'echo hello\n' }, 'connect', ...route(), '--config-dir', configDir);
+			expect(code).to.equal(1);
+			expect(stdout).to.equal('');
+			expect(stderr).to.match(/^ssh-bridge: failed to connect: host fingerprint has changed\n/);
+		});
+
+		it('should confirm unknown hosts before asking for credentials', async function () {
+			const configDir = harness.getConfigDir('cli-connect');
+			await (await sshBridge(configDir)).close(); // Spawn a daemon the harness will clean up
+
+			const { code, stderr } = await cli({ input: '' }, 'connect', ...route(), '--config-dir', configDir);
+			expect(code).to.equal(1);
+			expect(stderr).to.match(new RegExp(`^The authenticity of host ${hostId().replace(/[.[\]]/g, '\\$&')} can't be established\\.\nIts key fingerprint is SHA256:[A-Za-z0-9+/]+\\.\nssh-bridge: cannot prompt for input because stdin is not a terminal: Are you sure you want to continue connecting \\(yes/no\\)\\?\n$`));
+			expect(fs.existsSync(path.join(configDir, 'known_hosts'))).to.be.false;
+		});
+
+		it('should not prompt for credentials if stdin is not a terminal', async function () {
+			const configDir = harness.getConfigDir('cli-connect');
+			await (await sshBridge(configDir)).close(); // Spawn a daemon the harness will clean up
+
+			const { code, stderr } = await cli({ input: '' }, 'connect', '--accept-new', ...route(), '--config-dir', configDir);
+			expect(code).to.equal(1);
+			expect(stderr).to.match(/\nPlease answer the following question\(s\):\nssh-bridge: cannot prompt for input because stdin is not a terminal: favorite color\?\n$/);
+		});
+
+		it('should reject invalid destinations and ports', async function () {
+			const configDir = harness.getConfigDir('cli-connect');
+			let result = await cli('connect', '--config-dir', configDir);
+			expect(result.code).to.equal(1);
+			expect(result.stderr).to.equal('ssh-bridge: expected exactly one destination ([user@]host)\n');
+
+			result = await cli('connect', '-p', '70000', 'testuser@127.0.0.1', '--config-dir', configDir);
+			expect(result.code).to.equal(1);
+			expect(result.stderr).to.equal('ssh-bridge: expected --port to be a valid port number\n');
+
+			result = await cli('connect', 'testuser@127.0.0.1:22', '--config-dir', configDir);
+			expect(result.code).to.equal(1);
+			expect(result.stderr).to.equal('ssh-bridge: invalid destination "testuser@127.0.0.1:22"\n');
+		});
+	});
+});
+
+async function cli(...args) {
+	const { input } = typeof args[0] === 'object' ? args.shift() : {};
+	return new Promise((resolve) => {
+		const child = execFile(process.execPath, [BIN, ...args], (err, stdout, stderr) => {
+			resolve({ code: err ? err.code : 0, stdout, stderr });
+		});
+		if (input !== undefined) {
+			child.stdin.end(input);
+		}
+	});
+}
+
+function readPid(configDir) {
+	const pid = fs.readFileSync(path.join(configDir, 'lock'), 'utf8').trim();
+	return pid ? Number(pid) : null;
+}
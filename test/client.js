@@ -1,9 +1,13 @@
 'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
 const { expect } = require('chai');
 const sshBridge = require('../src/lib/index');
-const shellEscape = require('./tools/shell-escape');
 const harness = require('./tools/harness');
 
+// The test server runs commands with the local shell (cmd.exe on Windows).
+const shellEscape = process.platform === 'win32' ? sshBridge.shellEscape.cmd : sshBridge.shellEscape;
+
 describe('client', function () {
 	describe('connect()', function () {
 		const configDir = harness.getConfigDir('connect-tests');
@@ -445,6 +449,135 @@ describe('client', function () {
 		});
 	});
 
+	describe('jump hosts', function () {
+		const configDir = harness.getConfigDir('jump-tests');
+		const target = (username, extra) => ({
+			username,
+			hostname: '127.0.0.1',
+			port: harness.getSSHPort(),
+			...extra,
+		});
+
+		it('should connect through a jump host', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				const result = await client.connect(target('testuser_jump', {
+					password: 'correct_password',
+					via: [target('testuser_bastion', { password: 'correct_password' })],
+				}));
+				expect(result.success).to.be.true;
+				expect(result.banner).to.equal('hello!\r\n');
+
+				const { stdout, result: execResult } = client.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
+				expect((await streamToBuffer(stdout)).toString()).to.equal('Hello, World!\n');
+				expect((await execResult).code).to.equal(0);
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should connect through multiple jump hosts', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				const result = await client.connect(target('testuser_jump_multi', {
+					privateKey: harness.getSSHKey(),
+					via: [
+						target('testuser_bastion1', { password: 'correct_password' }),
+						target('testuser_bastion2', { privateKey: harness.getSSHKey() }),
+					],
+				}));
+				expect(result.success).to.be.true;
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should report which jump host failed', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				const result = await client.connect(target('testuser_jump_fail', {
+					password: 'correct_password',
+					via: [target('testuser_bastion_fail', { password: 'wrong_password' })],
+				}));
+				expect(result).to.deep.equal({ success: false, reason: 'jump host 127.0.0.1: authentication denied' });
+				expect(client.closed).to.be.false;
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should only reuse connections made through the same route', async function () {
+			const via = [target('testuser_bastion_route', { password: 'correct_password' })];
+			const firstClient = await sshBridge(configDir);
+			try {
+				await firstClient.connect(target('testuser_jump_route', { password: 'correct_password', reusable: true, via }));
+			} finally {
+				await firstClient.close();
+			}
+
+			const secondClient = await sshBridge(configDir);
+			try {
+				expect((await secondClient.reuse(target('testuser_jump_route'))).success).to.be.false;
+				expect((await secondClient.reuse(target('testuser_jump_route', { via: [target('testuser_other')] }))).success).to.be.false;
+				expect((await secondClient.reuse(target('testuser_jump_route', { via }))).success).to.be.true;
+			} finally {
+				await secondClient.close();
+			}
+		});
+
+		it('should only reuse credentials cached for the same route', async function () {
+			const firstClient = await sshBridge(configDir);
+			try {
+				await firstClient.connect(target('testuser_jump_creds', {
+					password: 'correct_password',
+					via: [target('testuser_bastion_creds', { password: 'correct_password' })],
+				}));
+			} finally {
+				await firstClient.close();
+			}
+
+			const secondClient = await sshBridge(configDir);
+			try {
+				const result = await secondClient.connect(target('testuser_jump_creds'));
+				expect(result).to.deep.equal({ success: false, reason: 'no credentials provided' });
+
+				const jumpResult = await secondClient.connect(target('testuser_jump_creds', {
+					via: [target('testuser_bastion_creds')],
+				}));
+				expect(jumpResult.success).to.be.true;
+			} finally {
+				await secondClient.close();
+			}
+		});
+
+		it('should use a cached connection to the jump host, if one exists', async function () {
+			const firstClient = await sshBridge(configDir);
+			try {
+				await firstClient.connect(target('testuser_bastion_cached', { password: 'correct_password', reusable: true }));
+			} finally {
+				await firstClient.close();
+			}
+
+			const secondClient = await sshBridge(configDir);
+			try {
+				const result = await secondClient.connect(target('testuser_jump_cached', {
+					password: 'correct_password',
+					via: [target('testuser_bastion_cached')],
+				}));
+				expect(result.success).to.be.true;
+			} finally {
+				await secondClient.close();
+			}
+
+			const thirdClient = await sshBridge(configDir);
+			try {
+				expect((await thirdClient.reuse(target('testuser_bastion_cached'))).success).to.be.false;
+			} finally {
+				await thirdClient.close();
+			}
+		});
+	});
+
 	describe('exec()', function () {
 		const configDir = harness.getConfigDir('exec-tests');
 
@@ -520,7 +653,745 @@ describe('client', function () {
 			}
 		});
 
-		it('should write to stdin while running a command', async function () {
+		it('should write to stdin while running a command', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdin, stdout, result } = client.exec(shellEscape('node', '-e', 'let data = ""; process.stdin.on("data", x => { data += x.toString() }); process.stdin.on("end", () => console.log(data));'));
+
+				stdin.write('Hello, ');
+				stdin.write('World!');
+				stdin.end();
+
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(stdoutString).to.equal('Hello, World!\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should write to stdin while running a command (interactively)', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+
+				const { stdin, stdout, result } = client.exec(shellEscape('node', '-e', 'console.log("write something"); let data = ""; process.stdin.on("data", x => { data += x.toString() }); process.stdin.on("end", () => console.log(data));'));
+				let data = '';
+				let ended = false;
+
+				await new Promise((resolve, reject) => {
+					stdout.on('data', (chunk) => {
+						data += chunk.toString();
+						if (data === 'write something\n') resolve();
+					});
+					stdout.on('end', () => { ended = true; });
+					stdout.on('close', () => reject(new Error('Stream closed prematurely')));
+					stdout.on('error', reject);
+				});
+
+				expect(ended).to.be.false;
+
+				stdin.write('how are');
+				stdin.write(' you doing?');
+				stdin.end();
+
+				const { code } = await result;
+				await new Promise(r => process.nextTick(r));
+
+				expect(code).to.equal(0);
+				expect(ended).to.be.true;
+				expect(data).to.equal('write something\nhow are you doing?\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should run multiple commands on a reused connection', async function () {
+			const firstClient = await sshBridge(configDir);
+			try {
+				await firstClient.connect({
+					username: 'testuser_exec_reuse',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					reusable: true,
+				});
+			} finally {
+				await firstClient.close();
+			}
+
+			const secondClient = await sshBridge(configDir);
+			try {
+				const result = await secondClient.reuse({
+					username: 'testuser_exec_reuse',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+				});
+
+				expect(result.success).to.be.true;
+				expect(result.banner).to.equal('hello!\r\n');
+				expect(result.fingerprint).to.be.a('string');
+				expect(result.fingerprint).to.match(/^[a-zA-Z0-9+/]+=*$/);
+
+				{
+					const { stdout, result } = secondClient.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
+					const { code, signal } = await result;
+					const stdoutString = (await streamToBuffer(stdout)).toString();
+
+					expect(code).to.equal(0);
+					expect(signal).to.be.undefined;
+					expect(stdoutString).to.equal('Hello, World!\n');
+				}
+				{
+					const { stderr, result } = secondClient.exec(shellEscape('node', '-e', 'console.warn("Hello, Friend!"); process.exit(2)'));
+					const { code, signal } = await result;
+					const stderrString = (await streamToBuffer(stderr)).toString();
+
+					expect(code).to.equal(2);
+					expect(signal).to.be.undefined;
+					expect(stderrString).to.equal('Hello, Friend!\n');
+				}
+			} finally {
+				await secondClient.close();
+			}
+		});
+
+		it('should run the command with an allocated PTY, if requested', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdout, result } = client.exec(shellEscape('node', '-e', 'const pty = require(process.env.PTY); console.log(`${pty.rows}, ${pty.cols}`)'), { pty: true });
+				const { code, signal } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(signal).to.be.undefined;
+				expect(stdoutString).to.equal('24, 80\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should set environment variables accepted by the server', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const script = 'console.log(JSON.stringify([process.env.LC_TEST, process.env.OTHER_TEST]))';
+				const { stdout, result } = client.exec(shellEscape('node', '-e', script), {
+					env: { LC_TEST: 'it\'s "accepted"', OTHER_TEST: 'rejected' },
+				});
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(JSON.parse(stdoutString)).to.deep.equal(['it\'s "accepted"', null]);
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should export environment variables within the command, if requested', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const script = 'console.log(JSON.stringify([process.env.LC_TEST, process.env.OTHER_TEST]))';
+				const { stdout, result } = client.exec(shellEscape('node', '-e', script), {
+					env: { LC_TEST: 'accepted', OTHER_TEST: '$HOME; it\'s `exported`' },
+					exportEnv: true,
+				});
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(JSON.parse(stdoutString)).to.deep.equal(['accepted', '$HOME; it\'s `exported`']);
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should run the command in the given working directory', async function () {
+			const client = await sshBridge(configDir);
+			const cwd = path.join(harness.getTempDir(), `it's a "dir" ${Date.now()}`);
+			fs.mkdirSync(cwd, { recursive: true });
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdout, result } = client.exec(shellEscape('node', '-e', 'console.log(process.cwd())'), { cwd });
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(stdoutString).to.equal(`${fs.realpathSync(cwd)}\n`);
+
+				const failure = client.exec('echo unreachable', { cwd: path.join(cwd, 'missing') });
+				expect((await failure.result).code).to.not.equal(0);
+				expect((await streamToBuffer(failure.stdout)).toString()).to.equal('');
+			} finally {
+				await client.close();
+				fs.rmSync(cwd, { recursive: true, force: true });
+			}
+		});
+
+		itUnix('should run the command within the given shell', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdout, result } = client.exec('echo "${BASH_VERSION:+bash}"', { shell: 'bash' });
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(stdoutString).to.equal('bash\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should throw a TypeError if the options are invalid', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				expect(() => client.exec('echo', { env: { FOO: 123 } })).to.throw(TypeError, 'Expected env to map variable names to strings');
+				expect(() => client.exec('echo', { cwd: '' })).to.throw(TypeError, 'Expected cwd to be a non-empty string, if provided');
+				expect(() => client.exec('echo', { shell: 123 })).to.throw(TypeError, 'Expected shell to be a non-empty string, if provided');
+				expect(() => client.exec('echo', { exportEnv: 'yes' })).to.throw(TypeError, 'Expected exportEnv to be a boolean');
+				expect(() => client.exec('echo', { timeout: 0 })).to.throw(TypeError, 'Expected timeout to be a positive integer, if provided');
+				expect(() => client.exec('echo', { timeout: 1.5 })).to.throw(TypeError, 'Expected timeout to be a positive integer, if provided');
+				expect(() => client.exec('echo', { killSignal: 'SIGFOO' })).to.throw(TypeError, 'Expected killSignal to be a valid signal name');
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should send a signal to the running command', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdout, result, kill } = client.exec(`exec ${shellEscape('node', '-e', 'console.log("ready"); setTimeout(() => {}, 10000)')}`);
+				await new Promise(resolve => stdout.once('data', resolve));
+				expect(kill('SIGINT')).to.be.true;
+
+				const { code, signal } = await result;
+				expect(code).to.be.undefined;
+				expect(signal).to.equal('SIGINT');
+				expect(kill()).to.be.false;
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should send signals after stdin has ended', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdin, stdout, result, kill } = client.exec(`exec ${shellEscape('node', '-e', 'console.log("ready"); setTimeout(() => {}, 10000)')}`);
+				stdin.end();
+				await new Promise(resolve => stdout.once('data', resolve));
+				expect(kill()).to.be.true;
+
+				const startTime = Date.now();
+				const { code, signal } = await result;
+				expect(code).to.be.undefined;
+				expect(signal).to.equal('SIGTERM');
+				expect(Date.now() - startTime).to.be.below(2000);
+
+				const pty = client.exec(`exec ${shellEscape('node', '-e', 'console.log("ready"); setTimeout(() => {}, 10000)')}`, { pty: true });
+				pty.stdin.end();
+				await new Promise(resolve => pty.stdout.once('data', resolve));
+				expect(pty.kill('INT', { controlCharacter: true })).to.be.false;
+				expect(pty.kill('INT')).to.be.true;
+				expect((await pty.result).signal).to.equal('SIGINT');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should write a control character to the PTY, if requested', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdout, result, kill } = client.exec(shellEscape('node', '-e', 'process.stdin.once("data", (x) => { console.log(x[0]); process.exit(); })'), { pty: true });
+				expect(kill('INT', { controlCharacter: true })).to.be.true;
+
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(stdoutString).to.equal('3\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should throw a TypeError if kill() is given invalid arguments', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdin, result, kill } = client.exec(shellEscape('node', '-e', 'process.stdin.resume()'));
+				expect(() => kill('SIGFOO')).to.throw(TypeError, 'Expected signal to be a valid signal name');
+				expect(() => kill(9)).to.throw(TypeError, 'Expected signal to be a valid signal name');
+				expect(() => kill('INT', { controlCharacter: 1 })).to.throw(TypeError, 'Expected controlCharacter to be a boolean');
+				expect(() => kill('INT', { controlCharacter: true })).to.throw(TypeError, 'Control characters can only be used with a PTY');
+				stdin.end();
+				await result;
+
+				const pty = client.exec(shellEscape('node', '-e', 'process.stdin.resume()'), { pty: true });
+				expect(() => pty.kill('TERM', { controlCharacter: true })).to.throw(TypeError, 'No control character exists for SIGTERM');
+				pty.stdin.end();
+				await pty.result;
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should signal the command if it exceeds its timeout', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { result } = client.exec(`exec ${shellEscape('node', '-e', 'setTimeout(() => {}, 10000)')}`, { timeout: 200 });
+				const { code, signal, timedOut } = await result;
+
+				expect(code).to.be.undefined;
+				expect(signal).to.equal('SIGTERM');
+				expect(timedOut).to.be.true;
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should use the given killSignal when the timeout expires', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { result } = client.exec(`exec ${shellEscape('node', '-e', 'setTimeout(() => {}, 10000)')}`, { timeout: 200, killSignal: 'SIGINT' });
+				const { code, signal, timedOut } = await result;
+
+				expect(code).to.be.undefined;
+				expect(signal).to.equal('SIGINT');
+				expect(timedOut).to.be.true;
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should kill the command and close the channel if it ignores the killSignal', async function () {
+			this.timeout(10000);
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdout, code, signal, timedOut } = await client.run(`exec ${shellEscape('node', '-e', 'process.on("SIGTERM", () => {}); console.log(process.pid); setTimeout(() => {}, 6000)')}`, { timeout: 200, rejectOnNonZero: false });
+
+				expect(code).to.be.undefined;
+				expect(signal).to.be.undefined;
+				expect(timedOut).to.be.true;
+				await expectProcessExit(Number(stdout));
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should stop the command when the timeout expires, even if stdin has ended', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const startTime = Date.now();
+				const { stdout, code, signal, timedOut } = await client.run(`exec ${shellEscape('node', '-e', 'console.log(process.pid); setTimeout(() => {}, 10000)')}`, { timeout: 200, rejectOnNonZero: false });
+
+				expect(code).to.be.undefined;
+				expect(signal).to.equal('SIGTERM');
+				expect(timedOut).to.be.true;
+				expect(Date.now() - startTime).to.be.below(2000);
+				await expectProcessExit(Number(stdout));
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should not report a timeout if the command exits in time', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { result } = client.exec('echo hello', { timeout: 5000 });
+				const { code, signal, timedOut } = await result;
+
+				expect(code).to.equal(0);
+				expect(signal).to.be.undefined;
+				expect(timedOut).to.be.undefined;
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should iterate over the lines of stdout and stderr', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { lines, result } = client.exec(shellEscape('node', '-e', 'process.stdout.write("a\\r\\nb\\n\\nc"); process.stderr.write("d\\n")'));
+				const stdoutLines = [];
+				const stderrLines = [];
+				await Promise.all([
+					(async () => { for await (const line of lines()) stdoutLines.push(line); })(),
+					(async () => { for await (const line of lines('stderr')) stderrLines.push(line); })(),
+				]);
+
+				expect(stdoutLines).to.deep.equal(['a', 'b', '', 'c']);
+				expect(stderrLines).to.deep.equal(['d']);
+				expect((await result).code).to.equal(0);
+				expect(() => lines('stdin')).to.throw(TypeError, 'Expected stream to be "stdout" or "stderr"');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should reject the line iteration if the command fails', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				const { lines } = client.exec('echo hello');
+				await expectReject(lines().next(), TypeError, 'Method not available in the current state');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should run multiple commands concurrently', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const first = client.exec(shellEscape('node', '-e', 'let data = ""; process.stdin.on("data", x => { data += x.toString() }); process.stdin.on("end", () => console.log(data));'));
+				const second = client.exec(shellEscape('node', '-e', 'console.log("Hello, World!"); console.error("Hello, Friend!")'));
+
+				// The second command finishes while the first is still waiting for input.
+				expect((await second.result).code).to.equal(0);
+				first.stdin.end('Goodbye!');
+				expect((await first.result).code).to.equal(0);
+
+				expect((await streamToBuffer(first.stdout)).toString()).to.equal('Goodbye!\n');
+				expect((await streamToBuffer(first.stderr)).toString()).to.equal('');
+				expect((await streamToBuffer(second.stdout)).toString()).to.equal('Hello, World!\n');
+				expect((await streamToBuffer(second.stderr)).toString()).to.equal('Hello, Friend!\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should queue commands that exceed the maxSessions limit', async function () {
+			this.slow(1000);
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser_exec_max_sessions',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					maxSessions: 1,
+				});
+
+				const first = client.exec(shellEscape('node', '-e', 'process.stdin.resume()'));
+				const second = client.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
+
+				let secondFinished = false;
+				second.result.then(() => { secondFinished = true; });
+				await new Promise(r => setTimeout(r, 300));
+				expect(secondFinished).to.be.false;
+
+				first.stdin.end();
+				expect((await first.result).code).to.equal(0);
+				expect((await second.result).code).to.equal(0);
+				expect((await streamToBuffer(second.stdout)).toString()).to.equal('Hello, World!\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should not exceed the server\'s session limit by default', async function () {
+			this.slow(2000);
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const executions = Array.from({ length: 15 }, (_, i) => (
+					client.exec(shellEscape('node', '-e', `setTimeout(() => console.log(${i}), 100)`))
+				));
+
+				for (const [i, { stdout, result }] of executions.entries()) {
+					expect((await result).code).to.equal(0);
+					expect((await streamToBuffer(stdout)).toString()).to.equal(`${i}\n`);
+				}
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should not allow exec() when the client is in an errored state', async function () {
+			const client = await sshBridge(configDir);
+			await client.close();
+
+			const { stdout, stderr, result } = client.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
+			let stdoutErr;
+			let stderrErr;
+			stdout.on('error', (err) => { stdoutErr = err; });
+			stderr.on('error', (err) => { stderrErr = err; });
+			await expectReject(result, TypeError, 'Client is closed');
+			await new Promise(r => process.nextTick(r));
+			expect(stdoutErr).to.be.an.instanceof(TypeError);
+			expect(stdoutErr.message).to.equal('Client is closed');
+			expect(stderrErr).to.be.an.instanceof(TypeError);
+			expect(stderrErr.message).to.equal('Client is closed');
+		});
+
+		it('should not allow exec() in an invalid state', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				const { stdout, stderr, result } = client.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
+				let stdoutErr;
+				let stderrErr;
+				stdout.on('error', (err) => { stdoutErr = err; });
+				stderr.on('error', (err) => { stderrErr = err; });
+				await expectReject(result, TypeError, 'Method not available in the current state');
+				await new Promise(r => process.nextTick(r));
+				expect(stdoutErr).to.be.an.instanceof(TypeError);
+				expect(stdoutErr.message).to.equal('Method not available in the current state');
+				expect(stderrErr).to.be.an.instanceof(TypeError);
+				expect(stderrErr.message).to.equal('Method not available in the current state');
+			} finally {
+				await client.close();
+			}
+		});
+	});
+
+	describe('shell()', function () {
+		const configDir = harness.getConfigDir('shell-tests');
+
+		itUnix('should start a shell that runs commands from stdin', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdin, stdout, result } = client.shell({ pty: false, env: { LC_GREETING: 'Hello, World!' } });
+				stdin.end('echo "$LC_GREETING"\nexit 3\n');
+
+				const { code, signal } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(3);
+				expect(signal).to.be.undefined;
+				expect(stdoutString).to.equal('Hello, World!\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		itUnix('should allocate a PTY with the current size by default', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				client.resize({ rows: 40, cols: 100 });
+
+				const { stdin, stdout, result } = client.shell();
+				stdin.end(shellEscape('node', '-e', 'const pty = require(process.env.PTY); console.log(`${pty.rows}, ${pty.cols}`)') + '\n');
+
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(0);
+				expect(stdoutString).to.equal('40, 100\n');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should throw a TypeError if the options are invalid', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				expect(() => client.shell({ pty: 'yes' })).to.throw(TypeError, 'Expected pty to be a boolean');
+				expect(() => client.shell({ env: { FOO: 123 } })).to.throw(TypeError, 'Expected env to map variable names to strings');
+				expect(() => client.shell({ env: { 'NOT-VALID': 'x' } })).to.throw(TypeError, 'Expected env to map variable names to strings');
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should not allow shell() in an invalid state', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				const { result } = client.shell();
+				await expectReject(result, TypeError, 'Method not available in the current state');
+			} finally {
+				await client.close();
+			}
+		});
+	});
+
+	describe('run()', function () {
+		const configDir = harness.getConfigDir('run-tests');
+
+		it('should resolve to the buffered output of the command', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const output = await client.run(shellEscape('node', '-e', 'process.stdin.pipe(process.stdout); console.error("foo")'), { input: 'Hello, World!' });
+				expect(output).to.deep.equal({
+					stdout: 'Hello, World!',
+					stderr: 'foo\n',
+					code: 0,
+					signal: undefined,
+					timedOut: undefined,
+				});
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should support the encoding option', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdout, stderr } = await client.run('echo hello', { encoding: 'buffer' });
+				expect(stdout).to.deep.equal(Buffer.from('hello\n'));
+				expect(stderr).to.deep.equal(Buffer.alloc(0));
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should throw a COMMAND_ERROR if the command exits with a non-zero code', async function () {
 			const client = await sshBridge(configDir);
 			try {
 				await client.connect({
@@ -530,23 +1401,27 @@ describe('client', function () {
 					password: 'correct_password',
 				});
 
-				const { stdin, stdout, result } = client.exec(shellEscape('node', '-e', 'let data = ""; process.stdin.on("data", x => { data += x.toString() }); process.stdin.on("end", () => console.log(data));'));
-
-				stdin.write('Hello, ');
-				stdin.write('World!');
-				stdin.end();
-
-				const { code } = await result;
-				const stdoutString = (await streamToBuffer(stdout)).toString();
+				const command = shellEscape('node', '-e', 'console.log("out"); console.error("oops"); process.exit(3)');
+				const err = await client.run(command).then(() => expect.fail('Expected promise to be rejected'), err => err);
+				expect(err).to.be.an.instanceof(Error);
+				expect(err.message).to.equal('Command failed');
+				expect(err.type).to.equal('COMMAND_ERROR');
+				expect(err.code).to.equal(3);
+				expect(err.signal).to.be.undefined;
+				expect(err.stdout).to.equal('out\n');
+				expect(err.stderr).to.equal('oops\n');
+				expect(client.closed).to.be.false;
 
-				expect(code).to.equal(0);
-				expect(stdoutString).to.equal('Hello, World!\n');
+				const output = await client.run(command, { rejectOnNonZero: false });
+				expect(output.code).to.equal(3);
+				expect(output.stdout).to.equal('out\n');
 			} finally {
 				await client.close();
 			}
 		});
 
-		it('should write to stdin while running a command (interactively)', async function () {
+		itUnix('should stop the command if its output exceeds the maxBuffer', async function () {
+			const pidFile = path.join(harness.getTempDir(), `pid-${Date.now()}`);
 			const client = await sshBridge(configDir);
 			try {
 				await client.connect({
@@ -556,89 +1431,94 @@ describe('client', function () {
 					password: 'correct_password',
 				});
 
+				// The command must stop, even if it ignores SIGTERM.
+				const command = `exec ${shellEscape('node', '-e', 'process.on("SIGTERM", () => {}); fs.writeFileSync(process.argv[1], String(process.pid)); process.stdout.write("x".repeat(100)); setTimeout(() => {}, 10000)', pidFile)}`;
+				const startTime = Date.now();
+				await expectReject(client.run(command, { maxBuffer: 10 }), RangeError, 'stdout maxBuffer length exceeded');
+				expect(Date.now() - startTime).to.be.below(2000);
+				await expectProcessExit(Number(fs.readFileSync(pidFile, 'utf8')));
 
-				const { stdin, stdout, result } = client.exec(shellEscape('node', '-e', 'console.log("write something"); let data = ""; process.stdin.on("data", x => { data += x.toString() }); process.stdin.on("end", () => console.log(data));'));
-				let data = '';
-				let ended = false;
-
-				await new Promise((resolve, reject) => {
-					stdout.on('data', (chunk) => {
-						data += chunk.toString();
-						if (data === 'write something\n') resolve();
-					});
-					stdout.on('end', () => { ended = true; });
-					stdout.on('close', () => reject(new Error('Stream closed prematurely')));
-					stdout.on('error', reject);
-				});
-
-				expect(ended).to.be.false;
-
-				stdin.write('how are');
-				stdin.write(' you doing?');
-				stdin.end();
+				// The client is ready to run other commands right away.
+				expect((await client.run('echo hello')).stdout).to.equal('hello\n');
+			} finally {
+				await client.close();
+			}
+		});
 
-				const { code } = await result;
-				await new Promise(r => process.nextTick(r));
+		it('should throw a TypeError if the options are invalid', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await expectReject(client.run('echo', { input: 123 }), TypeError, 'Expected input to be a string or Buffer, if provided');
+				await expectReject(client.run('echo', { encoding: 'foo' }), TypeError, 'Expected encoding to be "buffer" or a valid string encoding');
+				await expectReject(client.run('echo', { maxBuffer: -1 }), TypeError, 'Expected maxBuffer to be a non-negative number');
+				await expectReject(client.run('echo', { rejectOnNonZero: 1 }), TypeError, 'Expected rejectOnNonZero to be a boolean');
+				await expectReject(client.run('echo', { cwd: '' }), TypeError, 'Expected cwd to be a non-empty string, if provided');
+			} finally {
+				await client.close();
+			}
+		});
 
-				expect(code).to.equal(0);
-				expect(ended).to.be.true;
-				expect(data).to.equal('write something\nhow are you doing?\n');
+		it('should not allow run() in an invalid state', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await expectReject(client.run('echo hello'), TypeError, 'Method not available in the current state');
 			} finally {
 				await client.close();
 			}
 		});
+	});
 
-		it('should run multiple commands on a reused connection', async function () {
-			const firstClient = await sshBridge(configDir);
+	describe('script()', function () {
+		const configDir = harness.getConfigDir('script-tests');
+
+		itUnix('should run a multi-line script with the given arguments', async function () {
+			const client = await sshBridge(configDir);
 			try {
-				await firstClient.connect({
-					username: 'testuser_exec_reuse',
+				await client.connect({
+					username: 'testuser',
 					hostname: '127.0.0.1',
 					port: harness.getSSHPort(),
 					password: 'correct_password',
-					reusable: true,
 				});
+
+				const source = 'for arg in "$@"; do\n\techo "<$arg>"\ndone\nexit 4\n';
+				const { stdout, result } = client.script(source, { args: ['foo bar', "it's", '-n'] });
+
+				const { code, signal } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
+
+				expect(code).to.equal(4);
+				expect(signal).to.be.undefined;
+				expect(stdoutString).to.equal("<foo bar>\n<it's>\n<-n>\n");
 			} finally {
-				await firstClient.close();
+				await client.close();
 			}
+		});
 
-			const secondClient = await sshBridge(configDir);
+		itUnix('should run the script with the given interpreter and exec() options', async function () {
+			const client = await sshBridge(configDir);
 			try {
-				const result = await secondClient.reuse({
-					username: 'testuser_exec_reuse',
+				await client.connect({
+					username: 'testuser',
 					hostname: '127.0.0.1',
 					port: harness.getSSHPort(),
+					password: 'correct_password',
 				});
 
-				expect(result.success).to.be.true;
-				expect(result.banner).to.equal('hello!\r\n');
-				expect(result.fingerprint).to.be.a('string');
-				expect(result.fingerprint).to.match(/^[a-zA-Z0-9+/]+=*$/);
-
-				{
-					const { stdout, result } = secondClient.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
-					const { code, signal } = await result;
-					const stdoutString = (await streamToBuffer(stdout)).toString();
+				const source = 'echo "${BASH_VERSION:+bash}"\necho "$1"\npwd\n';
+				const { stdout, result } = client.script(source, { interpreter: 'bash', args: ['hello'], cwd: '/' });
 
-					expect(code).to.equal(0);
-					expect(signal).to.be.undefined;
-					expect(stdoutString).to.equal('Hello, World!\n');
-				}
-				{
-					const { stderr, result } = secondClient.exec(shellEscape('node', '-e', 'console.warn("Hello, Friend!"); process.exit(2)'));
-					const { code, signal } = await result;
-					const stderrString = (await streamToBuffer(stderr)).toString();
+				const { code } = await result;
+				const stdoutString = (await streamToBuffer(stdout)).toString();
 
-					expect(code).to.equal(2);
-					expect(signal).to.be.undefined;
-					expect(stderrString).to.equal('Hello, Friend!\n');
-				}
+				expect(code).to.equal(0);
+				expect(stdoutString).to.equal('bash\nhello\n/\n');
 			} finally {
-				await secondClient.close();
+				await client.close();
 			}
 		});
 
-		it('should run the command with an allocated PTY, if requested', async function () {
+		itUnix('should stop a long-running script with kill() or its timeout', async function () {
 			const client = await sshBridge(configDir);
 			try {
 				await client.connect({
@@ -648,49 +1528,49 @@ describe('client', function () {
 					password: 'correct_password',
 				});
 
-				const { stdout, result } = client.exec(shellEscape('node', '-e', 'const pty = require(process.env.PTY); console.log(`${pty.rows}, ${pty.cols}`)'), { pty: true });
-				const { code, signal } = await result;
-				const stdoutString = (await streamToBuffer(stdout)).toString();
-
-				expect(code).to.equal(0);
-				expect(signal).to.be.undefined;
-				expect(stdoutString).to.equal('24, 80\n');
+				const source = 'echo $$\nwhile :; do sleep 0.1; done\n';
+				const { stdout, result, kill } = client.script(source);
+				const pid = Number(await new Promise(resolve => stdout.once('data', resolve)));
+				expect(kill()).to.be.true;
+
+				let { code, signal, timedOut } = await result;
+				expect(code).to.be.undefined;
+				expect(signal).to.equal('SIGTERM');
+				expect(timedOut).to.be.undefined;
+				await expectProcessExit(pid);
+
+				const timed = client.script(source, { timeout: 200 });
+				const timedPid = Number(await new Promise(resolve => timed.stdout.once('data', resolve)));
+				({ code, signal, timedOut } = await timed.result);
+				expect(code).to.be.undefined;
+				expect(signal).to.equal('SIGTERM');
+				expect(timedOut).to.be.true;
+				await expectProcessExit(timedPid);
 			} finally {
 				await client.close();
 			}
 		});
 
-		it('should not allow exec() when the client is in an errored state', async function () {
+		it('should throw a TypeError if the arguments are invalid', async function () {
 			const client = await sshBridge(configDir);
-			await client.close();
-
-			const { stdout, stderr, result } = client.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
-			let stdoutErr;
-			let stderrErr;
-			stdout.on('error', (err) => { stdoutErr = err; });
-			stderr.on('error', (err) => { stderrErr = err; });
-			await expectReject(result, TypeError, 'Client is closed');
-			await new Promise(r => process.nextTick(r));
-			expect(stdoutErr).to.be.an.instanceof(TypeError);
-			expect(stdoutErr.message).to.equal('Client is closed');
-			expect(stderrErr).to.be.an.instanceof(TypeError);
-			expect(stderrErr.message).to.equal('Client is closed');
+			try {
+				expect(() => client.script(123)).to.throw(TypeError, 'Expected source to be a string');
+				expect(() => client.script('echo', { interpreter: '' })).to.throw(TypeError, 'Expected interpreter to be a non-empty string without control characters');
+				expect(() => client.script('echo', { interpreter: 'sh\n' })).to.throw(TypeError, 'Expected interpreter to be a non-empty string without control characters');
+				expect(() => client.script('echo', { args: 'foo' })).to.throw(TypeError, 'Expected args to be an array of strings without control characters');
+				expect(() => client.script('echo', { args: [1] })).to.throw(TypeError, 'Expected args to be an array of strings without control characters');
+				expect(() => client.script('echo', { args: ['a\tb'] })).to.throw(TypeError, 'Expected args to be an array of strings without control characters');
+				expect(() => client.script('echo', { cwd: '' })).to.throw(TypeError, 'Expected cwd to be a non-empty string, if provided');
+			} finally {
+				await client.close();
+			}
 		});
 
-		it('should not allow exec() in an invalid state', async function () {
+		it('should not allow script() in an invalid state', async function () {
 			const client = await sshBridge(configDir);
 			try {
-				const { stdout, stderr, result } = client.exec(shellEscape('node', '-e', 'console.log("Hello, World!")'));
-				let stdoutErr;
-				let stderrErr;
-				stdout.on('error', (err) => { stdoutErr = err; });
-				stderr.on('error', (err) => { stderrErr = err; });
+				const { result } = client.script('echo hello\n');
 				await expectReject(result, TypeError, 'Method not available in the current state');
-				await new Promise(r => process.nextTick(r));
-				expect(stdoutErr).to.be.an.instanceof(TypeError);
-				expect(stdoutErr.message).to.equal('Method not available in the current state');
-				expect(stderrErr).to.be.an.instanceof(TypeError);
-				expect(stderrErr.message).to.equal('Method not available in the current state');
 			} finally {
 				await client.close();
 			}
@@ -1009,6 +1889,184 @@ describe('client', function () {
 		});
 	});
 
+	describe('status()', function () {
+		const configDir = harness.getConfigDir('status-tests');
+
+		it('should describe the daemon', async function () {
+			const client = await sshBridge(configDir);
+			const otherClient = await sshBridge(configDir);
+			try {
+				// Make sure the daemon has accepted the other client too.
+				await otherClient.status();
+				const status = await client.status();
+				expect(status.pid).to.be.a('number');
+				expect(status.pid).to.not.equal(process.pid);
+				expect(status.uptime).to.be.a('number');
+				expect(status.uptime).to.be.at.least(0);
+				expect(status.version).to.equal(require('../package.json').version);
+				expect(status.protocolVersion).to.equal(2);
+				expect(status.clientCount).to.equal(2);
+				expect(status.cachedConnections).to.be.an('array');
+				expect(status.cachedCredentials).to.be.an('array');
+			} finally {
+				await otherClient.close();
+				await client.close();
+			}
+		});
+
+		it('should list cached connections and credentials without secrets', async function () {
+			let client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser_status',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					reusable: true,
+				});
+			} finally {
+				await client.close();
+			}
+
+			client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser_status_shared',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+				const shareKey = await client.share();
+
+				const status = await client.status();
+				const route = (username) => ({ username, hostname: '127.0.0.1', port: harness.getSSHPort(), via: [] });
+				const connections = status.cachedConnections.filter(x => x.username.startsWith('testuser_status'));
+				const credentials = status.cachedCredentials.filter(x => x.username.startsWith('testuser_status'));
+
+				expect(connections.map(({ idleTime, ttlRemaining, ...rest }) => rest)).to.have.deep.members([
+					{ ...route('testuser_status'), shared: false },
+					{ ...route('testuser_status_shared'), shared: true },
+				]);
+				for (const { shared, idleTime, ttlRemaining } of connections) {
+					expect(idleTime).to.be.at.least(0);
+					expect(ttlRemaining).to.be.above(0);
+					expect(ttlRemaining).to.be.at.most(shared ? 1000 * 5 : 1000 * 60 * 60 * 12);
+				}
+				expect(credentials).to.have.deep.members([
+					route('testuser_status'),
+					route('testuser_status_shared'),
+				]);
+
+				const json = JSON.stringify(status);
+				expect(json).to.not.include('correct_password');
+				expect(json).to.not.include(shareKey);
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should be usable while a command is running', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+				});
+
+				const { stdin, result } = client.exec(shellEscape('node', '-e', 'process.stdin.resume()'));
+				const [first, second] = await Promise.all([client.status(), client.status()]);
+				expect(first.pid).to.equal(second.pid);
+				stdin.end();
+				expect((await result).code).to.equal(0);
+			} finally {
+				await client.close();
+			}
+		});
+
+		it('should not allow status() when the client is in an errored state', async function () {
+			const client = await sshBridge(configDir);
+			await client.close();
+			await expectReject(client.status(), TypeError, 'Client is closed');
+		});
+	});
+
+	describe('forget()', function () {
+		const configDir = harness.getConfigDir('forget-tests');
+
+		it('should drop the cached connections and credentials of matching routes', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					reusable: true,
+				});
+			} finally {
+				await client.close();
+			}
+
+			const secondClient = await sshBridge(configDir);
+			try {
+				const hop = { username: 'testuser', hostname: '127.0.0.1', port: harness.getSSHPort() };
+				expect(await secondClient.forget({ username: 'otheruser', hostname: '127.0.0.1' })).to.deep.equal({ connections: 0, credentials: 0 });
+				expect(await secondClient.forget({ hostname: '127.0.0.1', port: 1 })).to.deep.equal({ connections: 0, credentials: 0 });
+				expect(await secondClient.forget({ hostname: '127.0.0.1', via: hop })).to.deep.equal({ connections: 0, credentials: 0 });
+				expect(await secondClient.forget({ hostname: '127.0.0.1', port: harness.getSSHPort() }, { credentials: false })).to.deep.equal({ connections: 1, credentials: 0 });
+				expect(await secondClient.forget({ hostname: '127.0.0.1', via: [] })).to.deep.equal({ connections: 0, credentials: 1 });
+
+				const result = await secondClient.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+				});
+
+				expect(result.success).to.be.false;
+				expect(result.reason).to.equal('no credentials provided');
+			} finally {
+				await secondClient.close();
+			}
+		});
+
+		it('should drop everything when given "*"', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					reusable: true,
+				});
+			} finally {
+				await client.close();
+			}
+
+			const secondClient = await sshBridge(configDir);
+			try {
+				expect(await secondClient.forget('*', { connections: false })).to.deep.equal({ connections: 0, credentials: 1 });
+				expect(await secondClient.forget('*')).to.deep.equal({ connections: 1, credentials: 0 });
+			} finally {
+				await secondClient.close();
+			}
+		});
+
+		it('should throw a TypeError if the arguments are invalid', async function () {
+			const client = await sshBridge(configDir);
+			try {
+				await expectReject(client.forget(), TypeError, 'Expected route to be an object or "*"');
+				await expectReject(client.forget('127.0.0.1'), TypeError, 'Expected route to be an object or "*"');
+				await expectReject(client.forget('*', { connections: 1 }), TypeError, 'Expected connections to be a boolean');
+				await expectReject(client.forget('*', { credentials: 'yes' }), TypeError, 'Expected credentials to be a boolean');
+			} finally {
+				await client.close();
+			}
+		});
+	});
+
 	describe('close()', function () {
 		const configDir = harness.getConfigDir('close-tests');
 
@@ -1412,3 +2470,18 @@ async function streamToBuffer(stream) {
 		stream.on('error', reject);
 	});
 }
+
+// The test server runs commands locally, so we can check that they're gone.
+async function expectProcessExit(pid, timeout = 1000) {
+	expect(pid).to.be.a('number').above(0);
+	for (const deadline = Date.now() + timeout; Date.now() < deadline;) {
+		try {
+			process.kill(pid, 0);
+		} catch (err) {
+			if (err.code === 'ESRCH') return;
+			throw err;
+		}
+		await new Promise(r => setTimeout(r, 10));
+	}
+	expect.fail(`Expected process ${pid} to have exited`);
+}
@@ -0,0 +1,118 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+describe('daemon configuration', function () {
+	const HOUR = 1000 * 60 * 60;
+
+	const getCachedTTL = async (configDir, params = {}) => {
+		const client = await sshBridge(configDir);
+		try {
+			const result = await client.connect({
+				username: 'testuser',
+				hostname: '127.0.0.1',
+				port: harness.getSSHPort(),
+				password: 'correct_password',
+				reusable: true,
+				...params,
+			});
+			expect(result.success).to.be.true;
+		} finally {
+			await client.close();
+		}
+
+		const otherClient = await sshBridge(configDir);
+		try {
+			const { cachedConnections } = await otherClient.status();
+			expect(cachedConnections).to.have.lengthOf(1);
+			return cachedConnections[0].ttlRemaining;
+		} finally {
+			await otherClient.close();
+		}
+	};
+
+	const writeConfig = (configDir, config) => {
+		fs.mkdirSync(configDir);
+		fs.writeFileSync(path.join(configDir, 'config.json'), typeof config === 'string' ? config : JSON.stringify(config));
+	};
+
+	it('should use the default settings if there is no config file', async function () {
+		const configDir = harness.getConfigDir('config-tests');
+		const ttl = await getCachedTTL(configDir);
+		expect(ttl).to.be.within(11 * HOUR, 12 * HOUR);
+	});
+
+	it('should apply the settings in config.json', async function () {
+		const configDir = harness.getConfigDir('config-tests');
+		writeConfig(configDir, { cachedConnectionsTTL: 60000, readyTimeout: 5000, keepaliveInterval: 0 });
+
+		const ttl = await getCachedTTL(configDir);
+		expect(ttl).to.be.within(50000, 60000);
+		expect(fs.readFileSync(path.join(configDir, 'log'), 'utf8')).to.not.include('Ignoring');
+	});
+
+	it('should log invalid settings and use the defaults instead', async function () {
+		const configDir = harness.getConfigDir('config-tests');
+		writeConfig(configDir, { cachedConnectionsTTL: -1, keepaliveCountMax: 'three', knownHostsFiles: ['known_hosts'], foo: true });
+
+		const ttl = await getCachedTTL(configDir);
+		expect(ttl).to.be.within(11 * HOUR, 12 * HOUR);
+
+		const log = fs.readFileSync(path.join(configDir, 'log'), 'utf8');
+		expect(log).to.include('Ignoring invalid setting "cachedConnectionsTTL"');
+		expect(log).to.include('Ignoring invalid setting "keepaliveCountMax"');
+		expect(log).to.include('Ignoring invalid setting "knownHostsFiles"');
+		expect(log).to.include('Ignoring unknown setting "foo"');
+	});
+
+	it('should log a malformed config file and use the defaults instead', async function () {
+		const configDir = harness.getConfigDir('config-tests');
+		writeConfig(configDir, '{ "cachedConnectionsTTL": 60000');
+
+		const ttl = await getCachedTTL(configDir);
+		expect(ttl).to.be.within(11 * HOUR, 12 * HOUR);
+		expect(fs.readFileSync(path.join(configDir, 'log'), 'utf8')).to.include(`Ignoring ${path.join(configDir, 'config.json')}`);
+	});
+
+	it('should allow the cache TTL to be overridden per connection', async function () {
+		const configDir = harness.getConfigDir('config-tests');
+		writeConfig(configDir, { cachedConnectionsTTL: 60000 });
+
+		const ttl = await getCachedTTL(configDir, { cacheTTL: 30000 });
+		expect(ttl).to.be.within(20000, 30000);
+	});
+
+	itUnix('should reload the configuration and reopen the log file on SIGHUP', async function () {
+		const configDir = harness.getConfigDir('config-tests');
+		const logPath = path.join(configDir, 'log');
+		writeConfig(configDir, { cachedConnectionsTTL: 60000 });
+		expect(await getCachedTTL(configDir)).to.be.within(50000, 60000);
+
+		// Simulate log rotation.
+		fs.renameSync(logPath, `${logPath}.1`);
+		fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ cachedConnectionsTTL: 3 * HOUR, foo: true }));
+
+		const pid = Number(fs.readFileSync(path.join(configDir, 'lock'), 'utf8'));
+		process.kill(pid, 'SIGHUP');
+		while (!fs.existsSync(logPath) || !fs.readFileSync(logPath, 'utf8').includes('Ignoring unknown setting "foo"')) {
+			await new Promise(r => setTimeout(r, 10));
+		}
+
+		const client = await sshBridge(configDir);
+		try {
+			const status = await client.status();
+			expect(status.pid).to.equal(pid);
+			expect(status.cachedConnections).to.have.lengthOf(1);
+			expect(status.cachedConnections[0].ttlRemaining).to.be.within(3 * HOUR - 10000, 3 * HOUR);
+			expect(status.cachedCredentials).to.have.lengthOf(1);
+		} finally {
+			await client.close();
+		}
+
+		expect(fs.readFileSync(logPath, 'utf8')).to.include('Reloading configuration...');
+		expect(fs.readFileSync(`${logPath}.1`, 'utf8')).to.not.include('Reloading configuration...');
+	});
+});
@@ -16,6 +16,7 @@ describe('decode', function () {
 				username: 'user',
 				hostname: 'host.example.com',
 				port: 22,
+				via: [],
 				shareKey: 'abc',
 			});
 		});
@@ -31,10 +32,21 @@ describe('decode', function () {
 				username: 'user',
 				hostname: 'host.example.com',
 				port: 22,
+				via: [],
 				shareKey: undefined,
 			});
 		});
 
+		it('should decode the route of jump hosts', function () {
+			const data = Buffer.from(JSON.stringify({
+				username: 'user',
+				hostname: 'host.example.com',
+				via: [{ username: 'jumper', hostname: 'Bastion.example.com', password: 'ignored' }],
+			}));
+			const result = decode.reuseParams(data);
+			expect(result.via).to.deep.equal([{ username: 'jumper', hostname: 'bastion.example.com', port: 22 }]);
+		});
+
 		it('should return null for malformed JSON', function () {
 			const data = Buffer.from('invalid json');
 			const result = decode.reuseParams(data);
@@ -87,23 +99,32 @@ describe('decode', function () {
 				port: 22,
 				fingerprint: 'abc123',
 				reusable: true,
+				cacheTTL: 60000,
+				hostKeyChecking: 'strict',
 				privateKey: 'key',
 				passphrase: 'phrase',
 				password: 'password',
 				tryKeyboard: false,
+				verifyHostKey: true,
 				privateKeyEncoded: false,
+				maxSessions: 4,
 			}));
 			const result = decode.connectParams(data);
 			expect(result).to.deep.equal({
 				username: 'user',
 				hostname: 'host.example.com',
 				port: 22,
+				via: [],
 				fingerprint: 'abc123',
 				reusable: true,
+				cacheTTL: 60000,
+				hostKeyChecking: 'strict',
 				privateKey: 'key',
 				passphrase: 'phrase',
 				password: 'password',
 				tryKeyboard: false,
+				verifyHostKey: true,
+				maxSessions: 4,
 			});
 		});
 
@@ -117,12 +138,17 @@ describe('decode', function () {
 				username: 'user',
 				hostname: 'host.example.com',
 				port: 22,
+				via: [],
 				fingerprint: undefined,
 				reusable: false,
+				cacheTTL: undefined,
+				hostKeyChecking: undefined,
 				privateKey: undefined,
 				passphrase: undefined,
 				password: undefined,
 				tryKeyboard: false,
+				verifyHostKey: false,
+				maxSessions: 10,
 			});
 		});
 
@@ -138,15 +164,84 @@ describe('decode', function () {
 				username: 'user',
 				hostname: 'host.example.com',
 				port: 22,
+				via: [],
 				fingerprint: undefined,
 				reusable: false,
+				cacheTTL: undefined,
+				hostKeyChecking: undefined,
 				privateKey: Buffer.from('hello world'),
 				passphrase: undefined,
 				password: undefined,
 				tryKeyboard: false,
+				verifyHostKey: false,
+				maxSessions: 10,
 			});
 		});
 
+		it('should decode jump hosts', function () {
+			const data = Buffer.from(JSON.stringify({
+				username: 'user',
+				hostname: 'host.example.com',
+				via: [
+					{ username: 'jumper', hostname: 'Bastion.example.com', password: 'secret' },
+					{ username: 'jumper2', hostname: '10.0.0.1', port: 2222, privateKey: Buffer.from('key').toString('base64'), privateKeyEncoded: true },
+				],
+			}));
+			const result = decode.connectParams(data);
+			expect(result.via).to.deep.equal([
+				{
+					username: 'jumper',
+					hostname: 'bastion.example.com',
+					port: 22,
+					fingerprint: undefined,
+					privateKey: undefined,
+					passphrase: undefined,
+					password: 'secret',
+				},
+				{
+					username: 'jumper2',
+					hostname: '10.0.0.1',
+					port: 2222,
+					fingerprint: undefined,
+					privateKey: Buffer.from('key'),
+					passphrase: undefined,
+					password: undefined,
+				},
+			]);
+		});
+
+		it('should return null for invalid cache TTLs', function () {
+			for (const cacheTTL of [0, -1, 1.5, '1000', 0x80000000]) {
+				const data = Buffer.from(JSON.stringify({ username: 'user', hostname: 'host.example.com', cacheTTL }));
+				const result = decode.connectParams(data);
+				expect(result).to.be.null;
+			}
+		});
+
+		it('should return null for invalid host key checking modes', function () {
+			for (const hostKeyChecking of ['yes', '', null, true]) {
+				const data = Buffer.from(JSON.stringify({ username: 'user', hostname: 'host.example.com', hostKeyChecking }));
+				const result = decode.connectParams(data);
+				expect(result).to.be.null;
+			}
+		});
+
+		it('should return null for invalid jump hosts', function () {
+			const invalid = [
+				{ username: 'jumper', hostname: 'bastion' },
+				[{ username: 'jumper' }],
+				[{ username: 'jumper', hostname: 'bastion', port: 0 }],
+				[{ username: 'jumper', hostname: 'bastion', passphrase: 'phrase' }],
+				['bastion'],
+				Array.from({ length: 9 }, () => ({ username: 'jumper', hostname: 'bastion' })),
+			];
+			for (const via of invalid) {
+				const data = Buffer.from(JSON.stringify({ username: 'user', hostname: 'host.example.com', via }));
+				const result = decode.connectParams(data);
+				expect(result).to.be.null;
+			}
+		});
+
 		it('should return null for malformed JSON', function () {
 			const data = Buffer.from('invalid json');
 			const result = decode.connectParams(data);
@@ -188,6 +283,14 @@ describe('decode', function () {
 			expect(result).to.be.null;
 		});
 
+		it('should return null for invalid maxSessions values', function () {
+			for (const maxSessions of [0, -1, 1.5, '10', null]) {
+				const data = Buffer.from(JSON.stringify({ username: 'user', hostname: 'host.example.com', maxSessions }));
+				const result = decode.connectParams(data);
+				expect(result).to.be.null;
+			}
+		});
+
 		it('should return null if passphrase is provided without privateKey', function () {
 			const data = Buffer.from(JSON.stringify({
 				username: 'user',
@@ -253,31 +356,204 @@ describe('decode', function () {
 		});
 	});
 
+	describe('hostKeyResponse()', function () {
+		it('should correctly decode valid host key responses', function () {
+			expect(decode.hostKeyResponse(Buffer.from(JSON.stringify({ accepted: true })))).to.be.true;
+			expect(decode.hostKeyResponse(Buffer.from(JSON.stringify({ accepted: false })))).to.be.false;
+		});
+
+		it('should return null for malformed JSON', function () {
+			const data = Buffer.from('invalid json');
+			const result = decode.hostKeyResponse(data);
+			expect(result).to.be.null;
+		});
+
+		it('should return null if accepted is not a boolean', function () {
+			expect(decode.hostKeyResponse(Buffer.from(JSON.stringify({})))).to.be.null;
+			expect(decode.hostKeyResponse(Buffer.from(JSON.stringify({ accepted: 'yes' })))).to.be.null;
+		});
+	});
+
 	describe('command()', function () {
-		it('should correctly decode a valid command string', function () {
-			const commandString = 'ls -l';
-			const data = Buffer.from(commandString);
+		it('should correctly decode valid command parameters', function () {
+			const data = Buffer.from(JSON.stringify({
+				id: 3,
+				command: 'ls -l',
+				env: { LANG: 'C' },
+				cwd: '/tmp',
+				shell: '/bin/bash',
+				exportEnv: true,
+				timeout: 5000,
+				killSignal: 'KILL',
+			}));
 			const result = decode.command(data);
-			expect(result).to.equal(commandString);
+			expect(result).to.deep.equal({
+				id: 3,
+				command: 'ls -l',
+				env: { LANG: 'C' },
+				cwd: '/tmp',
+				shell: '/bin/bash',
+				exportEnv: true,
+				timeout: 5000,
+				killSignal: 'KILL',
+			});
+		});
+
+		it('should allow optional fields to be omitted', function () {
+			const data = Buffer.from(JSON.stringify({ id: 3, command: 'ls -l' }));
+			const result = decode.command(data);
+			expect(result).to.deep.equal({
+				id: 3,
+				command: 'ls -l',
+				env: {},
+				cwd: undefined,
+				shell: undefined,
+				exportEnv: false,
+				timeout: undefined,
+				killSignal: 'TERM',
+			});
 		});
 
 		it('should return null for an empty command string', function () {
-			const data = Buffer.from('');
+			const data = Buffer.from(JSON.stringify({ id: 3, command: '' }));
 			const result = decode.command(data);
 			expect(result).to.be.null;
 		});
 
 		it('should return null for commands containing multple lines', function () {
-			const data = Buffer.from('invalid\ncommand');
+			const data = Buffer.from(JSON.stringify({ id: 3, command: 'invalid\ncommand' }));
 			const result = decode.command(data);
 			expect(result).to.be.null;
 		});
 
 		it('should return null for commands containing control characters', function () {
-			const data = Buffer.from('invalid\x00command');
+			const data = Buffer.from(JSON.stringify({ id: 3, command: 'invalid\x00command' }));
 			const result = decode.command(data);
 			expect(result).to.be.null;
 		});
+
+		it('should return null for an invalid channel ID', function () {
+			expect(decode.command(Buffer.from(JSON.stringify({ id: 0, command: 'ls -l' })))).to.be.null;
+			expect(decode.command(Buffer.from(JSON.stringify({ command: 'ls -l' })))).to.be.null;
+		});
+
+		it('should return null for invalid options', function () {
+			const invalid = [
+				{ env: { 'NOT-VALID': 'x' } },
+				{ env: { LANG: 1 } },
+				{ cwd: '' },
+				{ cwd: '/tmp\n' },
+				{ shell: 123 },
+				{ exportEnv: 'true' },
+				{ timeout: 0 },
+				{ timeout: -100 },
+				{ timeout: 1.5 },
+				{ timeout: '100' },
+				{ timeout: 0x80000000 },
+				{ killSignal: 'SIGTERM' },
+				{ killSignal: 'FOO' },
+			];
+			for (const options of invalid) {
+				const data = Buffer.from(JSON.stringify({ id: 3, command: 'ls -l', ...options }));
+				const result = decode.command(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('shellParams()', function () {
+		it('should correctly decode valid shell parameters', function () {
+			const data = Buffer.from(JSON.stringify({ id: 5, pty: false, env: { LANG: 'C', _FOO1: '' } }));
+			const result = decode.shellParams(data);
+			expect(result).to.deep.equal({ id: 5, pty: false, env: { LANG: 'C', _FOO1: '' } });
+		});
+
+		it('should allow optional fields to be omitted', function () {
+			const data = Buffer.from(JSON.stringify({ id: 5 }));
+			const result = decode.shellParams(data);
+			expect(result).to.deep.equal({ id: 5, pty: true, env: {} });
+		});
+
+		it('should return null for invalid parameters', function () {
+			const invalid = [
+				{ pty: true },
+				{ id: 0 },
+				{ id: 5, pty: 'true' },
+				{ id: 5, env: [] },
+				{ id: 5, env: { LANG: 1 } },
+				{ id: 5, env: { '1LANG': 'C' } },
+				{ id: 5, env: { 'LA NG': 'C' } },
+				{ id: 5, env: { LANG: 'C\0' } },
+			];
+			for (const params of invalid) {
+				const result = decode.shellParams(Buffer.from(JSON.stringify(params)));
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('signalParams()', function () {
+		it('should correctly decode valid signal parameters', function () {
+			const data = Buffer.from(JSON.stringify({ id: 3, signal: 'INT', controlCharacter: true, close: true }));
+			const result = decode.signalParams(data);
+			expect(result).to.deep.equal({ id: 3, signal: 'INT', controlCharacter: true, close: true });
+		});
+
+		it('should allow optional fields to be omitted', function () {
+			const data = Buffer.from(JSON.stringify({ id: 3, signal: 'TERM' }));
+			const result = decode.signalParams(data);
+			expect(result).to.deep.equal({ id: 3, signal: 'TERM', controlCharacter: false, close: false });
+		});
+
+		it('should return null for invalid parameters', function () {
+			const invalid = [
+				{ signal: 'TERM' },
+				{ id: 3, signal: 'SIGTERM' },
+				{ id: 3, signal: 'FOO' },
+				{ id: 3, signal: 'TERM', controlCharacter: 'true' },
+				{ id: 3, signal: 'TERM', controlCharacter: true },
+				{ id: 3, signal: 'TERM', close: 1 },
+			];
+			for (const params of invalid) {
+				const result = decode.signalParams(Buffer.from(JSON.stringify(params)));
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('forgetParams()', function () {
+		it('should correctly decode valid forget parameters', function () {
+			const route = { username: 'user', hostname: 'Example.com', port: 2222, via: [{ username: 'jump', hostname: 'bastion' }] };
+			const result = decode.forgetParams(Buffer.from(JSON.stringify({ route, credentials: false })));
+			expect(result).to.deep.equal({
+				route: { username: 'user', hostname: 'example.com', port: 2222, via: [{ username: 'jump', hostname: 'bastion', port: 22 }] },
+				connections: true,
+				credentials: false,
+			});
+		});
+
+		it('should leave omitted parts of the route undefined', function () {
+			const result = decode.forgetParams(Buffer.from(JSON.stringify({ route: { hostname: 'example.com' } })));
+			expect(result).to.deep.equal({
+				route: { username: undefined, hostname: 'example.com', port: undefined, via: undefined },
+				connections: true,
+				credentials: true,
+			});
+		});
+
+		it('should decode "*" as a null route', function () {
+			const result = decode.forgetParams(Buffer.from(JSON.stringify({ route: '*' })));
+			expect(result).to.deep.equal({ route: null, connections: true, credentials: true });
+		});
+
+		it('should return null for invalid parameters', function () {
+			expect(decode.forgetParams(Buffer.from('{}'))).to.be.null;
+			expect(decode.forgetParams(Buffer.from(JSON.stringify({ route: 'example.com' })))).to.be.null;
+			expect(decode.forgetParams(Buffer.from(JSON.stringify({ route: { username: 'user' } })))).to.be.null;
+			expect(decode.forgetParams(Buffer.from(JSON.stringify({ route: { hostname: 'example.com', port: 0 } })))).to.be.null;
+			expect(decode.forgetParams(Buffer.from(JSON.stringify({ route: { hostname: 'example.com', via: [{}] } })))).to.be.null;
+			expect(decode.forgetParams(Buffer.from(JSON.stringify({ route: '*', connections: 1 })))).to.be.null;
+		});
 	});
 
 	describe('resizeParams()', function () {
@@ -342,4 +618,212 @@ describe('decode', function () {
 			}
 		});
 	});
+
+	describe('sftpRequest()', function () {
+		it('should correctly decode a valid SFTP request', function () {
+			const data = Buffer.from(JSON.stringify({ operation: 'writeFile', path: '/tmp/file', data: 'aGVsbG8=', mode: 0o600 }));
+			const result = decode.sftpRequest(data);
+			expect(result).to.deep.equal({ operation: 'writeFile', path: '/tmp/file', data: 'aGVsbG8=', mode: 0o600 });
+		});
+
+		it('should allow optional fields to be omitted', function () {
+			const data = Buffer.from(JSON.stringify({ operation: 'stat', path: 'file' }));
+			const result = decode.sftpRequest(data);
+			expect(result).to.deep.equal({ operation: 'stat', path: 'file', data: undefined, mode: undefined });
+		});
+
+		it('should return null for malformed JSON', function () {
+			const data = Buffer.from('invalid json');
+			const result = decode.sftpRequest(data);
+			expect(result).to.be.null;
+		});
+
+		it('should return null for unknown operations', function () {
+			const data = Buffer.from(JSON.stringify({ operation: 'chown', path: 'file' }));
+			const result = decode.sftpRequest(data);
+			expect(result).to.be.null;
+		});
+
+		it('should return null for invalid paths', function () {
+			for (const path of ['', 'invalid\x00path', 123, undefined]) {
+				const data = Buffer.from(JSON.stringify({ operation: 'stat', path }));
+				const result = decode.sftpRequest(data);
+				expect(result).to.be.null;
+			}
+		});
+
+		it('should return null if data is missing for writeFile()', function () {
+			const data = Buffer.from(JSON.stringify({ operation: 'writeFile', path: 'file' }));
+			const result = decode.sftpRequest(data);
+			expect(result).to.be.null;
+		});
+
+		it('should return null if data is provided for other operations', function () {
+			const data = Buffer.from(JSON.stringify({ operation: 'readFile', path: 'file', data: '' }));
+			const result = decode.sftpRequest(data);
+			expect(result).to.be.null;
+		});
+
+		it('should return null for invalid modes', function () {
+			for (const mode of [-1, 0o10000, 1.5, '644']) {
+				const data = Buffer.from(JSON.stringify({ operation: 'mkdir', path: 'dir', mode }));
+				const result = decode.sftpRequest(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('uploadParams()', function () {
+		it('should correctly decode valid upload parameters', function () {
+			const data = Buffer.from(JSON.stringify({ path: '/tmp/file', mode: 0o640, atime: 1000.5, mtime: 2000 }));
+			const result = decode.uploadParams(data);
+			expect(result).to.deep.equal({ path: '/tmp/file', mode: 0o640, atime: 1000.5, mtime: 2000 });
+		});
+
+		it('should allow optional fields to be omitted', function () {
+			const data = Buffer.from(JSON.stringify({ path: 'file' }));
+			const result = decode.uploadParams(data);
+			expect(result).to.deep.equal({ path: 'file', mode: undefined, atime: undefined, mtime: undefined });
+		});
+
+		it('should return null for invalid fields', function () {
+			for (const params of [{}, { path: '' }, { path: 'file', mode: -1 }, { path: 'file', atime: -1 }, { path: 'file', mtime: '1000' }]) {
+				const data = Buffer.from(JSON.stringify(params));
+				const result = decode.uploadParams(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('downloadParams()', function () {
+		it('should correctly decode valid download parameters', function () {
+			const data = Buffer.from(JSON.stringify({ path: '/tmp/file' }));
+			const result = decode.downloadParams(data);
+			expect(result).to.deep.equal({ path: '/tmp/file' });
+		});
+
+		it('should return null for invalid paths', function () {
+			for (const path of ['', 123, undefined]) {
+				const data = Buffer.from(JSON.stringify({ path }));
+				const result = decode.downloadParams(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('fileAck()', function () {
+		it('should correctly decode a valid acknowledgement', function () {
+			expect(decode.fileAck(Buffer.from(JSON.stringify({ bytes: 0 })))).to.equal(0);
+			expect(decode.fileAck(Buffer.from(JSON.stringify({ bytes: 1048576 })))).to.equal(1048576);
+		});
+
+		it('should return null for invalid byte counts', function () {
+			for (const bytes of [-1, 1.5, '100', undefined]) {
+				const data = Buffer.from(JSON.stringify({ bytes }));
+				const result = decode.fileAck(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('tunnelOpen()', function () {
+		it('should correctly decode valid parameters', function () {
+			const data = Buffer.from(JSON.stringify({ id: 1, host: 'localhost', port: 5432 }));
+			expect(decode.tunnelOpen(data)).to.deep.equal({ id: 1, host: 'localhost', port: 5432 });
+		});
+
+		it('should return null for invalid parameters', function () {
+			const invalid = [
+				{ id: 0, host: 'localhost', port: 5432 },
+				{ id: 2 ** 32, host: 'localhost', port: 5432 },
+				{ id: '1', host: 'localhost', port: 5432 },
+				{ id: 1, host: '', port: 5432 },
+				{ id: 1, host: 'localhost', port: 0 },
+				{ id: 1, host: 'localhost', port: 65536 },
+			];
+			for (const params of invalid) {
+				const data = Buffer.from(JSON.stringify(params));
+				const result = decode.tunnelOpen(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('tunnelId()', function () {
+		it('should correctly decode a valid tunnel ID', function () {
+			expect(decode.tunnelId(Buffer.from(JSON.stringify({ id: 7 })))).to.equal(7);
+		});
+
+		it('should return null for invalid tunnel IDs', function () {
+			for (const id of [0, -1, 1.5, '7', undefined]) {
+				const data = Buffer.from(JSON.stringify({ id }));
+				const result = decode.tunnelId(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('forwardIn()', function () {
+		it('should correctly decode valid parameters', function () {
+			const data = Buffer.from(JSON.stringify({ id: 1, bindAddr: 'localhost', bindPort: 0 }));
+			expect(decode.forwardIn(data)).to.deep.equal({ id: 1, bindAddr: 'localhost', bindPort: 0 });
+		});
+
+		it('should return null for invalid parameters', function () {
+			const invalid = [
+				{ id: 0, bindAddr: 'localhost', bindPort: 8080 },
+				{ id: 1, bindAddr: '', bindPort: 8080 },
+				{ id: 1, bindAddr: 'localhost', bindPort: -1 },
+				{ id: 1, bindAddr: 'localhost', bindPort: 65536 },
+				{ id: 1, bindAddr: 'localhost' },
+			];
+			for (const params of invalid) {
+				const data = Buffer.from(JSON.stringify(params));
+				const result = decode.forwardIn(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('forwardId()', function () {
+		it('should correctly decode a valid forward ID', function () {
+			expect(decode.forwardId(Buffer.from(JSON.stringify({ id: 2 })))).to.equal(2);
+		});
+
+		it('should return null for invalid forward IDs', function () {
+			for (const id of [0, 1.5, '2', undefined]) {
+				const data = Buffer.from(JSON.stringify({ id }));
+				const result = decode.forwardId(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('tunnelAck()', function () {
+		it('should correctly decode a valid acknowledgement', function () {
+			const data = Buffer.from(JSON.stringify({ id: 3, bytes: 1024 }));
+			expect(decode.tunnelAck(data)).to.deep.equal({ id: 3, bytes: 1024 });
+		});
+
+		it('should return null for invalid acknowledgements', function () {
+			for (const params of [{ id: 3, bytes: -1 }, { id: 3 }, { id: 0, bytes: 1024 }]) {
+				const data = Buffer.from(JSON.stringify(params));
+				const result = decode.tunnelAck(data);
+				expect(result).to.be.null;
+			}
+		});
+	});
+
+	describe('channelData()', function () {
+		it('should split the channel ID from the payload', function () {
+			const data = Buffer.concat([Buffer.from([0, 0, 1, 2]), Buffer.from('hello')]);
+			const result = decode.channelData(data);
+			expect(result.id).to.equal(258);
+			expect(result.data.toString()).to.equal('hello');
+		});
+
+		it('should return null if the frame is too short', function () {
+			expect(decode.channelData(Buffer.from([0, 0, 1]))).to.be.null;
+		});
+	});
 });
@@ -100,6 +100,24 @@ describe('errors', function () {
 		}
 	});
 
+	it('should produce HOSTKEY_ERROR for hostKeyHandler failure', async function () {
+		const client = await sshBridge(harness.getConfigDir('error-tests-hostkey'));
+		try {
+			const promise = client.connect({
+				username: 'testuser',
+				hostname: '127.0.0.1',
+				port: harness.getSSHPort(),
+				password: 'correct_password',
+			}, null, () => {
+				throw new Error('Host key verification failed');
+			});
+
+			await expectError(promise, 'HOSTKEY_ERROR');
+		} finally {
+			await client.close();
+		}
+	});
+
 	it('should produce CLOSED error when the client is closed manually', async function () {
 		const client = await sshBridge(configDir);
 		try {
@@ -0,0 +1,352 @@
+'use strict';
+const net = require('node:net');
+const { randomBytes } = require('node:crypto');
+const { expect } = require('chai');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+describe('port forwarding', function () {
+	const configDir = harness.getConfigDir('forwarding-tests');
+	let echoServer;
+	let echoPort;
+	let client;
+
+	before(async function () {
+		echoServer = net.createServer((socket) => {
+			socket.on('error', () => {});
+			socket.pipe(socket);
+		});
+		await new Promise(resolve => echoServer.listen(0, '127.0.0.1', resolve));
+		echoPort = echoServer.address().port;
+	});
+
+	after(async function () {
+		await new Promise(resolve => echoServer.close(resolve));
+	});
+
+	beforeEach(async function () {
+		client = await sshBridge(configDir);
+		await client.connect({
+			username: 'testuser',
+			hostname: '127.0.0.1',
+			port: harness.getSSHPort(),
+			password: 'correct_password',
+		});
+	});
+
+	afterEach(async function () {
+		await client.close();
+	});
+
+	describe('forwardOut()', function () {
+		it('should open a duplex stream to the destination', async function () {
+			const tunnel = await client.forwardOut('127.0.0.1', echoPort);
+			tunnel.end('Hello, World!');
+			expect((await readAll(tunnel)).toString()).to.equal('Hello, World!');
+		});
+
+		it('should apply backpressure to large amounts of data', async function () {
+			const data = randomBytes(1024 * 1024 * 5 + 7);
+			const tunnel = await client.forwardOut('127.0.0.1', echoPort);
+			tunnel.end(data);
+			expect((await readAll(tunnel)).equals(data)).to.be.true;
+		});
+
+		it('should support multiple tunnels at once', async function () {
+			const tunnels = await Promise.all([1, 2, 3].map(() => client.forwardOut('127.0.0.1', echoPort)));
+			tunnels.forEach((tunnel, i) => tunnel.end(`tunnel ${i}`));
+			const results = await Promise.all(tunnels.map(readAll));
+			expect(results.map(String)).to.deep.equal(['tunnel 0', 'tunnel 1', 'tunnel 2']);
+		});
+
+		it('should be usable while a command is running', async function () {
+			const { stdin, result } = client.exec('cat');
+			const tunnel = await client.forwardOut('127.0.0.1', echoPort);
+			tunnel.end('Hello, World!');
+			expect((await readAll(tunnel)).toString()).to.equal('Hello, World!');
+			stdin.end();
+			expect((await result).code).to.equal(0);
+		});
+
+		it('should reject with TUNNEL_ERROR if the destination is unreachable', async function () {
+			const port = await getUnusedPort();
+			const promise = client.forwardOut('127.0.0.1', port);
+			await expectReject(promise, Error, 'Failed to open tunnel');
+			await promise.catch((err) => expect(err.type).to.equal('TUNNEL_ERROR'));
+
+			expect(client.closed).to.be.false;
+			const tunnel = await client.forwardOut('127.0.0.1', echoPort);
+			tunnel.end('still works');
+			expect((await readAll(tunnel)).toString()).to.equal('still works');
+		});
+
+		it('should destroy open tunnels when the client is closed', async function () {
+			const tunnel = await client.forwardOut('127.0.0.1', echoPort);
+			const closed = new Promise(resolve => tunnel.on('close', resolve));
+			await client.close();
+			await closed;
+			expect(tunnel.destroyed).to.be.true;
+		});
+
+		it('should destroy open tunnels with NO_SSH error when SSH connection is closed', async function () {
+			const tunnel = await client.forwardOut('127.0.0.1', echoPort);
+			const errored = new Promise(resolve => tunnel.on('error', resolve));
+			await harness.closeSSHConnections();
+			const err = await errored;
+			expect(err.type).to.equal('NO_SSH');
+			expect(client.closed).to.be.true;
+		});
+
+		it('should throw a TypeError if the arguments are invalid', async function () {
+			await expectReject(client.forwardOut(123, echoPort), TypeError, 'Expected host to be a non-empty string');
+			await expectReject(client.forwardOut('127.0.0.1', 0), TypeError, 'Expected port to be a valid port number');
+		});
+
+		it('should not allow forwardOut() in an invalid state', async function () {
+			const otherClient = await sshBridge(configDir);
+			try {
+				await expectReject(otherClient.forwardOut('127.0.0.1', echoPort), TypeError, 'Method not available in the current state');
+			} finally {
+				await otherClient.close();
+			}
+		});
+	});
+
+	describe('listenLocal()', function () {
+		it('should tunnel each accepted socket to the destination', async function () {
+			const server = await client.listenLocal(0, '127.0.0.1', echoPort);
+			const { port } = server.address();
+
+			const results = await Promise.all([1, 2].map(async (i) => {
+				const socket = net.connect(port, '127.0.0.1');
+				socket.end(`socket ${i}`);
+				return (await readAll(socket)).toString();
+			}));
+			expect(results).to.deep.equal(['socket 1', 'socket 2']);
+		});
+
+		it('should close the server and its sockets when the client is closed', async function () {
+			const server = await client.listenLocal(0, '127.0.0.1', echoPort);
+			const socket = net.connect(server.address().port, '127.0.0.1');
+			socket.on('error', () => {});
+			socket.write('hello');
+			await new Promise(resolve => socket.once('data', resolve));
+
+			const serverClosed = new Promise(resolve => server.on('close', resolve));
+			const socketClosed = new Promise(resolve => socket.on('close', resolve));
+			await client.close();
+			await serverClosed;
+			await socketClosed;
+			expect(server.listening).to.be.false;
+		});
+
+		it('should reject if the local port cannot be bound', async function () {
+			const server = await client.listenLocal(0, '127.0.0.1', echoPort);
+			await expectReject(client.listenLocal(server.address().port, '127.0.0.1', echoPort), Error, /EADDRINUSE/);
+		});
+
+		it('should throw a TypeError if the arguments are invalid', async function () {
+			await expectReject(client.listenLocal(-1, '127.0.0.1', echoPort), TypeError, 'Expected localPort to be a valid port number');
+			await expectReject(client.listenLocal(0, '', echoPort), TypeError, 'Expected destHost to be a non-empty string');
+			await expectReject(client.listenLocal(0, '127.0.0.1', 70000), TypeError, 'Expected destPort to be a valid port number');
+		});
+	});
+
+	describe('forwardIn()', function () {
+		it('should forward remote connections to the local destination', async function () {
+			const forward = await client.forwardIn('127.0.0.1', 0, '127.0.0.1', echoPort);
+			expect(forward.port).to.be.a('number').above(0);
+
+			// The test server doesn't support half-closed channels, so we wait for
+			// each echo before ending the socket.
+			const results = await Promise.all([1, 2].map(async (i) => {
+				const socket = net.connect(forward.port, '127.0.0.1');
+				socket.write(`socket ${i}`);
+				const data = await new Promise(resolve => socket.once('data', resolve));
+				socket.end();
+				return data.toString();
+			}));
+			expect(results).to.deep.equal(['socket 1', 'socket 2']);
+		});
+
+		it('should stop forwarding when closed', async function () {
+			const forward = await client.forwardIn('127.0.0.1', 0, '127.0.0.1', echoPort);
+			await forward.close();
+			await forward.close();
+			await expectRefused(forward.port);
+			expect(client.closed).to.be.false;
+		});
+
+		it('should stop forwarding when the connection is relinquished', async function () {
+			const params = {
+				username: 'testuser_forward_reuse',
+				hostname: '127.0.0.1',
+				port: harness.getSSHPort(),
+			};
+
+			await client.close();
+			client = await sshBridge(configDir);
+			await client.connect({ ...params, password: 'correct_password', reusable: true });
+			const forward = await client.forwardIn('127.0.0.1', 0, '127.0.0.1', echoPort);
+			await client.close();
+			await eventually(() => expectRefused(forward.port));
+
+			client = await sshBridge(configDir);
+			expect((await client.reuse(params)).success).to.be.true;
+			await expectRefused(forward.port);
+		});
+
+		it('should close incoming connections if the local destination is unreachable', async function () {
+			const forward = await client.forwardIn('127.0.0.1', 0, '127.0.0.1', await getUnusedPort());
+			const socket = net.connect(forward.port, '127.0.0.1');
+			socket.on('error', () => {});
+			await new Promise(resolve => socket.on('close', resolve));
+			expect(client.closed).to.be.false;
+		});
+
+		it('should reject with TUNNEL_ERROR if the remote port cannot be bound', async function () {
+			const promise = client.forwardIn('127.0.0.1', echoPort, '127.0.0.1', echoPort);
+			await expectReject(promise, Error, 'Failed to forward remote port');
+			await promise.catch((err) => expect(err.type).to.equal('TUNNEL_ERROR'));
+			expect(client.closed).to.be.false;
+		});
+
+		it('should throw a TypeError if the arguments are invalid', async function () {
+			await expectReject(client.forwardIn('', 0, '127.0.0.1', echoPort), TypeError, 'Expected remoteBindAddr to be a non-empty string');
+			await expectReject(client.forwardIn('127.0.0.1', -1, '127.0.0.1', echoPort), TypeError, 'Expected remotePort to be a valid port number');
+			await expectReject(client.forwardIn('127.0.0.1', 0, 123, echoPort), TypeError, 'Expected localHost to be a non-empty string');
+			await expectReject(client.forwardIn('127.0.0.1', 0, '127.0.0.1', 0), TypeError, 'Expected localPort to be a valid port number');
+		});
+	});
+
+	describe('startSocksProxy()', function () {
+		it('should tunnel CONNECT requests to IPv4 addresses', async function () {
+			const server = await client.startSocksProxy();
+			const { socket, reply } = await socksConnect(server.address().port, Buffer.from([1, 127, 0, 0, 1]), echoPort);
+			expect(reply[1]).to.equal(0);
+			socket.end('Hello, World!');
+			expect((await readAll(socket)).toString()).to.equal('Hello, World!');
+		});
+
+		it('should tunnel CONNECT requests to domain names', async function () {
+			const server = await client.startSocksProxy({ port: 0 });
+			const host = Buffer.from('127.0.0.1');
+			const { socket, reply } = await socksConnect(server.address().port, Buffer.concat([Buffer.from([3, host.byteLength]), host]), echoPort);
+			expect(reply[1]).to.equal(0);
+			socket.end('Hello, World!');
+			expect((await readAll(socket)).toString()).to.equal('Hello, World!');
+		});
+
+		it('should reply with an error if the destination is unreachable', async function () {
+			const server = await client.startSocksProxy();
+			const { reply } = await socksConnect(server.address().port, Buffer.from([1, 127, 0, 0, 1]), await getUnusedPort());
+			expect(reply[1]).to.equal(5);
+			expect(client.closed).to.be.false;
+		});
+
+		it('should reply with an error for unsupported commands', async function () {
+			const server = await client.startSocksProxy();
+			const { reply } = await socksConnect(server.address().port, Buffer.from([1, 127, 0, 0, 1]), echoPort, 2);
+			expect(reply[1]).to.equal(7);
+		});
+
+		it('should reject clients that require authentication', async function () {
+			const server = await client.startSocksProxy();
+			const socket = net.connect(server.address().port, '127.0.0.1');
+			socket.end(Buffer.from([5, 1, 2]));
+			expect([...await readAll(socket)]).to.deep.equal([5, 0xff]);
+		});
+
+		it('should close the proxy when the client is closed', async function () {
+			const server = await client.startSocksProxy();
+			const serverClosed = new Promise(resolve => server.on('close', resolve));
+			await client.close();
+			await serverClosed;
+			expect(server.listening).to.be.false;
+		});
+
+		it('should throw a TypeError if the port is invalid', async function () {
+			await expectReject(client.startSocksProxy({ port: 'abc' }), TypeError, 'Expected port to be a valid port number');
+		});
+	});
+});
+
+async function socksConnect(proxyPort, address, port, command = 1) {
+	const socket = net.connect({ port: proxyPort, host: '127.0.0.1', allowHalfOpen: true });
+	const portBuffer = Buffer.alloc(2);
+	portBuffer.writeUInt16BE(port, 0);
+	socket.write(Buffer.from([5, 1, 0]));
+	socket.write(Buffer.concat([Buffer.from([5, command, 0]), address, portBuffer]));
+
+	// The method selection reply (2 bytes) and the CONNECT reply (10 bytes).
+	const received = await new Promise((resolve) => {
+		let data = Buffer.alloc(0);
+		const done = () => {
+			socket.pause();
+			socket.off('data', onData);
+			socket.off('end', done);
+			resolve(data);
+		};
+		const onData = (chunk) => {
+			data = Buffer.concat([data, chunk]);
+			if (data.byteLength >= 12) done();
+		};
+		socket.on('data', onData);
+		socket.on('end', done);
+	});
+
+	expect([...received.subarray(0, 2)]).to.deep.equal([5, 0]);
+	const reply = received.subarray(2, 12);
+	if (received.byteLength > 12) {
+		socket.unshift(received.subarray(12));
+	}
+	return { socket, reply };
+}
+
+async function expectRefused(port) {
+	const socket = net.connect(port, '127.0.0.1');
+	const err = await new Promise((resolve) => {
+		socket.on('error', resolve);
+		socket.on('connect', () => resolve(null));
+	});
+	socket.destroy();
+	expect(err && err.code).to.equal('ECONNREFUSED');
+}
+
+async function eventually(fn, timeout = 1000) {
+	const start = Date.now();
+	for (;;) {
+		try {
+			return await fn();
+		} catch (err) {
+			if (Date.now() - start > timeout) throw err;
+			await new Promise(r => setTimeout(r, 20));
+		}
+	}
+}
+
+async function getUnusedPort() {
+	const server = net.createServer();
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	const { port } = server.address();
+	await new Promise(resolve => server.close(resolve));
+	return port;
+}
+
+async function readAll(stream) {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+}
+
+async function expectReject(promise, ...args) {
+	try {
+		await promise;
+	} catch (err) {
+		expect(() => { throw err; }).to.throw(...args);
+		return;
+	}
+	expect.fail('Expected promise to be rejected');
+}
@@ -0,0 +1,306 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { createHmac, randomBytes } = require('node:crypto');
+const { expect } = require('chai');
+const { utils: { generateKeyPairSync } } = require('ssh2');
+const sshBridge = require('../src/lib/index');
+const knownHosts = require('../src/daemon/known-hosts');
+const harness = require('./tools/harness');
+
+describe('known hosts', function () {
+	const hashHost = (host, salt = randomBytes(20)) => {
+		return `|1|${salt.toString('base64')}|${createHmac('sha1', salt).update(host).digest('base64')}`;
+	};
+
+	describe('known-hosts.js', function () {
+		let tempFile;
+		beforeEach(function () {
+			tempFile = path.join(harness.getTempDir(), `known_hosts-${randomBytes(8).toString('hex')}`);
+		});
+
+		it('should parse known_hosts files, ignoring comments and invalid lines', function () {
+			fs.writeFileSync(tempFile, [
+				'# comment',
+				'example.com,10.0.0.1 ssh-ed25519 AAAAkey1 user@laptop',
+				'',
+				'invalid-line',
+				'[example.com]:2222 ssh-rsa AAAAkey2',
+				'@revoked * ssh-rsa AAAAkey3',
+				'@cert-authority *.example.com ssh-ed25519 AAAAkey4',
+				'@unknown example.com ssh-rsa AAAAkey5',
+			].join('\n'));
+
+			expect(knownHosts.read(tempFile)).to.deep.equal([
+				{ file: tempFile, line: 2, marker: null, hosts: ['example.com', '10.0.0.1'], keyType: 'ssh-ed25519', key: 'AAAAkey1' },
+				{ file: tempFile, line: 5, marker: null, hosts: ['[example.com]:2222'], keyType: 'ssh-rsa', key: 'AAAAkey2' },
+				{ file: tempFile, line: 6, marker: 'revoked', hosts: ['*'], keyType: 'ssh-rsa', key: 'AAAAkey3' },
+				{ file: tempFile, line: 7, marker: 'cert-authority', hosts: ['*.example.com'], keyType: 'ssh-ed25519', key: 'AAAAkey4' },
+			]);
+		});
+
+		it('should return no entries if the file does not exist', function () {
+			expect(knownHosts.read(tempFile)).to.deep.equal([]);
+		});
+
+		it('should look up entries by host and port', function () {
+			const entries = [
+				{ line: 1, hosts: ['Example.com'], keyType: 'ssh-rsa', key: 'a' },
+				{ line: 2, hosts: ['[example.com]:2222'], keyType: 'ssh-rsa', key: 'b' },
+				{ line: 3, hosts: [hashHost('[example.com]:2222')], keyType: 'ssh-rsa', key: 'c' },
+				{ line: 4, hosts: ['other.com', hashHost('example.com')], keyType: 'ssh-rsa', key: 'd' },
+			];
+
+			expect(knownHosts.lookup(entries, 'example.com', 22).map(x => x.key)).to.deep.equal(['a', 'd']);
+			expect(knownHosts.lookup(entries, 'example.com', 2222).map(x => x.key)).to.deep.equal(['b', 'c']);
+			expect(knownHosts.lookup(entries, 'other.com', 2222)).to.deep.equal([]);
+		});
+
+		it('should support wildcards and negated patterns', function () {
+			const entries = [
+				{ line: 1, hosts: ['*.Example.com', '!secret.example.com'], keyType: 'ssh-rsa', key: 'a' },
+				{ line: 2, hosts: ['[*.example.com]:*'], keyType: 'ssh-rsa', key: 'b' },
+				{ line: 3, hosts: ['host?.example.com'], keyType: 'ssh-rsa', key: 'c' },
+				{ line: 4, hosts: ['*'], keyType: 'ssh-rsa', key: 'd' },
+				{ line: 5, hosts: ['!*'], keyType: 'ssh-rsa', key: 'e' },
+			];
+
+			expect(knownHosts.lookup(entries, 'www.example.com', 22).map(x => x.key)).to.deep.equal(['a', 'd']);
+			expect(knownHosts.lookup(entries, 'secret.example.com', 22).map(x => x.key)).to.deep.equal(['d']);
+			expect(knownHosts.lookup(entries, 'host1.example.com', 22).map(x => x.key)).to.deep.equal(['a', 'c', 'd']);
+			expect(knownHosts.lookup(entries, 'host10.example.com', 2222).map(x => x.key)).to.deep.equal(['b', 'd']);
+			expect(knownHosts.lookup(entries, 'wwwxexample.com', 22).map(x => x.key)).to.deep.equal(['d']);
+		});
+
+		it('should append entries in the OpenSSH format', function () {
+			knownHosts.append(tempFile, 'example.com', 22, 'ssh-rsa', 'AAAAkey1');
+			knownHosts.append(tempFile, 'example.com', 2222, 'ssh-rsa', 'AAAAkey2');
+			expect(fs.readFileSync(tempFile, 'utf8')).to.equal('example.com ssh-rsa AAAAkey1\n[example.com]:2222 ssh-rsa AAAAkey2\n');
+		});
+	});
+
+	describe('daemon', function () {
+		const host = () => `[127.0.0.1]:${harness.getSSHPort()}`;
+
+		const connect = async (configDir, params = {}, hostKeyHandler = null) => {
+			const client = await sshBridge(configDir);
+			try {
+				return await client.connect({
+					username: 'testuser',
+					hostname: '127.0.0.1',
+					port: harness.getSSHPort(),
+					password: 'correct_password',
+					...params,
+				}, null, hostKeyHandler);
+			} finally {
+				await client.close();
+			}
+		};
+
+		const setup = (configDir, { config, lines = [] }) => {
+			fs.mkdirSync(configDir);
+			config = { knownHostsFiles: [], ...config };
+			fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify(config));
+			fs.writeFileSync(path.join(configDir, 'known_hosts'), lines.map(x => `${x}\n`).join(''));
+		};
+
+		// This learns the test server's host key through a throwaway daemon.
+		const getHostKey = async () => {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			expect((await connect(configDir)).success).to.be.true;
+			return fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').trim().split(' ').slice(1).join(' ');
+		};
+
+		it('should record the host key on the first connection', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			const result = await connect(configDir);
+			expect(result.success).to.be.true;
+			expect(result.knownHostsEntry).to.be.null;
+
+			const lines = fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n');
+			expect(lines).to.have.lengthOf(2);
+			expect(lines[0]).to.match(/^\[127\.0\.0\.1\]:[0-9]+ ssh-rsa AAAA[A-Za-z0-9+/]+=*$/);
+			expect(knownHosts.getFingerprint(lines[0].split(' ')[2])).to.equal(result.fingerprint);
+
+			// The second connection doesn't record it again.
+			expect(await connect(configDir)).to.deep.equal({
+				...result,
+				knownHostsEntry: { file: path.join(configDir, 'known_hosts'), line: 1 },
+			});
+			expect(fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n')).to.have.lengthOf(2);
+		});
+
+		it('should reject changed host keys', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			const otherKey = generateKeyPairSync('rsa', { bits: 2048 }).public;
+			setup(configDir, { lines: [`${host()} ${otherKey}`] });
+
+			const result = await connect(configDir);
+			expect(result.success).to.be.false;
+			expect(result.reason).to.match(/^host fingerprint has changed\n/);
+			expect(result.reason).to.include(`expected fingerprint: ${knownHosts.getFingerprint(otherKey.split(' ')[1])}`);
+			expect(result.reason).to.include(`known_hosts entry: ${path.join(configDir, 'known_hosts')}, line 1`);
+		});
+
+		it('should ignore keys of other types', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			const otherKey = generateKeyPairSync('ed25519').public;
+			setup(configDir, { lines: [`${host()} ${otherKey}`] });
+
+			expect((await connect(configDir)).success).to.be.true;
+			expect(fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n')).to.have.lengthOf(3);
+		});
+
+		it('should only accept known host keys in "strict" mode', async function () {
+			const hostKey = await getHostKey();
+
+			let configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, { config: { hostKeyChecking: 'strict' } });
+			let result = await connect(configDir);
+			expect(result.success).to.be.false;
+			expect(result.reason).to.match(/^host key verification failed \(unknown host key, and hostKeyChecking is "strict"\)\n/);
+			expect(fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8')).to.equal('');
+
+			configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, { config: { hostKeyChecking: 'strict' }, lines: [`${hashHost(host())} ${hostKey}`] });
+			result = await connect(configDir);
+			expect(result.success).to.be.true;
+		});
+
+		it('should honor the known_hosts files in the settings', async function () {
+			const hostKey = await getHostKey();
+			const otherKey = generateKeyPairSync('rsa', { bits: 2048 }).public;
+			const userFile = path.join(harness.getTempDir(), `known_hosts-${randomBytes(8).toString('hex')}`);
+			fs.writeFileSync(userFile, [
+				'# comment',
+				`[other.example.com]:22,!${host()} ${otherKey}`,
+				`[127.0.0.?]:*,example.com ${hostKey} user@laptop`,
+				'',
+			].join('\n'));
+
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, { config: { hostKeyChecking: 'strict', knownHostsFiles: [userFile] } });
+			const result = await connect(configDir);
+			expect(result.success).to.be.true;
+			expect(result.knownHostsEntry).to.deep.equal({ file: userFile, line: 3 });
+
+			// Other known_hosts files are never written to.
+			expect(fs.readFileSync(userFile, 'utf8').split('\n')).to.have.lengthOf(4);
+			expect(fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8')).to.equal('');
+		});
+
+		it('should reject revoked host keys', async function () {
+			const hostKey = await getHostKey();
+			const userFile = path.join(harness.getTempDir(), `known_hosts-${randomBytes(8).toString('hex')}`);
+			fs.writeFileSync(userFile, `@revoked * ${hostKey}\n`);
+
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, { config: { knownHostsFiles: [userFile] }, lines: [`${host()} ${hostKey}`] });
+			const result = await connect(configDir);
+			expect(result.success).to.be.false;
+			expect(result.reason).to.equal(`host key has been revoked (${userFile}, line 1)\n    received fingerprint: ${knownHosts.getFingerprint(hostKey.split(' ')[1])}`);
+		});
+
+		it('should reject revoked host keys even if the fingerprint is given', async function () {
+			const hostKey = await getHostKey();
+			const fingerprint = knownHosts.getFingerprint(hostKey.split(' ')[1]);
+			const userFile = path.join(harness.getTempDir(), `known_hosts-${randomBytes(8).toString('hex')}`);
+			fs.writeFileSync(userFile, `@revoked * ${hostKey}\n`);
+
+			let configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, { config: { knownHostsFiles: [userFile] } });
+			let result = await connect(configDir, { fingerprint });
+			expect(result.success).to.be.false;
+			expect(result.reason).to.equal(`host key has been revoked (${userFile}, line 1)\n    received fingerprint: ${fingerprint}`);
+
+			configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, { config: {}, lines: [`@revoked ${host()} ${hostKey}`] });
+			result = await connect(configDir, { fingerprint });
+			expect(result.success).to.be.false;
+			expect(result.reason).to.match(/^host key has been revoked \(.+known_hosts, line 1\)\n/);
+		});
+
+		it('should ask the hostKeyHandler about unknown host keys', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, { config: { hostKeyChecking: 'strict' } });
+
+			const hostKeys = [];
+			const result = await connect(configDir, {}, async (hostKey) => {
+				hostKeys.push(hostKey);
+				return true;
+			});
+			expect(result.success).to.be.true;
+			expect(hostKeys).to.deep.equal([{
+				hostname: '127.0.0.1',
+				port: harness.getSSHPort(),
+				keyType: 'ssh-rsa',
+				fingerprint: result.fingerprint,
+			}]);
+
+			// Accepted keys are recorded, so the hostKeyHandler isn't asked again.
+			const lines = fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n');
+			expect(lines).to.have.lengthOf(2);
+			expect(knownHosts.getFingerprint(lines[0].split(' ')[2])).to.equal(result.fingerprint);
+			expect((await connect(configDir, {}, () => { throw new Error('unexpected host key'); })).success).to.be.true;
+		});
+
+		it('should abort the connection if the hostKeyHandler rejects the host key', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			setup(configDir, {});
+
+			// The host key is checked before authenticating.
+			const password = `password-${randomBytes(8).toString('hex')}`;
+			const result = await connect(configDir, { password }, () => false);
+			expect(result.success).to.be.false;
+			expect(result.reason).to.match(/^host key verification failed \(rejected by the client\)\n    received fingerprint: [A-Za-z0-9+/]+=*$/);
+			expect(fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8')).to.equal('');
+			expect(harness.getSSHPasswordsReceived()).to.not.include(password);
+		});
+
+		it('should not ask the hostKeyHandler about changed host keys', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			const otherKey = generateKeyPairSync('rsa', { bits: 2048 }).public;
+			setup(configDir, { lines: [`${host()} ${otherKey}`] });
+
+			const result = await connect(configDir, {}, () => { throw new Error('unexpected host key'); });
+			expect(result.success).to.be.false;
+			expect(result.reason).to.match(/^host fingerprint has changed\n/);
+		});
+
+		it('should allow hostKeyChecking to be chosen per connection', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			const otherKey = generateKeyPairSync('rsa', { bits: 2048 }).public;
+			setup(configDir, { config: { hostKeyChecking: 'off' } });
+
+			let result = await connect(configDir, { hostKeyChecking: 'strict' });
+			expect(result.success).to.be.false;
+			expect(result.reason).to.match(/^host key verification failed \(unknown host key, and hostKeyChecking is "strict"\)\n/);
+
+			expect((await connect(configDir, { hostKeyChecking: 'accept-new' })).success).to.be.true;
+			expect(fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n')).to.have.lengthOf(2);
+
+			fs.writeFileSync(path.join(configDir, 'known_hosts'), `${host()} ${otherKey}\n`);
+			result = await connect(configDir, { hostKeyChecking: 'accept-new' });
+			expect(result.success).to.be.false;
+			expect(result.reason).to.match(/^host fingerprint has changed\n/);
+		});
+
+		it('should not check or record host keys in "off" mode', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			const otherKey = generateKeyPairSync('rsa', { bits: 2048 }).public;
+			setup(configDir, { config: { hostKeyChecking: 'off' }, lines: [`${host()} ${otherKey}`] });
+
+			expect((await connect(configDir)).success).to.be.true;
+			expect(fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n')).to.have.lengthOf(2);
+		});
+
+		it('should only check the given fingerprint, if provided', async function () {
+			const configDir = harness.getConfigDir('known-hosts-tests');
+			const otherKey = generateKeyPairSync('rsa', { bits: 2048 }).public;
+			const fingerprint = knownHosts.getFingerprint((await getHostKey()).split(' ')[1]);
+			setup(configDir, { lines: [`${host()} ${otherKey}`] });
+
+			expect((await connect(configDir, { fingerprint })).success).to.be.true;
+		});
+	});
+});
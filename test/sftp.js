@@ -0,0 +1,220 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { randomBytes } = require('node:crypto');
+const { expect } = require('chai');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+describe('client.sftp', function () {
+	const configDir = harness.getConfigDir('sftp-tests');
+	let remoteDir;
+	let client;
+
+	beforeEach(async function () {
+		remoteDir = path.join(harness.getTempDir(), `sftp-${randomBytes(6).toString('hex')}`);
+		fs.mkdirSync(remoteDir);
+		client = await sshBridge(configDir);
+		await client.connect({
+			username: 'testuser',
+			hostname: '127.0.0.1',
+			port: harness.getSSHPort(),
+			password: 'correct_password',
+		});
+	});
+
+	afterEach(async function () {
+		await client.close();
+	});
+
+	describe('readFile()', function () {
+		it('should read the contents of a remote file', async function () {
+			const data = randomBytes(100000);
+			fs.writeFileSync(path.join(remoteDir, 'file.bin'), data);
+
+			const result = await client.sftp.readFile(path.join(remoteDir, 'file.bin'));
+			expect(Buffer.isBuffer(result)).to.be.true;
+			expect(result.equals(data)).to.be.true;
+		});
+
+		it('should reject with SFTP_ERROR if the file does not exist', async function () {
+			await expectSFTPError(client.sftp.readFile(path.join(remoteDir, 'missing')), 'NO_SUCH_FILE', 2);
+		});
+	});
+
+	describe('writeFile()', function () {
+		it('should write binary data to a remote file', async function () {
+			const data = randomBytes(100000);
+			await client.sftp.writeFile(path.join(remoteDir, 'file.bin'), data);
+			expect(fs.readFileSync(path.join(remoteDir, 'file.bin')).equals(data)).to.be.true;
+		});
+
+		it('should write a string to a remote file', async function () {
+			await client.sftp.writeFile(path.join(remoteDir, 'file.txt'), 'Hello, World!\n');
+			expect(fs.readFileSync(path.join(remoteDir, 'file.txt'), 'utf8')).to.equal('Hello, World!\n');
+		});
+
+		it('should truncate an existing remote file', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.txt'), 'some very long content');
+			await client.sftp.writeFile(path.join(remoteDir, 'file.txt'), 'short');
+			expect(fs.readFileSync(path.join(remoteDir, 'file.txt'), 'utf8')).to.equal('short');
+		});
+
+		itUnix('should create the file with the given mode', async function () {
+			await client.sftp.writeFile(path.join(remoteDir, 'file.txt'), 'secret', { mode: 0o600 });
+			expect(fs.statSync(path.join(remoteDir, 'file.txt')).mode & 0o777).to.equal(0o600);
+		});
+
+		it('should reject with a TypeError if data is not a string or Buffer', async function () {
+			await expectReject(client.sftp.writeFile(path.join(remoteDir, 'file.txt'), 123), TypeError, 'Expected data to be a string or Buffer');
+		});
+	});
+
+	describe('stat()', function () {
+		it('should return the stats of a remote file', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.txt'), 'Hello, World!\n');
+			const localStats = fs.statSync(path.join(remoteDir, 'file.txt'));
+
+			const stats = await client.sftp.stat(path.join(remoteDir, 'file.txt'));
+			expect(stats.size).to.equal(14);
+			expect(stats.mode).to.equal(localStats.mode);
+			expect(stats.mtime).to.equal(Math.floor(localStats.mtimeMs / 1000));
+			expect(stats.isFile()).to.be.true;
+			expect(stats.isDirectory()).to.be.false;
+			expect(stats.isSymbolicLink()).to.be.false;
+		});
+
+		it('should return the stats of a remote directory', async function () {
+			const stats = await client.sftp.stat(remoteDir);
+			expect(stats.isFile()).to.be.false;
+			expect(stats.isDirectory()).to.be.true;
+		});
+
+		it('should reject with SFTP_ERROR if the file does not exist', async function () {
+			await expectSFTPError(client.sftp.stat(path.join(remoteDir, 'missing')), 'NO_SUCH_FILE', 2);
+		});
+	});
+
+	describe('readdir()', function () {
+		it('should return the sorted names of entries in a remote directory', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'b.txt'), '');
+			fs.writeFileSync(path.join(remoteDir, 'a.txt'), '');
+			fs.mkdirSync(path.join(remoteDir, 'c'));
+
+			expect(await client.sftp.readdir(remoteDir)).to.deep.equal(['a.txt', 'b.txt', 'c']);
+		});
+
+		it('should return the stats of each entry, if requested', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'a.txt'), 'Hello');
+			fs.mkdirSync(path.join(remoteDir, 'b'));
+
+			const entries = await client.sftp.readdir(remoteDir, { withStats: true });
+			expect(entries.map(x => x.name)).to.deep.equal(['a.txt', 'b']);
+			expect(entries[0].stats.size).to.equal(5);
+			expect(entries[0].stats.isFile()).to.be.true;
+			expect(entries[1].stats.isDirectory()).to.be.true;
+		});
+
+		it('should reject with SFTP_ERROR if the directory does not exist', async function () {
+			await expectSFTPError(client.sftp.readdir(path.join(remoteDir, 'missing')), 'NO_SUCH_FILE', 2);
+		});
+	});
+
+	describe('unlink()', function () {
+		it('should delete a remote file', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.txt'), '');
+			await client.sftp.unlink(path.join(remoteDir, 'file.txt'));
+			expect(fs.existsSync(path.join(remoteDir, 'file.txt'))).to.be.false;
+		});
+
+		it('should reject with SFTP_ERROR if the file does not exist', async function () {
+			await expectSFTPError(client.sftp.unlink(path.join(remoteDir, 'missing')), 'NO_SUCH_FILE', 2);
+		});
+	});
+
+	describe('mkdir()', function () {
+		it('should create a remote directory', async function () {
+			await client.sftp.mkdir(path.join(remoteDir, 'dir'));
+			expect(fs.statSync(path.join(remoteDir, 'dir')).isDirectory()).to.be.true;
+		});
+
+		it('should reject with SFTP_ERROR if the directory already exists', async function () {
+			fs.mkdirSync(path.join(remoteDir, 'dir'));
+			await expectSFTPError(client.sftp.mkdir(path.join(remoteDir, 'dir')), 'FAILURE', 4);
+		});
+	});
+
+	describe('rmdir()', function () {
+		it('should delete an empty remote directory', async function () {
+			fs.mkdirSync(path.join(remoteDir, 'dir'));
+			await client.sftp.rmdir(path.join(remoteDir, 'dir'));
+			expect(fs.existsSync(path.join(remoteDir, 'dir'))).to.be.false;
+		});
+
+		it('should reject with SFTP_ERROR if the directory does not exist', async function () {
+			await expectSFTPError(client.sftp.rmdir(path.join(remoteDir, 'missing')), 'NO_SUCH_FILE', 2);
+		});
+	});
+
+	it('should remain usable after an SFTP_ERROR', async function () {
+		await expectSFTPError(client.sftp.readFile(path.join(remoteDir, 'missing')), 'NO_SUCH_FILE', 2);
+		expect(client.closed).to.be.false;
+
+		await client.sftp.writeFile(path.join(remoteDir, 'file.txt'), 'Hello, World!');
+		expect((await client.sftp.readFile(path.join(remoteDir, 'file.txt'))).toString()).to.equal('Hello, World!');
+
+		const { result } = client.exec('echo test');
+		expect((await result).code).to.equal(0);
+	});
+
+	it('should not allow SFTP operations in an invalid state', async function () {
+		const otherClient = await sshBridge(configDir);
+		try {
+			await expectReject(otherClient.sftp.stat(remoteDir), TypeError, 'Method not available in the current state');
+		} finally {
+			await otherClient.close();
+		}
+	});
+
+	it('should not allow SFTP operations while running a command', async function () {
+		const { result } = client.exec('sleep 1');
+		await expectReject(client.sftp.stat(remoteDir), TypeError, 'Method not available in the current state');
+		await result;
+	});
+
+	it('should not allow SFTP operations when the client is in an errored state', async function () {
+		await client.close();
+		await expectReject(client.sftp.stat(remoteDir), TypeError, 'Client is closed');
+	});
+
+	it('should produce NO_SSH error when SSH connection is closed unexpectedly', async function () {
+		await harness.closeSSHConnections();
+		await new Promise(r => setTimeout(r, 100));
+		const promise = client.sftp.stat(remoteDir);
+		await expectReject(promise, Error, 'SSH connection closed unexpectedly');
+		expect(client.closed).to.be.true;
+	});
+});
+
+async function expectSFTPError(promise, code, status) {
+	try {
+		await promise;
+	} catch (err) {
+		expect(err.type).to.equal('SFTP_ERROR');
+		expect(err.code).to.equal(code);
+		expect(err.status).to.equal(status);
+		expect(err.reason).to.be.a('string');
+		return;
+	}
+	expect.fail('Expected promise to be rejected');
+}
+
+async function expectReject(promise, ...args) {
+	try {
+		await promise;
+	} catch (err) {
+		expect(() => { throw err; }).to.throw(...args);
+		return;
+	}
+	expect.fail('Expected promise to be rejected');
+}
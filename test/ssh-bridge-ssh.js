@@ -0,0 +1,136 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { randomBytes } = require('node:crypto');
+const { execFile } = require('node:child_process');
+const { expect } = require('chai');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+const BIN = path.join(__dirname, '..', 'bin', 'ssh-bridge-ssh');
+
+describe('ssh-bridge-ssh', function () {
+	this.timeout(10000);
+
+	const hostId = () => `[127.0.0.1]:${harness.getSSHPort()}`;
+
+	const cacheCredentials = async (configDir, { password = 'correct_password', hostKeyChecking = 'off' } = {}) => {
+		const client = await sshBridge(configDir);
+		try {
+			await client.connect({
+				username: 'testuser',
+				hostname: '127.0.0.1',
+				port: harness.getSSHPort(),
+				password,
+				hostKeyChecking,
+			});
+		} finally {
+			await client.close();
+		}
+	};
+
+	itUnix('should proxy stdio and the exit code of a remote command', async function () {
+		const configDir = harness.getConfigDir('ssh-wrapper');
+		await cacheCredentials(configDir);
+
+		let result = await sshWrapper(configDir, {
+			input: 'hello',
+			args: ['-p', String(harness.getSSHPort()), '-o', 'StrictHostKeyChecking=accept-new', 'testuser@127.0.0.1', 'cat;', 'echo', 'oops', '>&2;', 'exit', '7'],
+		});
+		expect(result.code).to.equal(7);
+		expect(result.stdout).to.equal('hello');
+		expect(result.stderr).to.match(/^Warning: Permanently added \[127\.0\.0\.1\]:[0-9]+ \(SHA256:[A-Za-z0-9+/]+\) to the list of known hosts\.\noops\n$/);
+
+		const lines = fs.readFileSync(path.join(configDir, 'known_hosts'), 'utf8').split('\n');
+		expect(lines).to.have.lengthOf(2);
+		expect(lines[0]).to.match(new RegExp(`^${hostId().replace(/[.[\]]/g, '\\$&')} ssh-rsa `));
+
+		// Now that the host is known, the connection can be cached and reused.
+		result = await sshWrapper(configDir, { args: ['-p', String(harness.getSSHPort()), 'testuser@127.0.0.1', 'echo', 'hi'] });
+		expect(result).to.deep.equal({ code: 0, stdout: 'hi\n', stderr: '' });
+
+		const client = await sshBridge(configDir);
+		try {
+			const status = await client.status();
+			expect(status.cachedConnections).to.have.lengthOf(1);
+		} finally {
+			await client.close();
+		}
+	});
+
+	itUnix('should support combined flags, -l, and SendEnv', async function () {
+		const configDir = harness.getConfigDir('ssh-wrapper');
+		await cacheCredentials(configDir);
+
+		const { code, stdout } = await sshWrapper(configDir, {
+			env: { LC_GREETING: 'Hello, World!', 'LC_INVALID-NAME': 'skipped' },
+			args: ['-xTp' + harness.getSSHPort(), '-l', 'testuser', '-oStrictHostKeyChecking=no', '-o', 'SendEnv LC_*', '--', '127.0.0.1', 'echo', '"$LC_GREETING"'],
+		});
+		expect(code).to.equal(0);
+		expect(stdout).to.equal('Hello, World!\n');
+	});
+
+	it('should not connect to unknown hosts by default', async function () {
+		const configDir = harness.getConfigDir('ssh-wrapper');
+		const password = `password-${randomBytes(8).toString('hex')}`;
+		await harness.withSSHPassword(password, () => cacheCredentials(configDir, { password }));
+
+		const { code, stdout, stderr } = await sshWrapper(configDir, { args: ['-p', String(harness.getSSHPort()), 'testuser@127.0.0.1', 'echo', 'hi'] });
+		expect(code).to.equal(255);
+		expect(stdout).to.equal('');
+		expect(stderr).to.equal(`ssh-bridge-ssh: host key verification failed: ${hostId()} is not a known host (connect to it with "ssh-bridge connect" first)\n`);
+
+		// The cached password was never sent to the unknown host.
+		expect(harness.getSSHPasswordsReceived().filter(x => x === password)).to.have.lengthOf(1);
+	});
+
+	itUnix('should trust the host keys in the daemon\'s known_hosts files', async function () {
+		// This learns the test server's host key through a throwaway daemon.
+		const otherConfigDir = harness.getConfigDir('ssh-wrapper');
+		await cacheCredentials(otherConfigDir, { hostKeyChecking: 'accept-new' });
+		const userFile = path.join(harness.getTempDir(), `known_hosts-${randomBytes(8).toString('hex')}`);
+		fs.copyFileSync(path.join(otherConfigDir, 'known_hosts'), userFile);
+
+		const configDir = harness.getConfigDir('ssh-wrapper');
+		fs.mkdirSync(configDir);
+		fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ knownHostsFiles: [userFile] }));
+		await cacheCredentials(configDir);
+
+		const result = await sshWrapper(configDir, { args: ['-p', String(harness.getSSHPort()), 'testuser@127.0.0.1', 'echo', 'hi'] });
+		expect(result).to.deep.equal({ code: 0, stdout: 'hi\n', stderr: '' });
+		expect(fs.existsSync(path.join(configDir, 'known_hosts'))).to.be.false;
+	});
+
+	it('should fail if there are no cached credentials', async function () {
+		const configDir = harness.getConfigDir('ssh-wrapper');
+		await (await sshBridge(configDir)).close(); // Spawn a daemon the harness will clean up
+
+		const { code, stderr } = await sshWrapper(configDir, {
+			args: ['-p', String(harness.getSSHPort()), '-o', 'StrictHostKeyChecking=accept-new', 'testuser@127.0.0.1', 'echo', 'hi'],
+		});
+		expect(code).to.equal(255);
+		expect(stderr).to.equal('ssh-bridge-ssh: testuser@127.0.0.1: permission denied (log in once with "ssh-bridge connect" to cache credentials)\n');
+	});
+
+	it('should reject unsupported arguments', async function () {
+		const configDir = harness.getConfigDir('ssh-wrapper');
+		let result = await sshWrapper(configDir, { args: ['-L', '8080:localhost:80', 'testuser@127.0.0.1', 'true'] });
+		expect(result.code).to.equal(255);
+		expect(result.stderr).to.equal('ssh-bridge-ssh: unsupported option -L\n');
+
+		result = await sshWrapper(configDir, { args: ['testuser@127.0.0.1'] });
+		expect(result.code).to.equal(255);
+		expect(result.stderr).to.equal('ssh-bridge-ssh: expected a command to run (for interactive sessions, use "ssh-bridge connect")\n');
+	});
+});
+
+async function sshWrapper(configDir, { args, input = '', env = {} }) {
+	return new Promise((resolve) => {
+		const child = execFile(process.execPath, [BIN, ...args], {
+			env: { ...process.env, ...env, SSH_BRIDGE_CONFIG_DIR: configDir },
+		}, (err, stdout, stderr) => {
+			resolve({ code: err ? err.code : 0, stdout, stderr });
+		});
+		child.stdin.end(input);
+	});
+}
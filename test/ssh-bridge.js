@@ -5,6 +5,7 @@ const path = require('node:path');
 const { execSync } = require('node:child_process');
 const { expect } = require('chai');
 const sshBridge = require('../src/lib/index');
+const FrameParser = require('../src/lib/frame-parser');
 const harness = require('./tools/harness');
 
 describe('sshBridge()', function () {
@@ -154,6 +155,81 @@ describe('sshBridge()', function () {
 		expect(logsAfterSecondDaemon.startsWith(logsAfterFirstDaemon)).to.be.true;
 	});
 
+	describe('protocol version', function () {
+		// This imitates a daemon that responds to STATUS frames with the given
+		// protocol version (or ignores them, if it's undefined). It responds to
+		// REUSE frames like any daemon would, when there's nothing to reuse.
+		const fakeDaemon = async (configDir, protocolVersion) => {
+			fs.mkdirSync(configDir);
+			const server = net.createServer((socket) => {
+				const frameParser = new FrameParser();
+				socket.on('data', (chunk) => {
+					frameParser.append(chunk);
+					for (const frame of frameParser.frames()) {
+						if (frame.type === FrameParser.STATUS && protocolVersion !== undefined) {
+							socket.write(FrameParser.createFrame(FrameParser.STATUS_RESPONSE, Buffer.from(JSON.stringify({ protocolVersion }))));
+						} else if (frame.type === FrameParser.REUSE) {
+							socket.write(FrameParser.createFrame(FrameParser.UNCONNECTED, Buffer.from(JSON.stringify({ reason: 'no cached connection' }))));
+						}
+					}
+				});
+			});
+			await new Promise((resolve) => {
+				const socketPath = process.platform === 'win32'
+					? path.join('\\\\?\\pipe', configDir, 'sock')
+					: path.join(configDir, 'sock');
+				server.listen(socketPath, resolve);
+			});
+			return server;
+		};
+
+		const reuse = (client) => client.reuse({ username: 'testuser', hostname: '127.0.0.1', port: 22 });
+
+		it('should fail if the daemon uses a different protocol version', async function () {
+			const configDir = harness.getConfigDir('protocol-test');
+			const server = await fakeDaemon(configDir, 1);
+			try {
+				const client = await sshBridge(configDir);
+				const err = await reuse(client).then(() => expect.fail('Expected promise to be rejected'), err => err);
+				expect(err).to.be.an.instanceof(Error);
+				expect(err.message).to.equal('The running ssh-bridge daemon uses protocol version 1, but this client requires version 2 (restart the daemon with "ssh-bridge restart")');
+				expect(err.type).to.equal('DAEMON_ERROR');
+				expect(err.reason).to.equal('incompatible protocol version');
+				expect(client.closed).to.be.true;
+			} finally {
+				server.close();
+			}
+		});
+
+		it('should fail right away if the daemon predates the STATUS frame', async function () {
+			const configDir = harness.getConfigDir('protocol-test');
+			const server = await fakeDaemon(configDir, undefined);
+			try {
+				const client = await sshBridge(configDir);
+				const startTime = Date.now();
+				await expectReject(reuse(client), Error, /^The running ssh-bridge daemon uses protocol version 1,/);
+				expect(Date.now() - startTime).to.be.below(500);
+			} finally {
+				server.close();
+			}
+		});
+
+		it('should work normally if the daemon uses the same protocol version', async function () {
+			const configDir = harness.getConfigDir('protocol-test');
+			const server = await fakeDaemon(configDir, FrameParser.PROTOCOL_VERSION);
+			try {
+				const client = await sshBridge(configDir);
+				try {
+					expect(await reuse(client)).to.deep.equal({ success: false, reason: 'no cached connection' });
+				} finally {
+					await client.close();
+				}
+			} finally {
+				server.close();
+			}
+		});
+	});
+
 	it('should create the custom configDir if it does not exist', async function () {
 		const configDir = harness.getConfigDir('create-config-dir-test');
 
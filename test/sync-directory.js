@@ -0,0 +1,236 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { randomBytes } = require('node:crypto');
+const { expect } = require('chai');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+describe('client.syncDirectory()', function () {
+	const configDir = harness.getConfigDir('sync-tests');
+	let localDir;
+	let remoteDir;
+	let client;
+
+	beforeEach(async function () {
+		const random = randomBytes(6).toString('hex');
+		localDir = path.join(harness.getTempDir(), `sync-local-${random}`);
+		remoteDir = path.join(harness.getTempDir(), `sync-remote-${random}`);
+		client = await sshBridge(configDir);
+		await client.connect({
+			username: 'testuser',
+			hostname: '127.0.0.1',
+			port: harness.getSSHPort(),
+			password: 'correct_password',
+		});
+	});
+
+	afterEach(async function () {
+		await client.close();
+	});
+
+	it('should upload a directory tree that does not exist remotely', async function () {
+		writeTree(localDir, {
+			'a.txt': 'a',
+			'sub/b.txt': 'bb',
+			'sub/deeper/c.txt': 'ccc',
+		});
+
+		const summary = await client.syncDirectory(localDir, remoteDir);
+		expect(summary).to.deep.equal({
+			created: ['a.txt', 'sub', 'sub/b.txt', 'sub/deeper', 'sub/deeper/c.txt'],
+			updated: [],
+			deleted: [],
+		});
+		expect(readTree(remoteDir)).to.deep.equal(readTree(localDir));
+	});
+
+	it('should only transfer files that have changed', async function () {
+		writeTree(localDir, {
+			'a.txt': 'a',
+			'b.txt': 'b',
+			'c.txt': 'c',
+		});
+
+		await client.syncDirectory(localDir, remoteDir);
+		expect(await client.syncDirectory(localDir, remoteDir)).to.deep.equal({ created: [], updated: [], deleted: [] });
+
+		fs.writeFileSync(path.join(localDir, 'a.txt'), 'a changed size');
+		fs.writeFileSync(path.join(localDir, 'b.txt'), 'B');
+		fs.utimesSync(path.join(localDir, 'b.txt'), 1000000000, 1000000000);
+
+		expect(await client.syncDirectory(localDir, remoteDir)).to.deep.equal({
+			created: [],
+			updated: ['a.txt', 'b.txt'],
+			deleted: [],
+		});
+		expect(readTree(remoteDir)).to.deep.equal(readTree(localDir));
+	});
+
+	it('should only delete extraneous files if requested', async function () {
+		writeTree(localDir, { 'a.txt': 'a' });
+		writeTree(remoteDir, {
+			'a.txt': 'a',
+			'extra.txt': 'extra',
+			'extra/nested.txt': 'nested',
+		});
+
+		let summary = await client.syncDirectory(localDir, remoteDir);
+		expect(summary.deleted).to.deep.equal([]);
+		expect(fs.existsSync(path.join(remoteDir, 'extra.txt'))).to.be.true;
+
+		summary = await client.syncDirectory(localDir, remoteDir, { delete: true });
+		expect(summary.deleted).to.deep.equal(['extra', 'extra.txt', 'extra/nested.txt']);
+		expect(readTree(remoteDir)).to.deep.equal(readTree(localDir));
+	});
+
+	it('should skip excluded paths', async function () {
+		writeTree(localDir, {
+			'a.txt': 'a',
+			'debug.log': 'log',
+			'node_modules/pkg/index.js': 'js',
+			'sub/secret.key': 'key',
+			'sub/other.txt': 'other',
+			'temp/file': 'temp',
+		});
+		writeTree(remoteDir, { 'remote.log': 'remote log' });
+
+		const summary = await client.syncDirectory(localDir, remoteDir, {
+			delete: true,
+			exclude: ['*.log', 'node_modules', /^sub\/.*\.key$/, 'temp/**'],
+		});
+
+		expect(summary).to.deep.equal({
+			created: ['a.txt', 'sub', 'sub/other.txt', 'temp'],
+			updated: [],
+			deleted: [],
+		});
+		expect(readTree(remoteDir)).to.deep.equal({
+			'a.txt': 'a',
+			'remote.log': 'remote log',
+			'sub/other.txt': 'other',
+			'temp/': null,
+		});
+	});
+
+	it('should accept an exclude function', async function () {
+		writeTree(localDir, { 'a.txt': 'a', 'b.txt': 'b' });
+
+		const summary = await client.syncDirectory(localDir, remoteDir, { exclude: rel => rel === 'b.txt' });
+		expect(summary.created).to.deep.equal(['a.txt']);
+	});
+
+	it('should replace entries whose type has changed', async function () {
+		writeTree(localDir, { 'thing/file.txt': 'file' });
+		writeTree(remoteDir, { 'thing': 'was a file' });
+
+		const summary = await client.syncDirectory(localDir, remoteDir);
+		expect(summary).to.deep.equal({
+			created: ['thing', 'thing/file.txt'],
+			updated: [],
+			deleted: ['thing'],
+		});
+		expect(readTree(remoteDir)).to.deep.equal(readTree(localDir));
+	});
+
+	it('should download a directory tree, if requested', async function () {
+		writeTree(remoteDir, {
+			'a.txt': 'a',
+			'sub/b.txt': 'bb',
+		});
+		writeTree(localDir, { 'extra.txt': 'extra' });
+
+		const summary = await client.syncDirectory(localDir, remoteDir, { direction: 'download', delete: true });
+		expect(summary).to.deep.equal({
+			created: ['a.txt', 'sub', 'sub/b.txt'],
+			updated: [],
+			deleted: ['extra.txt'],
+		});
+		expect(readTree(localDir)).to.deep.equal(readTree(remoteDir));
+		expect(await client.syncDirectory(localDir, remoteDir, { direction: 'download' })).to.deep.equal({ created: [], updated: [], deleted: [] });
+	});
+
+	itUnix('should compare file contents by hash, if requested', async function () {
+		writeTree(localDir, { 'a.txt': 'aaa', 'b.txt': 'bbb' });
+		await client.syncDirectory(localDir, remoteDir);
+
+		// Change the content without changing the size or mtime.
+		const stats = fs.statSync(path.join(remoteDir, 'a.txt'));
+		fs.writeFileSync(path.join(remoteDir, 'a.txt'), 'xxx');
+		fs.utimesSync(path.join(remoteDir, 'a.txt'), stats.atime, stats.mtime);
+
+		expect(await client.syncDirectory(localDir, remoteDir)).to.deep.equal({ created: [], updated: [], deleted: [] });
+		expect(await client.syncDirectory(localDir, remoteDir, { hash: true })).to.deep.equal({
+			created: [],
+			updated: ['a.txt'],
+			deleted: [],
+		});
+		expect(readTree(remoteDir)).to.deep.equal(readTree(localDir));
+	});
+
+	itUnix('should hash files whose names contain newlines or backslashes', async function () {
+		writeTree(localDir, { 'new\nline.txt': 'aaa', 'back\\slash.txt': 'bbb', 'plain.txt': 'ccc' });
+		await client.syncDirectory(localDir, remoteDir);
+
+		const stats = fs.statSync(path.join(remoteDir, 'new\nline.txt'));
+		fs.writeFileSync(path.join(remoteDir, 'new\nline.txt'), 'xxx');
+		fs.utimesSync(path.join(remoteDir, 'new\nline.txt'), stats.atime, stats.mtime);
+
+		expect(await client.syncDirectory(localDir, remoteDir, { hash: true, delete: true })).to.deep.equal({
+			created: [],
+			updated: ['new\nline.txt'],
+			deleted: [],
+		});
+		expect(readTree(remoteDir)).to.deep.equal(readTree(localDir));
+	});
+
+	it('should reject if the source directory does not exist', async function () {
+		await expectReject(client.syncDirectory(localDir, remoteDir), Error, /no such file or directory/);
+	});
+
+	it('should reject with a TypeError if the direction is invalid', async function () {
+		await expectReject(client.syncDirectory(localDir, remoteDir, { direction: 'sideways' }), TypeError, 'Expected direction to be "upload" or "download"');
+	});
+
+	it('should not allow syncDirectory() in an invalid state', async function () {
+		const otherClient = await sshBridge(configDir);
+		try {
+			await expectReject(otherClient.syncDirectory(localDir, remoteDir), TypeError, 'Method not available in the current state');
+		} finally {
+			await otherClient.close();
+		}
+	});
+});
+
+function writeTree(root, files) {
+	fs.mkdirSync(root, { recursive: true });
+	for (const [rel, content] of Object.entries(files)) {
+		fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+		fs.writeFileSync(path.join(root, rel), content);
+	}
+}
+
+function readTree(root, prefix = '') {
+	const result = {};
+	for (const name of fs.readdirSync(path.join(root, prefix)).sort()) {
+		const rel = prefix ? `${prefix}/${name}` : name;
+		if (fs.statSync(path.join(root, rel)).isDirectory()) {
+			const children = readTree(root, rel);
+			if (Object.keys(children).length) Object.assign(result, children);
+			else result[`${rel}/`] = null;
+		} else {
+			result[rel] = fs.readFileSync(path.join(root, rel), 'utf8');
+		}
+	}
+	return result;
+}
+
+async function expectReject(promise, ...args) {
+	try {
+		await promise;
+	} catch (err) {
+		expect(() => { throw err; }).to.throw(...args);
+		return;
+	}
+	expect.fail('Expected promise to be rejected');
+}
@@ -1,12 +1,17 @@
 'use strict';
 const fs = require('node:fs');
 const path = require('node:path');
+const net = require('node:net');
 const childProcess = require('node:child_process');
 const { randomBytes } = require('node:crypto');
 const { Server, utils: { generateKeyPairSync, parseKey } } = require('ssh2');
+const serveSFTP = require('./sftp-server');
 
 const WIN32 = process.platform === 'win32';
+const MAX_SESSIONS = 10; // Same as OpenSSH's default
+const ACCEPT_ENV = /^(LANG|LC_\w+)$/; // Same as many distributions' AcceptEnv
 const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+const DAEMON = path.join(__dirname, '..', '..', 'src', 'daemon', 'index.js');
 const originalSpawn = childProcess.spawn;
 const trackedPIDs = new Set();
 const sshConnections = new Set();
@@ -15,6 +20,7 @@ let sshPort = null;
 let sshKey = null;
 let sshKeyEncrypted = null;
 let sshPassword = null;
+const sshPasswordsReceived = [];
 let nextSessionId = 1;
 
 exports.getConfigDir = (label) => {
@@ -22,6 +28,10 @@ exports.getConfigDir = (label) => {
 	return path.join(TEMP_DIR, `${label || 'test'}-${random}`);
 };
 
+exports.getTempDir = () => {
+	return TEMP_DIR;
+};
+
 exports.getSSHPort = () => {
 	return sshPort;
 };
@@ -45,6 +55,11 @@ exports.closeSSHConnections = async () => {
 	})));
 };
 
+// Every password that the SSH server was given, in order.
+exports.getSSHPasswordsReceived = () => {
+	return sshPasswordsReceived;
+};
+
 exports.withSSHPassword = async (newPassword, callback) => {
 	const oldPassword = sshPassword;
 	sshPassword = newPassword;
@@ -73,7 +88,23 @@ exports.mochaHooks = {
 	},
 };
 
+// By default, the daemon also checks host keys against ~/.ssh/known_hosts, so
+// unless a test provides its own config file, test daemons are configured to
+// use no other known_hosts files. And in case a test's config file falls back
+// to the default, test daemons get an empty home directory, so that test
+// results never depend on the developer's own known_hosts file.
 childProcess.spawn = function spawn(...args) {
+	if (Array.isArray(args[1]) && args[1][0] === DAEMON) {
+		const configPath = path.join(args[1][1], 'config.json');
+		if (!fs.existsSync(configPath)) {
+			fs.writeFileSync(configPath, JSON.stringify({ knownHostsFiles: [] }));
+		}
+
+		const home = path.join(TEMP_DIR, 'home');
+		fs.mkdirSync(home, { recursive: true });
+		args[2] = { ...args[2], env: { ...process.env, HOME: home, USERPROFILE: home } };
+	}
+
 	const child = originalSpawn.apply(this, args);
 	if (child && child.pid) {
 		trackedPIDs.add(child.pid);
@@ -118,6 +149,7 @@ async function startSSHServer() {
 			client.on('authentication', (ctx) => {
 				switch (ctx.method) {
 					case 'password':
+						sshPasswordsReceived.push(ctx.password);
 						if (ctx.password !== sshPassword) {
 							return ctx.reject();
 						}
@@ -159,11 +191,28 @@ async function startSSHServer() {
 			});
 
 			client.on('ready', () => {
-				client.on('session', (accept) => {
+				let openSessions = 0;
+				client.on('session', (accept, reject) => {
+					if (openSessions >= MAX_SESSIONS) {
+						return reject();
+					}
+
 					const sessionId = nextSessionId++;
 					const session = accept();
+					openSessions += 1;
+					session.on('close', () => { openSessions -= 1; });
 					let ptyPath = null;
 					let pty = null;
+					let child = null;
+					const env = {};
+					const getEnv = () => ({ ...process.env, ...env, ...pty && { PTY: ptyPath } });
+					session.on('env', (accept, reject, info) => {
+						if (!ACCEPT_ENV.test(info.key)) {
+							return reject && reject();
+						}
+						env[info.key] = info.val;
+						accept && accept();
+					});
 					session.on('pty', (accept, reject, info) => {
 						ptyPath = path.join(TEMP_DIR, `fake-pty-file-${sessionId}.json`);
 						pty = { ...info };
@@ -176,30 +225,77 @@ async function startSSHServer() {
 						fs.writeFileSync(ptyPath, JSON.stringify(pty));
 						accept && accept();
 					});
+					// Like OpenSSH, signals are accepted even after the client has
+					// sent EOF, but ssh2 rejects all requests after that point.
+					session.on('eof', () => { session._ending = false; });
+					session.on('signal', (accept, reject, info) => {
+						if (!child) return reject && reject();
+						child.kill(`SIG${info.name}`);
+						accept && accept();
+					});
+					session.on('sftp', (accept) => {
+						serveSFTP(accept());
+					});
 					session.on('exec', (accept, reject, info) => {
 						if (info.command === '<<TEST_COMMAND_THAT_ERRORS>>') {
 							return reject();
 						}
 
 						const stream = accept();
-						const env = { ...process.env, ...pty && { PTY: ptyPath } };
-						const child = childProcess.spawn(info.command, { shell: true, env });
-
-						child.stdout.on('data', (data) => stream.write(data));
-						child.stderr.on('data', (data) => stream.stderr.write(data));
-						stream.on('data', (data) => child.stdin.write(data));
-						stream.on('end', () => child.stdin.end());
-
-						child.on('exit', (code, signal) => {
-							stream.exit(code != null ? code : signal);
-							stream.end();
+						child = childProcess.spawn(info.command, { shell: true, env: getEnv() });
+						pipeProcess(child, stream);
+					});
+					session.on('shell', (accept) => {
+						const stream = accept();
+						child = childProcess.spawn(WIN32 ? 'cmd.exe' : '/bin/sh', [], { env: getEnv() });
+						pipeProcess(child, stream);
+					});
+				});
+				const forwardServers = new Map();
+				client.on('close', () => {
+					for (const server of forwardServers.values()) server.close();
+					forwardServers.clear();
+				});
+				client.on('request', (accept, reject, name, info) => {
+					if (name === 'tcpip-forward') {
+						const server = net.createServer({ allowHalfOpen: true }, (socket) => {
+							socket.on('error', () => {});
+							const { port } = server.address();
+							client.forwardOut(info.bindAddr, port, socket.remoteAddress, socket.remotePort, (err, channel) => {
+								if (err) return socket.destroy();
+								channel.on('error', () => socket.destroy());
+								channel.on('close', () => socket.destroy());
+								socket.on('close', () => channel.destroy());
+								socket.pipe(channel).pipe(socket);
+							});
 						});
-
-						child.on('error', (err) => {
-							stream.stderr.write(`Error: ${err.message}\n`);
-							stream.exit(1);
-							stream.end();
+						server.on('error', () => reject && reject());
+						server.listen(info.bindPort, info.bindAddr, () => {
+							const { port } = server.address();
+							forwardServers.set(`${info.bindAddr}:${port}`, server);
+							accept && accept(port);
 						});
+					} else if (name === 'cancel-tcpip-forward') {
+						const key = `${info.bindAddr}:${info.bindPort}`;
+						const server = forwardServers.get(key);
+						if (!server) return reject && reject();
+						forwardServers.delete(key);
+						server.close();
+						accept && accept();
+					} else {
+						reject && reject();
+					}
+				});
+				client.on('tcpip', (accept, reject, info) => {
+					const socket = net.connect(info.destPort, info.destIP);
+					socket.on('error', () => reject());
+					socket.on('connect', () => {
+						const channel = accept();
+						socket.removeAllListeners('error');
+						socket.on('error', () => channel.destroy());
+						channel.on('error', () => socket.destroy());
+						channel.on('close', () => socket.destroy());
+						socket.pipe(channel).pipe(socket);
 					});
 				});
 			});
@@ -214,6 +310,24 @@ async function startSSHServer() {
 	});
 }
 
+function pipeProcess(child, stream) {
+	child.stdout.on('data', (data) => stream.write(data));
+	child.stderr.on('data', (data) => stream.stderr.write(data));
+	stream.on('data', (data) => child.stdin.write(data));
+	stream.on('end', () => child.stdin.end());
+
+	child.on('close', (code, signal) => {
+		stream.exit(code != null ? code : signal);
+		stream.end();
+	});
+
+	child.on('error', (err) => {
+		stream.stderr.write(`Error: ${err.message}\n`);
+		stream.exit(1);
+		stream.end();
+	});
+}
+
 async function stopSSHServer() {
 	if (sshServer) {
 		await new Promise((resolve, reject) => {
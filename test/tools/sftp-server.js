@@ -0,0 +1,153 @@
+'use strict';
+const fs = require('node:fs');
+const { utils: { sftp: { OPEN_MODE, STATUS_CODE } } } = require('ssh2');
+
+/*
+	This implements a minimal SFTP server (for testing purposes), which serves
+	the local filesystem directly. Paths are interpreted by the local OS.
+ */
+
+module.exports = (sftp) => {
+	const handles = new Map();
+	let nextHandle = 1;
+
+	const createHandle = (value) => {
+		const handle = Buffer.alloc(4);
+		handle.writeUInt32BE(nextHandle++, 0);
+		handles.set(handle.toString('hex'), value);
+		return handle;
+	};
+
+	const getHandle = (handle) => {
+		return handles.get(handle.toString('hex'));
+	};
+
+	const fail = (reqid, err) => {
+		if (err.code === 'ENOENT') {
+			sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE, 'No such file');
+		} else if (err.code === 'EACCES' || err.code === 'EPERM') {
+			sftp.status(reqid, STATUS_CODE.PERMISSION_DENIED, 'Permission denied');
+		} else {
+			sftp.status(reqid, STATUS_CODE.FAILURE, err.message);
+		}
+	};
+
+	const done = (reqid) => (err) => {
+		if (err) fail(reqid, err);
+		else sftp.status(reqid, STATUS_CODE.OK);
+	};
+
+	const sendAttrs = (reqid) => (err, stats) => {
+		if (err) fail(reqid, err);
+		else sftp.attrs(reqid, toAttrs(stats));
+	};
+
+	sftp.on('OPEN', (reqid, filename, flags, attrs) => {
+		let mode = '';
+		if (flags & OPEN_MODE.READ) mode = 'r';
+		if (flags & OPEN_MODE.WRITE) mode = flags & OPEN_MODE.TRUNC ? 'w' : flags & OPEN_MODE.APPEND ? 'a' : 'r+';
+		if (flags & OPEN_MODE.READ && flags & OPEN_MODE.WRITE) mode = flags & OPEN_MODE.TRUNC ? 'w+' : 'r+';
+		if (flags & OPEN_MODE.EXCL) mode += 'x';
+		fs.open(filename, mode, attrs.mode != null ? attrs.mode : 0o644, (err, fd) => {
+			if (err) fail(reqid, err);
+			else sftp.handle(reqid, createHandle({ fd }));
+		});
+	});
+
+	sftp.on('CLOSE', (reqid, handle) => {
+		const value = getHandle(handle);
+		if (!value) return sftp.status(reqid, STATUS_CODE.FAILURE);
+		handles.delete(handle.toString('hex'));
+		if (value.fd === undefined) return sftp.status(reqid, STATUS_CODE.OK);
+		fs.close(value.fd, done(reqid));
+	});
+
+	sftp.on('READ', (reqid, handle, offset, length) => {
+		const value = getHandle(handle);
+		if (!value || value.fd === undefined) return sftp.status(reqid, STATUS_CODE.FAILURE);
+		const buffer = Buffer.alloc(length);
+		fs.read(value.fd, buffer, 0, length, offset, (err, bytesRead) => {
+			if (err) fail(reqid, err);
+			else if (!bytesRead) sftp.status(reqid, STATUS_CODE.EOF);
+			else sftp.data(reqid, buffer.subarray(0, bytesRead));
+		});
+	});
+
+	sftp.on('WRITE', (reqid, handle, offset, data) => {
+		const value = getHandle(handle);
+		if (!value || value.fd === undefined) return sftp.status(reqid, STATUS_CODE.FAILURE);
+		fs.write(value.fd, data, 0, data.byteLength, offset, done(reqid));
+	});
+
+	sftp.on('FSTAT', (reqid, handle) => {
+		const value = getHandle(handle);
+		if (!value || value.fd === undefined) return sftp.status(reqid, STATUS_CODE.FAILURE);
+		fs.fstat(value.fd, sendAttrs(reqid));
+	});
+
+	sftp.on('FSETSTAT', (reqid, handle, attrs) => {
+		const value = getHandle(handle);
+		if (!value || value.fd === undefined) return sftp.status(reqid, STATUS_CODE.FAILURE);
+		try {
+			if (attrs.mode != null) fs.fchmodSync(value.fd, attrs.mode);
+			if (attrs.mtime != null) fs.futimesSync(value.fd, attrs.atime, attrs.mtime);
+		} catch (err) {
+			return fail(reqid, err);
+		}
+		sftp.status(reqid, STATUS_CODE.OK);
+	});
+
+	sftp.on('SETSTAT', (reqid, path, attrs) => {
+		try {
+			if (attrs.mode != null) fs.chmodSync(path, attrs.mode);
+			if (attrs.mtime != null) fs.utimesSync(path, attrs.atime, attrs.mtime);
+		} catch (err) {
+			return fail(reqid, err);
+		}
+		sftp.status(reqid, STATUS_CODE.OK);
+	});
+
+	sftp.on('STAT', (reqid, path) => fs.stat(path, sendAttrs(reqid)));
+	sftp.on('LSTAT', (reqid, path) => fs.lstat(path, sendAttrs(reqid)));
+
+	sftp.on('OPENDIR', (reqid, path) => {
+		fs.readdir(path, (err, filenames) => {
+			if (err) fail(reqid, err);
+			else sftp.handle(reqid, createHandle({ path, filenames }));
+		});
+	});
+
+	sftp.on('READDIR', (reqid, handle) => {
+		const value = getHandle(handle);
+		if (!value || value.filenames === undefined) return sftp.status(reqid, STATUS_CODE.FAILURE);
+		if (!value.filenames.length) return sftp.status(reqid, STATUS_CODE.EOF);
+		const names = value.filenames.splice(0).map((filename) => {
+			const attrs = toAttrs(fs.lstatSync(`${value.path}/${filename}`));
+			return { filename, longname: filename, attrs };
+		});
+		sftp.name(reqid, names);
+	});
+
+	sftp.on('REMOVE', (reqid, path) => fs.unlink(path, done(reqid)));
+	sftp.on('RMDIR', (reqid, path) => fs.rmdir(path, done(reqid)));
+	sftp.on('MKDIR', (reqid, path, attrs) => fs.mkdir(path, { mode: attrs.mode }, done(reqid)));
+	sftp.on('RENAME', (reqid, oldPath, newPath) => fs.rename(oldPath, newPath, done(reqid)));
+
+	sftp.on('REALPATH', (reqid, path) => {
+		fs.realpath(path, (err, resolved) => {
+			if (err) fail(reqid, err);
+			else sftp.name(reqid, [{ filename: resolved, longname: resolved, attrs: {} }]);
+		});
+	});
+};
+
+function toAttrs(stats) {
+	return {
+		mode: stats.mode,
+		uid: stats.uid,
+		gid: stats.gid,
+		size: stats.size,
+		atime: Math.floor(stats.atimeMs / 1000),
+		mtime: Math.floor(stats.mtimeMs / 1000),
+	};
+}
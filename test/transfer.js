@@ -0,0 +1,253 @@
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { randomBytes } = require('node:crypto');
+const { PassThrough, Readable, Writable } = require('node:stream');
+const { expect } = require('chai');
+const sshBridge = require('../src/lib/index');
+const harness = require('./tools/harness');
+
+describe('transfers', function () {
+	const configDir = harness.getConfigDir('transfer-tests');
+	let localDir;
+	let remoteDir;
+	let client;
+
+	beforeEach(async function () {
+		const random = randomBytes(6).toString('hex');
+		localDir = path.join(harness.getTempDir(), `transfer-local-${random}`);
+		remoteDir = path.join(harness.getTempDir(), `transfer-remote-${random}`);
+		fs.mkdirSync(localDir);
+		fs.mkdirSync(remoteDir);
+		client = await sshBridge(configDir);
+		await client.connect({
+			username: 'testuser',
+			hostname: '127.0.0.1',
+			port: harness.getSSHPort(),
+			password: 'correct_password',
+		});
+	});
+
+	afterEach(async function () {
+		await client.close();
+	});
+
+	describe('upload()', function () {
+		it('should upload a local file and emit progress events', async function () {
+			const data = randomBytes(1024 * 1024 * 3 + 7);
+			fs.writeFileSync(path.join(localDir, 'file.bin'), data);
+
+			const progress = [];
+			const transfer = client.upload(path.join(localDir, 'file.bin'), path.join(remoteDir, 'file.bin'));
+			transfer.on('progress', (event) => progress.push(event));
+
+			expect(await transfer.result).to.deep.equal({ bytes: data.byteLength });
+			expect(fs.readFileSync(path.join(remoteDir, 'file.bin')).equals(data)).to.be.true;
+			expect(progress.length).to.be.above(1);
+			expect(progress.every(x => x.total === data.byteLength)).to.be.true;
+			expect(progress[progress.length - 1].transferred).to.equal(data.byteLength);
+			for (let i = 1; i < progress.length; ++i) {
+				expect(progress[i].transferred).to.be.above(progress[i - 1].transferred);
+			}
+		});
+
+		it('should upload from a Readable stream', async function () {
+			const progress = [];
+			const transfer = client.upload(Readable.from(['Hello, ', 'World!']), path.join(remoteDir, 'file.txt'));
+			transfer.on('progress', (event) => progress.push(event));
+
+			expect(await transfer.result).to.deep.equal({ bytes: 13 });
+			expect(fs.readFileSync(path.join(remoteDir, 'file.txt'), 'utf8')).to.equal('Hello, World!');
+			expect(progress.length).to.be.above(0);
+			expect(progress[progress.length - 1]).to.deep.equal({ transferred: 13, total: undefined });
+		});
+
+		it('should upload an empty file', async function () {
+			fs.writeFileSync(path.join(localDir, 'empty'), '');
+			expect(await client.upload(path.join(localDir, 'empty'), path.join(remoteDir, 'empty')).result).to.deep.equal({ bytes: 0 });
+			expect(fs.readFileSync(path.join(remoteDir, 'empty')).byteLength).to.equal(0);
+		});
+
+		itUnix('should preserve the mode and mtime, if requested', async function () {
+			fs.writeFileSync(path.join(localDir, 'file.txt'), 'Hello, World!');
+			fs.chmodSync(path.join(localDir, 'file.txt'), 0o640);
+			fs.utimesSync(path.join(localDir, 'file.txt'), 1000000000, 1000000000);
+
+			await client.upload(path.join(localDir, 'file.txt'), path.join(remoteDir, 'file.txt'), { preserve: true }).result;
+			const stats = fs.statSync(path.join(remoteDir, 'file.txt'));
+			expect(stats.mode & 0o777).to.equal(0o640);
+			expect(Math.floor(stats.mtimeMs / 1000)).to.equal(1000000000);
+		});
+
+		it('should reject with SFTP_ERROR if the remote file cannot be opened', async function () {
+			fs.writeFileSync(path.join(localDir, 'file.txt'), 'Hello, World!');
+			const { result } = client.upload(path.join(localDir, 'file.txt'), path.join(remoteDir, 'missing', 'file.txt'));
+			await expectReject(result, Error, 'SFTP operation failed');
+			await result.catch((err) => expect(err.code).to.equal('NO_SUCH_FILE'));
+
+			expect(client.closed).to.be.false;
+			await client.upload(path.join(localDir, 'file.txt'), path.join(remoteDir, 'file.txt')).result;
+			expect(fs.readFileSync(path.join(remoteDir, 'file.txt'), 'utf8')).to.equal('Hello, World!');
+		});
+
+		it('should reject with the local error if the source stream fails', async function () {
+			const source = new PassThrough();
+			const { result } = client.upload(source, path.join(remoteDir, 'file.txt'));
+			source.write('partial data');
+			setTimeout(() => source.destroy(new Error('local failure')), 50);
+			await expectReject(result, Error, 'local failure');
+
+			expect(client.closed).to.be.false;
+			await client.upload(Readable.from(['done']), path.join(remoteDir, 'file.txt')).result;
+			expect(fs.readFileSync(path.join(remoteDir, 'file.txt'), 'utf8')).to.equal('done');
+		});
+
+		it('should reject if the local file does not exist', async function () {
+			await expectReject(client.upload(path.join(localDir, 'missing'), path.join(remoteDir, 'file.txt')).result, Error, /no such file or directory/);
+		});
+
+		it('should produce NO_SSH error when SSH connection drops mid-transfer', async function () {
+			const source = new PassThrough();
+			const { result } = client.upload(source, path.join(remoteDir, 'file.txt'));
+			source.write(randomBytes(1024));
+			await new Promise(r => setTimeout(r, 50));
+			const rejection = expectReject(result, Error, 'SSH connection closed unexpectedly');
+			await harness.closeSSHConnections();
+			await rejection;
+			await result.catch((err) => expect(err.type).to.equal('NO_SSH'));
+			expect(client.closed).to.be.true;
+		});
+
+		it('should throw a TypeError if the arguments are invalid', async function () {
+			expect(() => client.upload(123, 'file.txt')).to.throw(TypeError, 'Expected source to be a string or Readable stream');
+			expect(() => client.upload(Readable.from([]), 123)).to.throw(TypeError, 'Expected path to be a string');
+		});
+
+		it('should not allow upload() in an invalid state', async function () {
+			const otherClient = await sshBridge(configDir);
+			try {
+				const { result } = otherClient.upload(Readable.from(['data']), path.join(remoteDir, 'file.txt'));
+				await expectReject(result, TypeError, 'Method not available in the current state');
+			} finally {
+				await otherClient.close();
+			}
+		});
+	});
+
+	describe('download()', function () {
+		it('should download a remote file and emit progress events', async function () {
+			const data = randomBytes(1024 * 1024 * 3 + 7);
+			fs.writeFileSync(path.join(remoteDir, 'file.bin'), data);
+
+			const progress = [];
+			const transfer = client.download(path.join(remoteDir, 'file.bin'), path.join(localDir, 'file.bin'));
+			transfer.on('progress', (event) => progress.push(event));
+
+			expect(await transfer.result).to.deep.equal({ bytes: data.byteLength });
+			expect(fs.readFileSync(path.join(localDir, 'file.bin')).equals(data)).to.be.true;
+			expect(progress.length).to.be.above(1);
+			expect(progress.every(x => x.total === data.byteLength)).to.be.true;
+			expect(progress[progress.length - 1].transferred).to.equal(data.byteLength);
+		});
+
+		it('should download into a Writable stream', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.txt'), 'Hello, World!');
+
+			const chunks = [];
+			const destination = new Writable({
+				write(chunk, encoding, cb) {
+					chunks.push(chunk);
+					cb();
+				},
+			});
+
+			expect(await client.download(path.join(remoteDir, 'file.txt'), destination).result).to.deep.equal({ bytes: 13 });
+			expect(Buffer.concat(chunks).toString()).to.equal('Hello, World!');
+			expect(destination.writableFinished).to.be.true;
+		});
+
+		it('should download an empty file', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'empty'), '');
+			expect(await client.download(path.join(remoteDir, 'empty'), path.join(localDir, 'empty')).result).to.deep.equal({ bytes: 0 });
+			expect(fs.readFileSync(path.join(localDir, 'empty')).byteLength).to.equal(0);
+		});
+
+		itUnix('should preserve the mode and mtime, if requested', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.txt'), 'Hello, World!');
+			fs.chmodSync(path.join(remoteDir, 'file.txt'), 0o640);
+			fs.utimesSync(path.join(remoteDir, 'file.txt'), 1000000000, 1000000000);
+
+			await client.download(path.join(remoteDir, 'file.txt'), path.join(localDir, 'file.txt'), { preserve: true }).result;
+			const stats = fs.statSync(path.join(localDir, 'file.txt'));
+			expect(stats.mode & 0o777).to.equal(0o640);
+			expect(Math.floor(stats.mtimeMs / 1000)).to.equal(1000000000);
+		});
+
+		it('should reject with SFTP_ERROR if the remote file does not exist', async function () {
+			const { result } = client.download(path.join(remoteDir, 'missing'), path.join(localDir, 'file.txt'));
+			await expectReject(result, Error, 'SFTP operation failed');
+			await result.catch((err) => expect(err.code).to.equal('NO_SUCH_FILE'));
+			expect(fs.existsSync(path.join(localDir, 'file.txt'))).to.be.false;
+			expect(client.closed).to.be.false;
+		});
+
+		it('should reject with the local error if the destination stream fails', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.bin'), randomBytes(1024 * 1024 * 3));
+
+			const destination = new Writable({
+				write(chunk, encoding, cb) {
+					cb(new Error('local failure'));
+				},
+			});
+
+			await expectReject(client.download(path.join(remoteDir, 'file.bin'), destination).result, Error, 'local failure');
+
+			expect(client.closed).to.be.false;
+			fs.writeFileSync(path.join(remoteDir, 'file.txt'), 'done');
+			await client.download(path.join(remoteDir, 'file.txt'), path.join(localDir, 'file.txt')).result;
+			expect(fs.readFileSync(path.join(localDir, 'file.txt'), 'utf8')).to.equal('done');
+		});
+
+		it('should produce NO_SSH error when SSH connection drops mid-transfer', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.bin'), randomBytes(1024 * 1024 * 3));
+
+			let stalled;
+			const destination = new Writable({
+				write(chunk, encoding, cb) {
+					stalled && stalled();
+				},
+			});
+
+			const { result } = client.download(path.join(remoteDir, 'file.bin'), destination);
+			await new Promise(r => { stalled = r; });
+			const rejection = expectReject(result, Error, 'SSH connection closed unexpectedly');
+			await harness.closeSSHConnections();
+			await rejection;
+			await result.catch((err) => expect(err.type).to.equal('NO_SSH'));
+			expect(client.closed).to.be.true;
+		});
+
+		it('should throw a TypeError if the arguments are invalid', async function () {
+			expect(() => client.download(123, 'file.txt')).to.throw(TypeError, 'Expected path to be a string');
+			expect(() => client.download('file.txt', 123)).to.throw(TypeError, 'Expected destination to be a string or Writable stream');
+		});
+
+		it('should not allow download() while another transfer is in progress', async function () {
+			fs.writeFileSync(path.join(remoteDir, 'file.txt'), 'Hello, World!');
+			const first = client.download(path.join(remoteDir, 'file.txt'), path.join(localDir, 'first.txt'));
+			const second = client.download(path.join(remoteDir, 'file.txt'), path.join(localDir, 'second.txt'));
+			await expectReject(second.result, TypeError, 'Method not available in the current state');
+			await first.result;
+		});
+	});
+});
+
+async function expectReject(promise, ...args) {
+	try {
+		await promise;
+	} catch (err) {
+		expect(() => { throw err; }).to.throw(...args);
+		return;
+	}
+	expect.fail('Expected promise to be rejected');
+}